@@ -2,7 +2,6 @@ import React, { useState, useCallback, useMemo, useEffect, useRef } from 'react'
 import {
   getOptionsConfig,
   getDefaultOptionsValues,
-  deserializeProject,
 } from '@rawgraphs/rawgraphs-core'
 import HeaderItems from './HeaderItems'
 import Header from './components/Header'
@@ -17,7 +16,10 @@ import Exporter from './components/Exporter'
 import get from 'lodash/get'
 import find from 'lodash/find'
 import usePrevious from './hooks/usePrevious'
-import { serializeProject } from '@rawgraphs/rawgraphs-core'
+import {
+  deserializeProject,
+  serializeProject,
+} from './hooks/useDataLoaderUtils/project'
 import baseCharts from './charts'
 import useSafeCustomCharts from './hooks/useSafeCustomCharts'
 import useDataLoader from './hooks/useDataLoader'
@@ -53,12 +55,20 @@ function App() {
     parseError,
     unstackedData,
     unstackedColumns,
+    pipeline,
+    untransformedData,
+    untransformedColumns,
     data,
+    previewData,
+    samplingPolicy,
+    setSamplingPolicy,
     separator,
+    csvOptions,
     thousandsSeparator,
     decimalsSeparator,
     locale,
     stackDimension,
+    unstackOptions,
     dataSource,
     loading,
     hydrateFromSavedProject,
@@ -178,12 +188,17 @@ function App() {
       parseError,
       unstackedData,
       unstackedColumns,
+      pipeline,
+      untransformedData,
+      untransformedColumns,
       data,
       separator,
+      csvOptions,
       thousandsSeparator,
       decimalsSeparator,
       locale,
       stackDimension,
+      unstackOptions,
       dataSource,
       currentChart,
       mapping,
@@ -191,6 +206,7 @@ function App() {
       customChart,
     })
   }, [
+    csvOptions,
     currentChart,
     data,
     dataSource,
@@ -198,15 +214,19 @@ function App() {
     locale,
     mapping,
     parseError,
+    pipeline,
     separator,
     stackDimension,
     thousandsSeparator,
+    unstackOptions,
     userData,
     userDataType,
     userInput,
     visualOptions,
     unstackedColumns,
     unstackedData,
+    untransformedColumns,
+    untransformedData,
     exportCustomChart,
   ])
 
@@ -302,19 +322,29 @@ function App() {
           <Section title="4. Customize">
             <ChartPreviewWithOptions
               chart={currentChart}
-              dataset={data.dataset}
+              dataset={previewData.dataset}
               dataTypes={data.dataTypes}
               mapping={mapping}
               visualOptions={visualOptions}
               setVisualOptions={setVisualOptions}
               setRawViz={setRawViz}
               setMappingLoading={setMappingLoading}
+              totalRows={data.dataset.length}
+              sampling={samplingPolicy}
+              setSampling={setSamplingPolicy}
             />
           </Section>
         )}
         {data && currentChart && rawViz && (
           <Section title="5. Export">
-            <Exporter rawViz={rawViz} exportProject={exportProject} />
+            <Exporter
+              rawViz={rawViz}
+              exportProject={exportProject}
+              fullDataset={previewData !== data ? data.dataset : null}
+              dataTypes={data.dataTypes}
+              mapping={mapping}
+              visualOptions={visualOptions}
+            />
           </Section>
         )}
         <Footer />
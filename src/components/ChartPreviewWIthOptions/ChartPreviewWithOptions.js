@@ -5,6 +5,8 @@ import ChartPreview from '../ChartPreview'
 import { chart as rawChart } from '@rawgraphs/rawgraphs-core'
 import { mapDataInWorker } from '../../worker'
 import { WEBWORKER_ACTIVE } from '../../constants'
+import { SAMPLING_THRESHOLD } from '../../hooks/useDataLoaderUtils/sampling'
+import SamplingOptions from './SamplingOptions'
 
 const ChartPreviewWithOptions = ({
   chart,
@@ -15,6 +17,9 @@ const ChartPreviewWithOptions = ({
   setVisualOptions,
   setRawViz,
   setMappingLoading,
+  totalRows,
+  sampling,
+  setSampling,
 }) => {
   const [error, setError] = useState({variant: "secondary", message: "Required chart variables"})
   const [mappedData, setMappedData] = useState(null)
@@ -65,7 +70,16 @@ const ChartPreviewWithOptions = ({
   ])
 
   return (
-    <Row>
+    <>
+      {totalRows > SAMPLING_THRESHOLD && (
+        <SamplingOptions
+          value={sampling}
+          onChange={setSampling}
+          totalRows={totalRows}
+          columns={Object.keys(dataTypes)}
+        />
+      )}
+      <Row>
         <ChartOptions
           chart={chart}
           dataset={dataset}
@@ -87,7 +101,8 @@ const ChartPreviewWithOptions = ({
           setRawViz={setRawViz}
           mappedData={mappedData}
         />
-    </Row>
+      </Row>
+    </>
   )
 }
 
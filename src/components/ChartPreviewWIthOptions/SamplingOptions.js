@@ -0,0 +1,77 @@
+import React from 'react'
+import { Dropdown, Form } from 'react-bootstrap'
+import { SAMPLING_METHODS } from '../../hooks/useDataLoaderUtils/sampling'
+
+function readCount(value) {
+  const count = parseInt(value, 10)
+  return Number.isFinite(count) && count > 0 ? count : 1
+}
+
+/*
+ * Sampling of the rows of a big dataset for the chart preview, `value`
+ * being the policy (see `DEFAULT_SAMPLING`)
+ */
+export default function SamplingOptions({
+  value,
+  onChange,
+  totalRows,
+  columns,
+}) {
+  const update = (changes) => onChange({ ...value, ...changes })
+  return (
+    <div className="d-flex align-items-center flex-wrap mb-3">
+      <span>
+        The dataset has <b>{totalRows}</b> rows, the preview uses
+      </span>
+      <Dropdown className="d-inline-block raw-dropdown ml-2">
+        <Dropdown.Toggle variant="white">
+          {SAMPLING_METHODS[value.method]}
+        </Dropdown.Toggle>
+        <Dropdown.Menu>
+          {Object.keys(SAMPLING_METHODS).map((d) => (
+            <Dropdown.Item
+              key={d}
+              onSelect={() =>
+                update({
+                  method: d,
+                  column:
+                    d === 'stratified' ? value.column ?? columns[0] : null,
+                })
+              }
+            >
+              {SAMPLING_METHODS[d]}
+            </Dropdown.Item>
+          ))}
+        </Dropdown.Menu>
+      </Dropdown>
+      {value.method === 'stratified' && (
+        <Dropdown className="d-inline-block raw-dropdown ml-2">
+          <Dropdown.Toggle variant="white" className="truncate-160px">
+            {value.column}
+          </Dropdown.Toggle>
+          <Dropdown.Menu>
+            {columns.map((d) => (
+              <Dropdown.Item key={d} onSelect={() => update({ column: d })}>
+                {d}
+              </Dropdown.Item>
+            ))}
+          </Dropdown.Menu>
+        </Dropdown>
+      )}
+      {value.method !== 'none' && (
+        <>
+          <Form.Control
+            id="sampling-size"
+            type="number"
+            min={1}
+            size="sm"
+            className="ml-2 w-auto"
+            value={value.size}
+            onChange={(e) => update({ size: readCount(e.target.value) })}
+          />
+          <span className="ml-2">rows</span>
+        </>
+      )}
+    </div>
+  )
+}
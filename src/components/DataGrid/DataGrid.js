@@ -12,6 +12,7 @@ import {
   NumberIcon,
 } from '../../constants'
 import { BsFillCaretRightFill } from 'react-icons/bs'
+import { getLabelColumn } from '../../hooks/useDataLoaderUtils/labels'
 
 const DATE_FORMATS = Object.keys(dateFormats)
 
@@ -278,14 +279,15 @@ export default function DataGrid({
           if (value === null || typeof value === 'undefined') {
             // console.log(`DataGrid Cell - Key: ${column.key} - Path: Null or Undefined`);
             displayValue = ''; 
-          } else if (typeof value === 'object' && value !== null && value.__resolved_iri__ === true && value.iri && value.label) {
-            // console.log(`DataGrid Cell - Key: ${column.key} - Path: Resolved IRI Object`);
+          } else if (typeof value === 'string' && /^(https?:\/\/)/i.test(value) && row[getLabelColumn(column.key)]) {
+            // IRIs with resolved labels (see labels.js) show their label
+            const label = row[getLabelColumn(column.key)];
             displayValue = (
-              <a href={value.iri} target="_blank" rel="noopener noreferrer" title={value.iri}>
-                {value.label}
+              <a href={value} target="_blank" rel="noopener noreferrer">
+                {label}
               </a>
             );
-            tooltipText = `${value.label} (${value.iri})`;
+            tooltipText = `${label} (${value})`;
           } else if (typeof value === 'string' && /^(https?:\/\/)/i.test(value)) {
             // console.log(`DataGrid Cell - Key: ${column.key} - Path: String URL`);
             displayValue = (
@@ -1,4 +1,4 @@
-import { get } from 'lodash'
+import { get, union } from 'lodash'
 import React, { useCallback, useState } from 'react'
 import { Col, Row } from 'react-bootstrap'
 import {
@@ -12,12 +12,14 @@ import {
   BsUpload,
   BsLayoutTextWindowReverse, // Added icon
   BsBook, // Added icon for Terminology Service
+  BsPlusSquare,
   // BsTags, // Removed for Terminology Service
 } from 'react-icons/bs'
 import { DATA_LOADER_MODE } from '../../hooks/useDataLoader'
 import DataGrid from '../DataGrid/DataGrid'
 import DataSamples from '../DataSamples/DataSamples'
 import JsonViewer from '../JsonViewer'
+import SpreadsheetViewer from '../SpreadsheetViewer'
 import ParsingOptions from '../ParsingOptions'
 import styles from './DataLoader.module.scss'
 import LoadProject from './loaders/LoadProject'
@@ -29,6 +31,8 @@ import TerminologyService from './loaders/TerminologyService'; // Import the new
 import Loading from './loading'
 import WarningMessage from '../WarningMessage'
 import DataMismatchModal from './DataMismatchModal'
+import JoinOptions from './JoinOptions'
+import DatasetAttribution from './DatasetAttribution'
 import SparqlFetch from './loaders/SparqlFetch'
 import { tsvFormat } from 'd3-dsv'
 import { CopyToClipboardButton } from '../CopyToClipboardButton'
@@ -39,9 +43,17 @@ function DataLoader({
   userData,
   userDataType,
   parseError,
+  loadingWarning,
   unstackedColumns,
+  pipeline,
+  setPipeline,
+  pipelineError,
+  untransformedColumns,
   separator,
   setSeparator,
+  csvOptions,
+  setCsvOptions,
+  canChangeEncoding,
   thousandsSeparator,
   setThousandsSeparator,
   decimalsSeparator,
@@ -49,6 +61,7 @@ function DataLoader({
   locale,
   setLocale,
   stackDimension,
+  unstackOptions,
   dataSource,
   data,
   loading,
@@ -56,13 +69,19 @@ function DataLoader({
   loadSample,
   handleInlineEdit,
   handleStackOperation,
+  handleUnstackOperation,
   setJsonData,
+  setSpreadsheetData,
   resetDataLoader,
   dataLoaderMode,
   startDataReplace,
   cancelDataReplace,
   commitDataReplace,
   replaceRequiresConfirmation,
+  joinCandidate,
+  startDataJoin,
+  cancelDataJoin,
+  commitDataJoin,
   hydrateFromProject,
 }) {
   const [loadingError, setLoadingError] = useState()
@@ -87,6 +106,7 @@ function DataLoader({
       icon: BsLayoutTextWindowReverse, // Added icon for Data Repository
       disabled: false,
       allowedForReplace: true,
+      allowedForJoin: true,
     },
     {
       id: 'terminology',
@@ -123,6 +143,7 @@ function DataLoader({
       icon: BsCloud,
       disabled: false,
       allowedForReplace: true,
+      allowedForJoin: true,
     },
     {
       id: 'paste',
@@ -138,6 +159,7 @@ function DataLoader({
         'Copy and paste your data from other applications or websites. You can use tabular (TSV, CSV, DSV) or JSON data.',
       icon: BsClipboard,
       allowedForReplace: true,
+      allowedForJoin: true,
     },
     {
       id: 'upload',
@@ -145,15 +167,17 @@ function DataLoader({
       loader: (
         <UploadFile
           userInput={userInput}
-          setUserInput={(rawInput) =>
-            setUserInput(rawInput, { type: 'upload' })
+          setUserInput={(rawInput, source, options) =>
+            setUserInput(rawInput, { type: 'upload', ...source }, options)
           }
           setLoadingError={setLoadingError}
         />
       ),
-      message: 'You can load tabular (TSV, CSV, DSV) or JSON data.',
+      message:
+        'You can load tabular (TSV, CSV, DSV), JSON or spreadsheet (XLSX, ODS) data. Tabular files with the same columns can be loaded together.',
       icon: BsUpload,
       allowedForReplace: true,
+      allowedForJoin: true,
     },
     {
       id: 'sample',
@@ -186,6 +210,7 @@ function DataLoader({
       icon: BsSearch,
       disabled: false,
       allowedForReplace: true,
+      allowedForJoin: true,
     },
     {
       id: 'project',
@@ -205,7 +230,15 @@ function DataLoader({
   const selectedOption = options[optionIndex]
 
   let mainContent
-  if (userData && data) {
+  if (dataLoaderMode === DATA_LOADER_MODE.JOIN && joinCandidate) {
+    mainContent = (
+      <JoinOptions
+        joinCandidate={joinCandidate}
+        onJoin={commitDataJoin}
+        onCancel={cancelDataJoin}
+      />
+    )
+  } else if (userData && data) {
     mainContent = (
       <DataGrid
         userDataset={userData}
@@ -221,8 +254,20 @@ function DataLoader({
       <JsonViewer
         context={JSON.parse(userInput)}
         selectFilter={(ctx) => Array.isArray(ctx)}
-        onSelect={(ctx, path) => {
-          setJsonData(ctx, path)
+        initialFlattening={dataSource?.jsonFlattening}
+        onSelect={(ctx, path, flattening) => {
+          setJsonData(ctx, path, flattening)
+        }}
+      />
+    )
+  } else if (userDataType === 'spreadsheet' && userData === null) {
+    mainContent = (
+      <SpreadsheetViewer
+        data={userInput}
+        initialSheet={initialOptionState?.sheet}
+        initialRange={initialOptionState?.range}
+        onSelect={(sheet, range) => {
+          setSpreadsheetData(sheet, range)
         }}
       />
     )
@@ -303,12 +348,15 @@ function DataLoader({
           >
             {options
               .filter((opt) => {
+                if (dataLoaderMode === DATA_LOADER_MODE.JOIN) {
+                  return opt.allowedForJoin
+                }
                 return (
                   dataLoaderMode !== DATA_LOADER_MODE.REPLACE ||
                   opt.allowedForReplace
                 )
               })
-              .map((d, i) => {
+              .map((d) => {
                 const classnames = [
                   'w-100',
                   'd-flex',
@@ -329,7 +377,7 @@ function DataLoader({
                     key={d.id}
                     className={classnames}
                     onClick={() => {
-                      setOptionIndex(i)
+                      setOptionIndex(options.indexOf(d))
                     }}
                   >
                     {d.icon ? <d.icon className="w-25" /> : <div className="w-25"></div>}
@@ -338,6 +386,20 @@ function DataLoader({
                 )
               })}
 
+            {dataLoaderMode === DATA_LOADER_MODE.JOIN && (
+              <>
+                <div className="divider mb-3 mt-0" />
+                <div
+                  className={`w-100 d-flex justify-content-center align-items-center ${styles['start-over']} ${styles['cancel']} user-select-none cursor-pointer mb-3`}
+                  onClick={() => {
+                    cancelDataJoin()
+                  }}
+                >
+                  <h4 className="m-0 d-inline-block">{'Cancel'}</h4>
+                </div>
+              </>
+            )}
+
             {dataLoaderMode === DATA_LOADER_MODE.REPLACE && (
               <>
                 <div className="divider mb-3 mt-0" />
@@ -367,21 +429,46 @@ function DataLoader({
             lg={2}
             className="d-flex flex-column justify-content-start pl-3 pr-0 options"
           >
+            {dataSource?.catalogue && (
+              <DatasetAttribution catalogue={dataSource.catalogue} />
+            )}
             <ParsingOptions
               locale={locale}
               setLocale={setLocale}
               separator={separator}
               setSeparator={setSeparator}
+              csvOptions={csvOptions}
+              setCsvOptions={setCsvOptions}
+              canChangeEncoding={canChangeEncoding}
               thousandsSeparator={thousandsSeparator}
               setThousandsSeparator={setThousandsSeparator}
               decimalsSeparator={decimalsSeparator}
               setDecimalsSeparator={setDecimalsSeparator}
-              dimensions={data ? unstackedColumns || data.dataTypes : []}
+              dimensions={
+                data
+                  ? unstackedColumns || untransformedColumns || data.dataTypes
+                  : []
+              }
               stackDimension={stackDimension}
               setStackDimension={handleStackOperation}
+              unstackOptions={unstackOptions}
+              setUnstackOptions={handleUnstackOperation}
+              pipeline={pipeline}
+              setPipeline={setPipeline}
+              pipelineError={pipelineError}
+              pipelineColumns={
+                data
+                  ? union(
+                      Object.keys(untransformedColumns ?? {}),
+                      Object.keys(data.dataTypes)
+                    )
+                  : []
+              }
               userDataType={userDataType}
               dataSource={dataSource}
+              data={data}
               onDataRefreshed={(rawInput) => setUserInput(rawInput, dataSource)}
+              onRefreshError={setLoadingError}
             />
 
             <div className="divider mb-3 mt-0" />
@@ -408,6 +495,18 @@ function DataLoader({
               <BsArrowCounterclockwise className="mr-2" />
               <h4 className="m-0 d-inline-block">{'Change data'}</h4>
             </div>
+
+            <div
+              className={`w-100 mt-2 d-flex justify-content-center align-items-center ${styles['start-over']} user-select-none cursor-pointer`}
+              onClick={() => {
+                setInitialOptionState(null)
+                setOptionIndex(options.findIndex((opt) => opt.allowedForJoin))
+                startDataJoin()
+              }}
+            >
+              <BsPlusSquare className="mr-2" />
+              <h4 className="m-0 d-inline-block">{'Join data'}</h4>
+            </div>
           </Col>
         )}
         <Col>
@@ -441,6 +540,10 @@ function DataLoader({
                 />
               )}
 
+              {loadingWarning && (
+                <WarningMessage variant="warning" message={loadingWarning} />
+              )}
+
               {get(data, 'errors', []).length > 0 && (
                 <WarningMessage
                   variant="warning"
@@ -3,6 +3,7 @@ import { Modal, Button } from 'react-bootstrap'
 
 function DataMismatchModal({
   replaceRequiresConfirmation,
+  mismatch,
   commitDataReplace,
   cancelDataReplace,
 }) {
@@ -32,6 +33,12 @@ function DataMismatchModal({
           {replaceRequiresConfirmation === 'type-mismatch' && (
             <>data-type mismatch</>
           )}
+          {replaceRequiresConfirmation === 'header-mismatch' && (
+            <>header mismatch</>
+          )}
+          {replaceRequiresConfirmation === 'pipeline-error' && (
+            <>transformation error</>
+          )}
         </Modal.Title>
       </Modal.Header>
 
@@ -72,6 +79,33 @@ function DataMismatchModal({
             </p>
           </>
         )}
+        {replaceRequiresConfirmation === 'header-mismatch' && (
+          <>
+            <p>
+              The file{' '}
+              <span className="font-weight-bold">{mismatch.name}</span> has no
+              column{' '}
+              <span className="font-weight-bold">{mismatch.column}</span>, that
+              we can find in the other files.
+            </p>
+            <p>
+              You can load the files anyway, leaving missing values empty, or
+              return to the file selection.
+            </p>
+          </>
+        )}
+        {replaceRequiresConfirmation === 'pipeline-error' && (
+          <>
+            <p>
+              The data transformations of this project can't be applied to the
+              new data.
+            </p>
+            <p>
+              You can use the new data without transformations or return to the
+              data previously loaded.
+            </p>
+          </>
+        )}
       </Modal.Body>
       <Modal.Footer>
         <Button
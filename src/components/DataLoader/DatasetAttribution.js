@@ -0,0 +1,32 @@
+import React from 'react'
+import S from './DataLoader.module.scss'
+
+function MaybeLink({ value }) {
+  return /^https?:\/\//.test(value) ? (
+    <a href={value} target="_blank" rel="noopener noreferrer">
+      {value}
+    </a>
+  ) : (
+    <span>{value}</span>
+  )
+}
+
+/*
+ * Credits the catalogue dataset the data come from
+ */
+export default function DatasetAttribution({ catalogue }) {
+  return (
+    <div className={S['dataset-attribution']}>
+      <b>DATA SOURCE</b>
+      <div className="font-weight-bold">{catalogue.title}</div>
+      <div className="text-truncate" title={catalogue.dataset}>
+        <MaybeLink value={catalogue.dataset} />
+      </div>
+      {catalogue.license && (
+        <div className="text-truncate" title={catalogue.license}>
+          License: <MaybeLink value={catalogue.license} />
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from 'react'
+import { Dropdown, Form } from 'react-bootstrap'
+import {
+  AUTH_METHODS,
+  getEndpointAuth,
+  setEndpointAuth,
+} from '../../hooks/useDataLoaderUtils/endpoints'
+import S from './DataLoader.module.scss'
+
+/*
+ * Credentials sent to an endpoint or a data url.
+ * They are kept in session storage only, so they are never part of
+ * exported projects. `method` is the one preselected when nothing
+ * was entered for the url.
+ */
+export default function EndpointAuth({ id, url, method = 'none' }) {
+  const [auth, setAuth] = useState(() => getEndpointAuth(url) ?? { method })
+
+  useEffect(() => {
+    setAuth(getEndpointAuth(url) ?? { method })
+  }, [url, method])
+
+  const update = (changes) => {
+    const nextAuth = { ...auth, ...changes }
+    setAuth(nextAuth)
+    if (url) {
+      setEndpointAuth(url, nextAuth)
+    }
+  }
+
+  return (
+    <div className="mb-2">
+      <div className="d-flex align-items-center mb-2">
+        <span className={S['option-title']}>Authentication</span>
+        <Dropdown className="d-inline-block raw-dropdown ml-2">
+          <Dropdown.Toggle
+            variant="white"
+            className="truncate-160px"
+            disabled={!url}
+          >
+            {AUTH_METHODS[auth.method] ?? AUTH_METHODS.none}
+          </Dropdown.Toggle>
+          <Dropdown.Menu>
+            {Object.keys(AUTH_METHODS).map((d) => (
+              <Dropdown.Item key={d} onSelect={() => update({ method: d })}>
+                {AUTH_METHODS[d]}
+              </Dropdown.Item>
+            ))}
+          </Dropdown.Menu>
+        </Dropdown>
+      </div>
+      {auth.method === 'bearer' && (
+        <Form.Control
+          id={`${id}-token`}
+          type="password"
+          size="sm"
+          autoComplete="off"
+          placeholder="Token"
+          value={auth.token ?? ''}
+          onChange={(e) => update({ token: e.target.value })}
+        />
+      )}
+      {auth.method === 'basic' && (
+        <div className="d-flex">
+          <Form.Control
+            id={`${id}-user`}
+            size="sm"
+            className="mr-2"
+            autoComplete="off"
+            placeholder="User"
+            value={auth.user ?? ''}
+            onChange={(e) => update({ user: e.target.value })}
+          />
+          <Form.Control
+            id={`${id}-password`}
+            type="password"
+            size="sm"
+            autoComplete="off"
+            placeholder="Password"
+            value={auth.password ?? ''}
+            onChange={(e) => update({ password: e.target.value })}
+          />
+        </div>
+      )}
+      {auth.method === 'header' && (
+        <div className="d-flex">
+          <Form.Control
+            id={`${id}-header`}
+            size="sm"
+            className="mr-2"
+            autoComplete="off"
+            placeholder="Header name"
+            value={auth.header ?? ''}
+            onChange={(e) => update({ header: e.target.value })}
+          />
+          <Form.Control
+            id={`${id}-value`}
+            type="password"
+            size="sm"
+            autoComplete="off"
+            placeholder="Header value"
+            value={auth.value ?? ''}
+            onChange={(e) => update({ value: e.target.value })}
+          />
+        </div>
+      )}
+      {auth.method !== 'none' && (
+        <small className="text-muted">
+          Credentials are kept until the browser tab is closed and are not saved
+          in projects.
+        </small>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,107 @@
+import React, { useEffect, useState } from 'react'
+import { Badge, Button, ButtonGroup, ListGroup, Spinner } from 'react-bootstrap'
+import { isValidIri } from '../../hooks/useDataLoaderUtils/catalogue'
+import {
+  getIntrospectionSource,
+  getIriText,
+  INTROSPECTION_KINDS,
+} from '../../hooks/useDataLoaderUtils/introspection'
+import S from './DataLoader.module.scss'
+
+/*
+ * Side panel listing the named graphs and the most used classes and
+ * predicates of an endpoint. `runQuery` fetches the rows of a source,
+ * `onInsert` is called with the kind and the IRI of the item clicked.
+ */
+export default function EndpointExplorer({
+  endpoint,
+  prefixes,
+  runQuery,
+  onInsert,
+}) {
+  const [kind, setKind] = useState('classes')
+  // Rows loaded for each kind, or the error met loading them
+  const [items, setItems] = useState({})
+
+  // Lists are loaded again for another endpoint
+  useEffect(() => {
+    setItems({})
+  }, [endpoint.url, endpoint.graph])
+
+  const loaded = items[kind]
+  useEffect(() => {
+    if (loaded || !endpoint.url) {
+      return
+    }
+    let cancelled = false
+    runQuery(getIntrospectionSource(endpoint, kind))
+      .then((rows) => ({ rows: rows.filter((row) => isValidIri(row.item)) }))
+      .catch(() => ({ error: 'It was not possible to query the endpoint' }))
+      .then((result) => {
+        if (!cancelled) {
+          setItems((current) => ({ ...current, [kind]: result }))
+        }
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [endpoint, kind, loaded, runQuery])
+
+  const refresh = () => {
+    setItems((current) => ({ ...current, [kind]: undefined }))
+  }
+
+  return (
+    <div>
+      <div className="d-flex align-items-center mb-2">
+        <ButtonGroup size="sm">
+          {Object.keys(INTROSPECTION_KINDS).map((d) => (
+            <Button
+              key={d}
+              variant={d === kind ? 'secondary' : 'outline-secondary'}
+              onClick={() => setKind(d)}
+            >
+              {INTROSPECTION_KINDS[d]}
+            </Button>
+          ))}
+        </ButtonGroup>
+        <Button
+          variant="link"
+          size="sm"
+          className="ml-auto"
+          disabled={!loaded}
+          onClick={refresh}
+        >
+          Refresh
+        </Button>
+      </div>
+      {!loaded && endpoint.url && <Spinner animation="border" size="sm" />}
+      {loaded?.error && <small className="text-danger">{loaded.error}</small>}
+      {loaded?.rows?.length === 0 && (
+        <small className="text-muted">Nothing found on this endpoint</small>
+      )}
+      {loaded?.rows?.length > 0 && (
+        <ListGroup className={S['explorer-list']}>
+          {loaded.rows.map((row) => (
+            <ListGroup.Item
+              key={row.item}
+              action
+              title={`Insert ${row.item}`}
+              className="d-flex justify-content-between align-items-center py-1"
+              onClick={() => onInsert(kind, row.item)}
+            >
+              <span className="text-truncate">
+                {row.itemLabel || getIriText(row.item, prefixes).text}
+              </span>
+              {row.count !== undefined && (
+                <Badge variant="light" className="ml-2">
+                  {row.count}
+                </Badge>
+              )}
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+    </div>
+  )
+}
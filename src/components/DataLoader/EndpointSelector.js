@@ -0,0 +1,59 @@
+import React from 'react'
+import { Dropdown, Form } from 'react-bootstrap'
+import {
+  CUSTOM_ENDPOINT,
+  ENDPOINT_PROFILES,
+} from '../../hooks/useDataLoaderUtils/endpoints'
+import EndpointAuth from './EndpointAuth'
+import S from './DataLoader.module.scss'
+
+/*
+ * Choice of the SPARQL endpoint among the configured profiles,
+ * with a url input for custom endpoints and their credentials
+ */
+export default function EndpointSelector({ id, value, onChange }) {
+  return (
+    <div className="mb-2">
+      <div className="d-flex align-items-center mb-2">
+        <span className={S['option-title']}>SPARQL endpoint</span>
+        <Dropdown className="d-inline-block raw-dropdown ml-2">
+          <Dropdown.Toggle variant="white" className="truncate-160px">
+            {value.name}
+          </Dropdown.Toggle>
+          <Dropdown.Menu>
+            {ENDPOINT_PROFILES.map((profile) => (
+              <Dropdown.Item
+                key={profile.id}
+                onSelect={() => onChange(profile)}
+              >
+                {profile.name}
+              </Dropdown.Item>
+            ))}
+            <Dropdown.Divider />
+            <Dropdown.Item
+              onSelect={() => onChange({ ...CUSTOM_ENDPOINT, url: value.url })}
+            >
+              {CUSTOM_ENDPOINT.name}
+            </Dropdown.Item>
+          </Dropdown.Menu>
+        </Dropdown>
+      </div>
+      {value.id === null ? (
+        <Form.Control
+          id={id}
+          type="url"
+          size="sm"
+          placeholder="Enter SPARQL endpoint URL"
+          value={value.url}
+          onChange={(e) => onChange({ ...value, url: e.target.value })}
+        />
+      ) : (
+        <small className="text-muted d-block text-truncate" title={value.url}>
+          {value.url}
+          {value.graph && ` (graph ${value.graph})`}
+        </small>
+      )}
+      <EndpointAuth id={`${id}-auth`} url={value.url} method={value.auth} />
+    </div>
+  )
+}
@@ -0,0 +1,27 @@
+import React from 'react'
+import { Dropdown } from 'react-bootstrap'
+import { GRAPH_TABLES } from '../../hooks/useDataLoaderUtils/graph'
+import S from './DataLoader.module.scss'
+
+/*
+ * Table loaded from the graph returned by CONSTRUCT and DESCRIBE queries
+ */
+export default function GraphTableOptions({ value, onChange }) {
+  return (
+    <div className="d-flex align-items-center mt-3 mb-2">
+      <span className={S['option-title']}>Load the graph as</span>
+      <Dropdown className="d-inline-block raw-dropdown ml-2">
+        <Dropdown.Toggle variant="white" className="truncate-160px">
+          {GRAPH_TABLES[value]}
+        </Dropdown.Toggle>
+        <Dropdown.Menu>
+          {Object.keys(GRAPH_TABLES).map((d) => (
+            <Dropdown.Item key={d} onSelect={() => onChange(d)}>
+              {GRAPH_TABLES[d]}
+            </Dropdown.Item>
+          ))}
+        </Dropdown.Menu>
+      </Dropdown>
+    </div>
+  )
+}
@@ -0,0 +1,89 @@
+import React, { useMemo, useState } from 'react'
+import { Dropdown } from 'react-bootstrap'
+import { JOIN_TYPES } from '../../hooks/useDataLoaderUtils/join'
+import S from './DataLoader.module.scss'
+
+function ColumnDropdown({ title, value, columns, onChange }) {
+  return (
+    <div className="d-flex align-items-center mb-3">
+      <span className={S['option-title']}>{title}</span>
+      <Dropdown className="d-inline-block raw-dropdown ml-2">
+        <Dropdown.Toggle
+          variant="white"
+          className="truncate-160px"
+          disabled={columns.length === 0}
+        >
+          {value ?? 'Column'}
+        </Dropdown.Toggle>
+        <Dropdown.Menu>
+          {columns.map((column) => (
+            <Dropdown.Item key={column} onSelect={() => onChange(column)}>
+              {column}
+            </Dropdown.Item>
+          ))}
+        </Dropdown.Menu>
+      </Dropdown>
+    </div>
+  )
+}
+
+export default function JoinOptions({ joinCandidate, onJoin, onCancel }) {
+  const { rows, baseColumns } = joinCandidate
+  const joinColumns = useMemo(() => Object.keys(rows[0] ?? {}), [rows])
+  // When both datasets share a column, propose it as key
+  const commonColumn = baseColumns.find((column) =>
+    joinColumns.includes(column)
+  )
+  const [baseKey, setBaseKey] = useState(commonColumn)
+  const [joinKey, setJoinKey] = useState(commonColumn)
+  const [type, setType] = useState('left')
+
+  return (
+    <div>
+      <p>
+        <span className="font-weight-bold">{rows.length} rows</span> have been
+        loaded. Choose how to join them onto your current data.
+      </p>
+      <ColumnDropdown
+        title="Key in current data"
+        value={baseKey}
+        columns={baseColumns}
+        onChange={setBaseKey}
+      />
+      <ColumnDropdown
+        title="Key in new data"
+        value={joinKey}
+        columns={joinColumns}
+        onChange={setJoinKey}
+      />
+      <div className="d-flex align-items-center mb-3">
+        <span className={S['option-title']}>Join type</span>
+        <Dropdown className="d-inline-block raw-dropdown ml-2">
+          <Dropdown.Toggle variant="white">{JOIN_TYPES[type]}</Dropdown.Toggle>
+          <Dropdown.Menu>
+            {Object.keys(JOIN_TYPES).map((joinType) => (
+              <Dropdown.Item key={joinType} onSelect={() => setType(joinType)}>
+                {JOIN_TYPES[joinType]}
+              </Dropdown.Item>
+            ))}
+          </Dropdown.Menu>
+        </Dropdown>
+      </div>
+      <div className="text-right">
+        <button
+          className="btn btn-sm btn-secondary mt-3 mr-2"
+          onClick={onCancel}
+        >
+          Cancel
+        </button>
+        <button
+          className="btn btn-sm btn-success mt-3"
+          disabled={!baseKey || !joinKey}
+          onClick={() => onJoin({ baseKey, joinKey, type })}
+        >
+          Join data
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,76 @@
+import React from 'react'
+import { Dropdown, Form } from 'react-bootstrap'
+import {
+  ENDPOINT_PROFILES,
+  getEndpointProfile,
+} from '../../hooks/useDataLoaderUtils/endpoints'
+import S from './DataLoader.module.scss'
+
+const SAME_ENDPOINT = 'Same endpoint'
+
+/*
+ * Columns of SPARQL results whose IRIs get a label column, and the
+ * endpoint (profile) the labels are fetched from.
+ * `value` is null when no labels are fetched.
+ */
+export default function LabelOptions({ variables, value, onChange }) {
+  const columns = value?.columns ?? []
+  const update = (changes) => {
+    const next = { profile: null, ...value, columns, ...changes }
+    onChange(next.columns.length > 0 ? next : null)
+  }
+  const toggleColumn = (column) =>
+    update({
+      columns: columns.includes(column)
+        ? columns.filter((c) => c !== column)
+        : [...columns, column],
+    })
+
+  return (
+    <div className="mt-3">
+      <div className="d-flex align-items-center flex-wrap mb-2">
+        <span className={S['option-title']}>Add labels of</span>
+        {variables.length === 0 && (
+          <small className="text-muted ml-2">
+            List the variables of the query to choose them
+          </small>
+        )}
+        {variables.map((variable) => (
+          <Form.Check
+            inline
+            key={variable}
+            type="checkbox"
+            id={`sparql-labels-${variable}`}
+            className="ml-2"
+            label={variable}
+            checked={columns.includes(variable)}
+            onChange={() => toggleColumn(variable)}
+          />
+        ))}
+      </div>
+      {columns.length > 0 && (
+        <div className="d-flex align-items-center mb-2">
+          <span className={S['option-title']}>Labels from</span>
+          <Dropdown className="d-inline-block raw-dropdown ml-2">
+            <Dropdown.Toggle variant="white" className="truncate-160px">
+              {getEndpointProfile(value.profile)?.name ?? SAME_ENDPOINT}
+            </Dropdown.Toggle>
+            <Dropdown.Menu>
+              <Dropdown.Item onSelect={() => update({ profile: null })}>
+                {SAME_ENDPOINT}
+              </Dropdown.Item>
+              {ENDPOINT_PROFILES.map((profile) => (
+                <Dropdown.Item
+                  key={profile.id}
+                  onSelect={() => update({ profile: profile.id })}
+                >
+                  {profile.name}
+                </Dropdown.Item>
+              ))}
+            </Dropdown.Menu>
+          </Dropdown>
+        </div>
+      )}
+    </div>
+  )
+}
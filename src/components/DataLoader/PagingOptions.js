@@ -0,0 +1,55 @@
+import React from 'react'
+import { Form } from 'react-bootstrap'
+import classNames from 'classnames'
+import { DEFAULT_PAGING } from '../../hooks/useDataLoaderUtils/paging'
+import S from './DataLoader.module.scss'
+
+function readCount(value) {
+  const count = parseInt(value, 10)
+  return Number.isFinite(count) && count > 0 ? count : 1
+}
+
+/*
+ * Fetching of SELECT results in pages of `pageSize` rows up to `maxRows`.
+ * `value` is null when results are fetched with a single request.
+ */
+export default function PagingOptions({ value, onChange }) {
+  const update = (changes) => onChange({ ...value, ...changes })
+  return (
+    <div className="mt-3">
+      <Form.Check
+        type="checkbox"
+        id="sparql-paging"
+        className="mb-2"
+        label="Fetch results in pages"
+        checked={value !== null}
+        onChange={() => onChange(value === null ? DEFAULT_PAGING : null)}
+      />
+      {value !== null && (
+        <div className="d-flex align-items-center mb-2">
+          <span className={S['option-title']}>Page size</span>
+          <Form.Control
+            id="sparql-paging-size"
+            type="number"
+            min={1}
+            size="sm"
+            className="ml-2 w-auto"
+            value={value.pageSize}
+            onChange={(e) => update({ pageSize: readCount(e.target.value) })}
+          />
+          <span className={classNames(S['option-title'], 'ml-3')}>Stop at</span>
+          <Form.Control
+            id="sparql-paging-max"
+            type="number"
+            min={1}
+            size="sm"
+            className="ml-2 w-auto"
+            value={value.maxRows}
+            onChange={(e) => update({ maxRows: readCount(e.target.value) })}
+          />
+          <span className="ml-2">rows</span>
+        </div>
+      )}
+    </div>
+  )
+}
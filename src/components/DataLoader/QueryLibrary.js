@@ -0,0 +1,214 @@
+import React, { useRef, useState } from 'react'
+import { Badge, Dropdown, Form, ListGroup } from 'react-bootstrap'
+import { getEndpointProfile } from '../../hooks/useDataLoaderUtils/endpoints'
+import {
+  deleteLibraryQuery,
+  exportQueryLibrary,
+  getLibraryTags,
+  getQueryLibrary,
+  importQueryLibrary,
+  parseTags,
+  saveLibraryQuery,
+} from '../../hooks/useDataLoaderUtils/queryLibrary'
+import S from './DataLoader.module.scss'
+
+const EMPTY_DRAFT = { title: '', description: '', tags: '' }
+
+function downloadLibrary(queries) {
+  const blob = new Blob([exportQueryLibrary(queries)], {
+    type: 'application/json',
+  })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = 'sparql-queries.json'
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+/*
+ * Queries saved by the user, filtered by tag.
+ * `query` is the text of the current query (null when it can not be saved)
+ * and `endpoint` the current endpoint, `onSelect` is called with the
+ * library entry chosen.
+ */
+export default function QueryLibrary({ query, endpoint, onSelect }) {
+  const [queries, setQueries] = useState(getQueryLibrary)
+  const [tag, setTag] = useState(null)
+  const [draft, setDraft] = useState(null)
+  const [error, setError] = useState(null)
+  const fileInputRef = useRef()
+
+  const tags = getLibraryTags(queries)
+  // The tag filter is dropped with the last query having the tag
+  const activeTag = tags.includes(tag) ? tag : null
+  const shownQueries = activeTag
+    ? queries.filter((q) => q.tags.includes(activeTag))
+    : queries
+
+  // The draft stays open when the query can not be saved
+  const saveDraft = () => {
+    try {
+      setQueries(
+        saveLibraryQuery({
+          title: draft.title,
+          description: draft.description,
+          tags: parseTags(draft.tags),
+          query,
+          endpoint: { profile: endpoint.id, url: endpoint.url },
+        })
+      )
+      setDraft(null)
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const importFile = (e) => {
+    const [file] = e.target.files
+    e.target.value = ''
+    if (!file) {
+      return
+    }
+    const reader = new FileReader()
+    reader.addEventListener('load', (event) => {
+      try {
+        setQueries(importQueryLibrary(event.target.result))
+        setError(null)
+      } catch (err) {
+        setError(err.message)
+      }
+    })
+    reader.readAsText(file)
+  }
+
+  return (
+    <div className="mt-3 mb-2">
+      <div className="d-flex align-items-center mb-2">
+        <span className={S['option-title']}>Saved queries</span>
+        <Dropdown className="d-inline-block raw-dropdown ml-2">
+          <Dropdown.Toggle
+            variant="white"
+            className="truncate-160px"
+            disabled={tags.length === 0}
+          >
+            {activeTag ?? 'All tags'}
+          </Dropdown.Toggle>
+          <Dropdown.Menu>
+            <Dropdown.Item onSelect={() => setTag(null)}>
+              All tags
+            </Dropdown.Item>
+            {tags.map((d) => (
+              <Dropdown.Item key={d} onSelect={() => setTag(d)}>
+                {d}
+              </Dropdown.Item>
+            ))}
+          </Dropdown.Menu>
+        </Dropdown>
+        <button
+          className="btn btn-sm btn-outline-secondary ml-auto"
+          disabled={!query || draft !== null}
+          onClick={() => setDraft(EMPTY_DRAFT)}
+        >
+          Save current query
+        </button>
+        <button
+          className="btn btn-sm btn-outline-secondary ml-2"
+          disabled={queries.length === 0}
+          onClick={() => downloadLibrary(queries)}
+        >
+          Export
+        </button>
+        <button
+          className="btn btn-sm btn-outline-secondary ml-2"
+          onClick={() => fileInputRef.current.click()}
+        >
+          Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          className="d-none"
+          onChange={importFile}
+        />
+      </div>
+      {error && <small className="d-block text-danger mb-2">{error}</small>}
+      {draft !== null && (
+        <div className="mb-2">
+          {[
+            ['title', 'Title'],
+            ['description', 'Description'],
+            ['tags', 'Tags, comma separated'],
+          ].map(([field, placeholder]) => (
+            <Form.Control
+              key={field}
+              id={`sparql-library-${field}`}
+              size="sm"
+              className="mb-2"
+              placeholder={placeholder}
+              value={draft[field]}
+              onChange={(e) => setDraft({ ...draft, [field]: e.target.value })}
+            />
+          ))}
+          <div className="text-right">
+            <button
+              className="btn btn-sm btn-link"
+              onClick={() => setDraft(null)}
+            >
+              Cancel
+            </button>
+            <button
+              className="btn btn-sm btn-success ml-2"
+              disabled={draft.title.trim() === ''}
+              onClick={saveDraft}
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      )}
+      {shownQueries.length > 0 && (
+        <ListGroup>
+          {shownQueries.map((q) => (
+            <ListGroup.Item
+              key={q.id}
+              className="d-flex align-items-start justify-content-between"
+            >
+              <div>
+                <div className="font-weight-bold">{q.title}</div>
+                {q.description && (
+                  <small className="d-block text-muted">{q.description}</small>
+                )}
+                <small className="d-block text-muted">
+                  {getEndpointProfile(q.endpoint.profile)?.name ??
+                    q.endpoint.url}
+                </small>
+                {q.tags.map((t) => (
+                  <Badge key={t} variant="light" className="mr-1">
+                    {t}
+                  </Badge>
+                ))}
+              </div>
+              <div className="text-nowrap">
+                <button
+                  className="btn btn-sm btn-link"
+                  onClick={() => onSelect(q)}
+                >
+                  Use
+                </button>
+                <button
+                  className="btn btn-sm btn-link text-danger"
+                  onClick={() => setQueries(deleteLibraryQuery(q.id))}
+                >
+                  Delete
+                </button>
+              </div>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,42 @@
+import React from 'react'
+import { Dropdown, Form } from 'react-bootstrap'
+import { IRI_FORMATS } from '../../hooks/useDataLoaderUtils/sparqlResults'
+import S from './DataLoader.module.scss'
+
+/*
+ * How SPARQL results are read: preferred languages of literals
+ * and rendering of IRIs
+ */
+export default function SparqlResultsOptions({ value, onChange }) {
+  const update = (changes) => onChange({ ...value, ...changes })
+  return (
+    <div className="mt-3">
+      <div className="d-flex align-items-center mb-2">
+        <span className={S['option-title']}>Preferred languages</span>
+        <Form.Control
+          id="sparql-results-language"
+          size="sm"
+          className="ml-2 w-auto"
+          placeholder="e.g. en, de"
+          value={value.language}
+          onChange={(e) => update({ language: e.target.value })}
+        />
+      </div>
+      <div className="d-flex align-items-center mb-2">
+        <span className={S['option-title']}>Show IRIs as</span>
+        <Dropdown className="d-inline-block raw-dropdown ml-2">
+          <Dropdown.Toggle variant="white" className="truncate-160px">
+            {IRI_FORMATS[value.iriFormat]}
+          </Dropdown.Toggle>
+          <Dropdown.Menu>
+            {Object.keys(IRI_FORMATS).map((d) => (
+              <Dropdown.Item key={d} onSelect={() => update({ iriFormat: d })}>
+                {IRI_FORMATS[d]}
+              </Dropdown.Item>
+            ))}
+          </Dropdown.Menu>
+        </Dropdown>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,64 @@
+import React from 'react'
+import { Dropdown, Form } from 'react-bootstrap'
+import {
+  getParameterError,
+  getTemplateParameters,
+} from '../../hooks/useDataLoaderUtils/templates'
+import S from './DataLoader.module.scss'
+
+const INPUT_TYPES = { number: 'number', date: 'date' }
+
+function ParameterInput({ parameter, value, onChange }) {
+  if (parameter.values) {
+    return (
+      <Dropdown className="d-inline-block raw-dropdown ml-2">
+        <Dropdown.Toggle variant="white" className="truncate-160px">
+          {value}
+        </Dropdown.Toggle>
+        <Dropdown.Menu>
+          {parameter.values.map((d) => (
+            <Dropdown.Item key={d} onSelect={() => onChange(d)}>
+              {d}
+            </Dropdown.Item>
+          ))}
+        </Dropdown.Menu>
+      </Dropdown>
+    )
+  }
+  const error = getParameterError(parameter, value)
+  return (
+    <>
+      <Form.Control
+        id={`sparql-parameter-${parameter.name}`}
+        type={INPUT_TYPES[parameter.type] ?? 'text'}
+        size="sm"
+        className="ml-2 w-auto"
+        value={value}
+        isInvalid={error !== null}
+        onChange={(e) => onChange(e.target.value)}
+      />
+      {error && <small className="text-danger ml-2">{error}</small>}
+    </>
+  )
+}
+
+/*
+ * Form with the parameters of a SPARQL query template.
+ * `value` maps the parameter names to their values.
+ */
+export default function TemplateParameters({ template, value, onChange }) {
+  return (
+    <div className="mt-3">
+      {getTemplateParameters(template).map((parameter) => (
+        <div key={parameter.name} className="d-flex align-items-center mb-2">
+          <span className={S['option-title']}>{parameter.name}</span>
+          <ParameterInput
+            parameter={parameter}
+            value={value[parameter.name]}
+            onChange={(v) => onChange({ ...value, [parameter.name]: v })}
+          />
+        </div>
+      ))}
+    </div>
+  )
+}
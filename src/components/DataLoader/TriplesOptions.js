@@ -0,0 +1,83 @@
+import React from 'react'
+import { Dropdown, Form } from 'react-bootstrap'
+import {
+  guessTriplesVariables,
+  MULTI_VALUE_POLICIES,
+} from '../../hooks/useDataLoaderUtils/triples'
+import S from './DataLoader.module.scss'
+
+function TriplesDropdown({ title, value, list, labels, onChange }) {
+  return (
+    <div className="d-flex align-items-center mb-2">
+      <span className={S['option-title']}>{title}</span>
+      <Dropdown className="d-inline-block raw-dropdown ml-2">
+        <Dropdown.Toggle
+          variant="white"
+          className="truncate-160px"
+          disabled={list.length === 0}
+        >
+          {value ? labels?.[value] ?? value : 'Variable'}
+        </Dropdown.Toggle>
+        <Dropdown.Menu>
+          {list.map((d) => (
+            <Dropdown.Item key={d} onSelect={() => onChange(d)}>
+              {labels?.[d] ?? d}
+            </Dropdown.Item>
+          ))}
+        </Dropdown.Menu>
+      </Dropdown>
+    </div>
+  )
+}
+
+/*
+ * Options of the "triples to table" conversion of SPARQL results.
+ * `value` is null when results are loaded as they are.
+ */
+export default function TriplesOptions({ variables, value, onChange }) {
+  const update = (changes) => onChange({ ...value, ...changes })
+  return (
+    <div className="mt-3">
+      <Form.Check
+        type="checkbox"
+        id="sparql-triples-to-table"
+        className="mb-2"
+        label="Convert triples to a table, with one row per subject and one column per predicate"
+        checked={value !== null}
+        disabled={variables.length < 3}
+        onChange={(e) =>
+          onChange(e.target.checked ? guessTriplesVariables(variables) : null)
+        }
+      />
+      {value !== null && (
+        <>
+          <TriplesDropdown
+            title="Subject"
+            value={value.subject}
+            list={variables}
+            onChange={(subject) => update({ subject })}
+          />
+          <TriplesDropdown
+            title="Predicate"
+            value={value.predicate}
+            list={variables}
+            onChange={(predicate) => update({ predicate })}
+          />
+          <TriplesDropdown
+            title="Object"
+            value={value.object}
+            list={variables}
+            onChange={(object) => update({ object })}
+          />
+          <TriplesDropdown
+            title="Multiple values"
+            value={value.multiValue}
+            list={Object.keys(MULTI_VALUE_POLICIES)}
+            labels={MULTI_VALUE_POLICIES}
+            onChange={(multiValue) => update({ multiValue })}
+          />
+        </>
+      )}
+    </div>
+  )
+}
@@ -1,281 +1,224 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
 import { Form, Spinner, Alert, Button, Collapse, Row, Col, Card } from 'react-bootstrap';
 import { fetchData } from './SparqlFetch'; // Import fetchData
+import { fetchData as fetchUrl } from './UrlFetch';
 import { Parser as SparqlParser } from 'sparqljs'; // Import SparqlParser
 import { debounce } from 'lodash';
-import { csvFormat } from 'd3-dsv'; // Import csvFormat
 import styles from './CatalogueSearch.module.scss';
-import { SparqlMarker } from '../../../hooks/useDataLoaderUtils/parser'; // Import the SparqlMarker Symbol
 import { useRef } from 'react'; // Import useRef
+import { guessTriplesVariables } from '../../../hooks/useDataLoaderUtils/triples';
+import {
+  CATALOGUE_FACETS,
+  CATALOGUE_PAGE_SIZE,
+  CATALOGUE_SORTS,
+  chooseDistribution,
+  getCatalogueCountQuery,
+  getCatalogueFacetQuery,
+  getCatalogueSearchQuery,
+  getDistributionDataQuery,
+  getDistributionsQuery,
+  getMediaType,
+  isSupportedDistribution,
+} from '../../../hooks/useDataLoaderUtils/catalogue';
+import { getInitialEndpoint } from '../../../hooks/useDataLoaderUtils/endpoints';
+import { isValidRegex, MATCH_MODES } from '../../../hooks/useDataLoaderUtils/sparqlEscape';
+import TriplesOptions from '../TriplesOptions';
+import LabelOptions from '../LabelOptions';
+import EndpointSelector from '../EndpointSelector';
+
+// Variables of the query loading SPARQL distributions
+const DISTRIBUTION_QUERY_VARIABLES = ['s', 'p', 'o'];
+
+function isSparqlDistribution(distribution) {
+  return getMediaType(distribution) === 'application/sparql-query';
+}
 
 function CatalogueSearch({ setUserInput, setLoadingError, initialState }) {
   const isMountedRef = useRef(true); // Ref to track mounted state
   const [searchTerm, setSearchTerm] = useState('');
-  const [sparqlEndpoint, setSparqlEndpoint] = useState(initialState?.endpoint || 'https://fskx-api-gateway-service.risk-ai-cloud.com/gdb-proxy-service/sparql'); // Default or from initial state
-  const [showEndpointInput, setShowEndpointInput] = useState(false);
+  const [sparqlEndpoint, setSparqlEndpoint] = useState(() => getInitialEndpoint('catalogue', initialState));
   const [searchResults, setSearchResults] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [initialLoadDone, setInitialLoadDone] = useState(false);
+  const [search, setSearch] = useState({ searchTerm: '', matchMode: 'literal', facets: {}, sort: 'title', page: 0 });
+  const [searchEndpoint, setSearchEndpoint] = useState(sparqlEndpoint);
+  const [total, setTotal] = useState(0);
+  const [facetValues, setFacetValues] = useState({});
+  const [showFacets, setShowFacets] = useState(false);
+  const searchRequestRef = useRef(0);
+  const [selectedItem, setSelectedItem] = useState(null);
+  const [distributions, setDistributions] = useState(null);
+  const [selectedDistribution, setSelectedDistribution] = useState(null);
+  const selectedItemRef = useRef(null);
+  const [triples, setTriples] = useState(
+    () => initialState?.triples ?? guessTriplesVariables(DISTRIBUTION_QUERY_VARIABLES)
+  );
+  // Objects are shown with their labels by default
+  const [labels, setLabels] = useState(
+    () => initialState?.labels ?? { columns: ['o'], profile: null }
+  );
 
-  const executeSearch = useCallback(async (currentSearchTerm, currentEndpoint, isInitialCall = false) => {
-    if (!isInitialCall && !currentSearchTerm.trim()) {
-      setSearchResults([]);
-      setError(null);
-      return;
-    }
-    if (!currentEndpoint.trim()) {
+  const executeSearch = useCallback(async (currentSearch, currentEndpoint) => {
+    if (!currentEndpoint.url.trim()) {
       setError("SPARQL endpoint URL cannot be empty.");
       setSearchResults([]);
       return;
     }
 
+    // Responses of outdated searches are ignored
+    const request = ++searchRequestRef.current;
     setIsLoading(true);
     setError(null);
     setLoadingError(null);
 
-    const queryString = `
-      PREFIX dcat: <http://www.w3.org/ns/dcat#>
-      PREFIX dct: <http://purl.org/dc/terms/>
-
-      SELECT ?dataset ?title
-             (SAMPLE(?desc) AS ?description)
-             (SAMPLE(?dlURL) AS ?downloadURL)
-             (SAMPLE(?lic) AS ?license)
-             (GROUP_CONCAT(DISTINCT STR(?kw); SEPARATOR=", ") AS ?keywords)
-      WHERE {GRAPH <https://fskx-graphdb.risk-ai-cloud.com/765519e1754dfade07fdb3e80036e2c3/ontology/>{
-        ?dataset a dcat:Dataset .
-        ?dataset dct:title ?title .
-        OPTIONAL { ?dataset dct:description ?desc . }
-        OPTIONAL {
-          ?dataset dcat:distribution ?distribution .
-          ?distribution dcat:downloadURL ?dlURL .
-        }
-        OPTIONAL { ?dataset dcat:keyword ?kw . } # Corrected to dcat:keyword
-        OPTIONAL { ?dataset dct:license ?lic . }
-
-        ${currentSearchTerm.trim() ? `FILTER (regex(str(?title), "${currentSearchTerm}", "i"))` : ''}
-   } }
-      GROUP BY ?dataset ?title
-      LIMIT 5 # Corrected LIMIT to 5
-    `;
+    const runQuery = (queryString) => fetchData({
+      type: 'sparql', // Matches what fetchData expects
+      url: currentEndpoint.url,
+      profile: currentEndpoint.id,
+      query: new SparqlParser().parse(queryString),
+    });
+    const facetNames = Object.keys(CATALOGUE_FACETS);
 
-    const parser = new SparqlParser();
     try {
-      const parsedQuery = parser.parse(queryString);
-      const source = {
-        type: 'sparql', // Matches what fetchData expects
-        url: currentEndpoint,
-        query: parsedQuery,
-      };
       // fetchData returns already processed objects (not raw SPARQL JSON)
-      const results = await fetchData(source); 
+      const [results, count, ...facets] = await Promise.all([
+        runQuery(getCatalogueSearchQuery(currentSearch, currentEndpoint.graph)),
+        runQuery(getCatalogueCountQuery(currentSearch, currentEndpoint.graph)),
+        ...facetNames.map((facet) => runQuery(getCatalogueFacetQuery(facet, currentSearch, currentEndpoint.graph))),
+      ]);
+      if (!isMountedRef.current || request !== searchRequestRef.current) {
+        return;
+      }
       setSearchResults(results);
+      setTotal(+count[0]?.total || 0);
+      setFacetValues(Object.fromEntries(facetNames.map((facet, i) => [facet, facets[i]])));
       if (results.length === 0) {
         setError('No datasets found matching your query.');
       }
     } catch (e) {
       console.error("SPARQL query or parsing error:", e);
+      if (!isMountedRef.current || request !== searchRequestRef.current) {
+        return;
+      }
       const errorMessage = e.message || 'Failed to fetch or parse data from the SPARQL endpoint.';
       setError(errorMessage);
       setLoadingError(errorMessage);
       setSearchResults([]);
+      setTotal(0);
     } finally {
-      setIsLoading(false);
+      if (isMountedRef.current && request === searchRequestRef.current) {
+        setIsLoading(false);
+      }
     }
   }, [setLoadingError]);
 
-  // Effect for initial data load & mounted state
+  // Effect for mounted state
   useEffect(() => {
     isMountedRef.current = true;
-    if (sparqlEndpoint && !initialLoadDone) {
-      executeSearch('', sparqlEndpoint, true); 
-      setInitialLoadDone(true);
-    }
     return () => {
       isMountedRef.current = false; // Set to false when component unmounts
     };
-  }, [sparqlEndpoint, executeSearch, initialLoadDone]); // executeSearch and initialLoadDone added as dependencies
+  }, []);
 
-  const debouncedSearch = useCallback(debounce((term, endpoint) => executeSearch(term, endpoint, false), 500), [executeSearch]); // executeSearch is already a useCallback
+  useEffect(() => {
+    executeSearch(search, searchEndpoint);
+  }, [search, searchEndpoint, executeSearch]);
+
+  // Typing in search term and endpoint inputs starts a new search after a pause
+  const debouncedSearch = useMemo(() => debounce((term, endpoint) => {
+    setSearch((current) => ({ ...current, searchTerm: term, page: 0 }));
+    setSearchEndpoint(endpoint);
+  }, 500), []);
 
   const handleSearchTermChange = (e) => {
-    const newSearchTerm = e.target.value;
-    setSearchTerm(newSearchTerm);
-    if (newSearchTerm.trim() === '') {
-      // If search term is cleared, fetch initial list
-      executeSearch('', sparqlEndpoint, true);
-    } else {
-      debouncedSearch(newSearchTerm, sparqlEndpoint);
-    }
+    setSearchTerm(e.target.value);
+    debouncedSearch(e.target.value, sparqlEndpoint);
   };
 
-  const handleEndpointChange = (e) => {
-    setSparqlEndpoint(e.target.value);
-    // Optionally, trigger search immediately if there's a search term
-    if (searchTerm.trim()) {
-      debouncedSearch(searchTerm, e.target.value);
-    }
+  const handleEndpointChange = (endpoint) => {
+    setSparqlEndpoint(endpoint);
+    debouncedSearch(searchTerm, endpoint);
   };
-  
-  const handleDatasetSelect = async (item) => {
-    setLoadingError(null);
-    setIsLoading(true);
-    setError(null); // Clear previous errors
-
-    // IMPORTANT: This is a placeholder query. Replace with the actual static query.
-    const STATIC_DEFAULT_QUERY_STRING = `
-    PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
-     SELECT ?s ?column_name ?entity_name WHERE {
-  ?s ?p ?entity_name .
-  ?p rdfs:label ?column_name.
-  #OPTIONAL {?o rdfs:label ?entity_name}
-  FILTER REGEX(STR(?s), "http://bfr-bund-graph.de/data/f32aabcfaf804182066be20bc9d1d79a", "i")
-}
 
-    `;
+  const toggleFacetValue = (facet, value) => {
+    const selected = search.facets[facet] ?? [];
+    setSearch({
+      ...search,
+      facets: {
+        ...search.facets,
+        [facet]: selected.includes(value)
+          ? selected.filter((v) => v !== value)
+          : [...selected, value],
+      },
+      page: 0,
+    });
+  };
 
-    const parser = new SparqlParser();
-    let parsedQuery;
+  const pageCount = Math.ceil(total / CATALOGUE_PAGE_SIZE);
 
+  // Selecting a dataset lists its distributions, the preferred one is chosen
+  const handleDatasetSelect = async (item) => {
+    selectedItemRef.current = item;
+    setSelectedItem(item);
+    setDistributions(null);
+    setSelectedDistribution(null);
+    setError(null);
     try {
-      parsedQuery = parser.parse(STATIC_DEFAULT_QUERY_STRING);
+      const rows = await fetchData({
+        type: 'sparql',
+        url: sparqlEndpoint.url,
+        profile: sparqlEndpoint.id,
+        query: new SparqlParser().parse(getDistributionsQuery(item.dataset, sparqlEndpoint.graph)),
+      });
+      if (isMountedRef.current && selectedItemRef.current === item) {
+        setDistributions(rows);
+        setSelectedDistribution(chooseDistribution(rows));
+      }
     } catch (e) {
-      console.error("Error parsing static default SPARQL query:", e);
-      const errorMessage = `Error parsing the predefined SPARQL query: ${e.message}`;
-      if (isMountedRef.current) {
-        setError(errorMessage);
-        setLoadingError(errorMessage);
-        setIsLoading(false);
+      console.error("Error loading dataset distributions:", e);
+      if (isMountedRef.current && selectedItemRef.current === item) {
+        setError(e.message || 'Failed to load the distributions of the dataset.');
+        setDistributions([]);
       }
-      return;
     }
+  };
 
-    const source = {
-      type: 'sparql', // Will be used by fetchData
-      url: sparqlEndpoint, // Use the current catalogue's SPARQL endpoint
-      query: parsedQuery,
+  const handleDatasetLoad = async (item, distribution) => {
+    setLoadingError(null);
+    setIsLoading(true);
+    setError(null); // Clear previous errors
+
+    // Kept in the data source to credit the dataset
+    const catalogue = {
+      dataset: item.dataset,
+      title: item.title,
+      license: item.license || null,
     };
 
     try {
-      // Pivot the results: group by subject, predicates become columns
-      const pivotTripleResults = (triples) => {
-        if (!triples || triples.length === 0) {
-          return [];
-        }
-        // User's query returns ?s, ?column_name, ?entity_name
-        // ?s is the subject/row identifier
-        // ?column_name is the predicate/column header
-        // ?entity_name is the object/value
-        const groupedBySubject = triples.reduce((acc, triple) => {
-          const subjectVal = triple.s; 
-          const predicateVal = triple.column_name; 
-          const objectVal = triple.entity_name;
-
-          if (!subjectVal || !predicateVal) {
-            // Skip triples missing subject or predicate for pivoting
-            console.warn('Skipping triple due to missing subject or predicate for pivoting:', triple);
-            return acc;
-          }
-
-          // Initialize row with the subject variable itself, using its original name 's'
-          // or a generic name like 'id' or the first column name from the query.
-          // For now, let's keep 's' as a column in the output, or use a fixed name like 'identifier'.
-          // The user might want the 's' column to be named something specific or omitted if it's just an IRI.
-          // Let's assume 's' should be part of the output row.
-          acc[subjectVal] = acc[subjectVal] || { s: subjectVal }; 
-          acc[subjectVal][predicateVal] = objectVal;
-          return acc;
-        }, {});
-
-        const pivoted = Object.values(groupedBySubject);
-        // Preserve the SparqlMarker (Symbol) if present on the rawResults
-        if (rawResults[SparqlMarker] === true) {
-          pivoted[SparqlMarker] = true;
-        }
-        return pivoted;
-      };
-
-      const rawResults = await fetchData(source); // fetchData is already imported
-      console.log('Raw SPARQL Results (JSON before IRI resolution):', JSON.stringify(rawResults, null, 2));
-
-      // Resolve Wikidata IRIs in the 'object' part of the raw results
-      const resolveWikidataIrisInRawResults = async (triples) => {
-        if (!triples || triples.length === 0) return triples;
-
-        const wikidataIrisToResolve = new Set();
-        // Assuming user's query SELECT ?s ?column_name ?entity_name
-        // where ?entity_name is the object to be resolved.
-        for (const triple of triples) {
-          const objectValue = triple.entity_name; 
-          if (typeof objectValue === 'string' &&
-              (objectValue.startsWith('http://www.wikidata.org/entity/Q') || 
-               objectValue.startsWith('https://www.wikidata.org/entity/Q') ||
-               objectValue.startsWith('http://www.wikidata.org/wiki/Q') ||    // Add /wiki/ variant
-               objectValue.startsWith('https://www.wikidata.org/wiki/Q'))) { // Add /wiki/ variant
-            wikidataIrisToResolve.add(objectValue);
-          }
-        }
-
-        if (wikidataIrisToResolve.size === 0) {
-          console.log("No Wikidata IRIs found in 'entity_name' field to resolve.");
-          return triples; 
-        }
-        
-        console.log("Attempting to resolve Wikidata IRIs:", [...wikidataIrisToResolve]);
-        const labelsMap = await fetchWikidataLabels([...wikidataIrisToResolve]); // Existing helper
-        console.log("Resolved Wikidata Labels Map:", labelsMap);
-
-        const resolvedTriples = triples.map(triple => {
-          const objectValue = triple.entity_name;
-          if (typeof objectValue === 'string' && labelsMap.hasOwnProperty(objectValue)) {
-            // Store as an object to keep both IRI and Label
-            return { 
-              ...triple, 
-              entity_name: { 
-                iri: objectValue, 
-                label: labelsMap[objectValue],
-                __resolved_iri__: true // Special marker for this type of object
-              } 
-            };
-          }
-          return triple;
-        });
+      if (!isSparqlDistribution(distribution)) {
+        const source = {
+          type: 'url',
+          url: distribution.downloadURL || distribution.accessURL,
+        };
+        const text = await fetchUrl(source);
+        setUserInput(text, { ...source, catalogue });
+        return;
+      }
 
-        if (triples[SparqlMarker] === true) { // Propagate marker
-          resolvedTriples[SparqlMarker] = true;
-        }
-        return resolvedTriples;
+      const source = {
+        type: 'sparql', // Will be used by fetchData
+        url: distribution.endpointURL,
+        query: new SparqlParser().parse(getDistributionDataQuery(distribution)),
+        triples,
+        labels,
       };
+      const results = await fetchData(source); // fetchData is already imported
 
-      const resultsWithResolvedIris = await resolveWikidataIrisInRawResults(rawResults);
-      console.log('Results with resolved IRIs (JSON before pivoting):', JSON.stringify(resultsWithResolvedIris, null, 2));
-      
-      const pivotedResults = pivotTripleResults(resultsWithResolvedIris);
-      console.log('Pivoted Results (JSON after resolving and pivoting):', JSON.stringify(pivotedResults, null, 2));
-
-      if (pivotedResults && pivotedResults.length > 0) {
-        try {
-          const csvString = csvFormat(pivotedResults);
-          console.log('Pivoted Results (CSV):\n', csvString);
-        } catch (csvError) {
-          console.error('Error converting pivoted results to CSV:', csvError);
-        }
-      } else {
-        console.log('Pivoted Results (CSV): No data to format.');
-      }
-
-      setUserInput(pivotedResults, {
-        type: 'sparql',
-        query: parsedQuery, 
-        endpoint: sparqlEndpoint, 
-        fromCatalogueClick: true, 
-        originalItemTitle: item.title, 
-        staticQueryUsed: STATIC_DEFAULT_QUERY_STRING, 
-      });
+      setUserInput(results, { ...source, catalogue });
     } catch (e) {
       console.error("Error during dataset selection and processing:", e);
-      const errorMessage = e.message || `Failed to execute the predefined SPARQL query on endpoint ${sparqlEndpoint}.`;
+      const errorMessage = e.message || `Failed to load the distribution of "${item.title}".`;
       if (isMountedRef.current) {
         setError(errorMessage);
         setLoadingError(errorMessage);
@@ -287,82 +230,93 @@ function CatalogueSearch({ setUserInput, setLoadingError, initialState }) {
     }
   };
 
-// Helper function to fetch labels from Wikidata (remains largely the same)
-async function fetchWikidataLabels(iris) {
-  if (!iris || iris.length === 0) return {};
-  const ids = iris.map(iri => iri.substring(iri.lastIndexOf('/') + 1)).join('|');
-  const url = `https://www.wikidata.org/w/api.php?action=wbgetentities&ids=${ids}&props=labels&languages=en&format=json&origin=*`;
-  const labels = {};
-  try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      console.error(`Wikidata API error: ${response.status} ${response.statusText}`);
-      return labels;
-    }
-    const data = await response.json();
-    if (data.entities) {
-      for (const idKey in data.entities) {
-        const entity = data.entities[idKey];
-        // Check if entity and its ID exists, and it has an English label
-        if (entity && entity.id && entity.labels && entity.labels.en && entity.labels.en.value) {
-          const originalIri = iris.find(iri => iri.endsWith('/' + entity.id));
-          if (originalIri) {
-            labels[originalIri] = entity.labels.en.value;
-          }
-        } else {
-          // If no English label, try to find the original IRI and keep it, or mark as 'Label not found'
-          const originalIri = iris.find(iri => iri.endsWith('/' + (entity.id || idKey)));
-          if (originalIri && !labels[originalIri]) { // Avoid overwriting if somehow already set
-             // labels[originalIri] = originalIri; // Keep original IRI if no label
-             console.warn(`No English label found for Wikidata entity: ${originalIri} (ID: ${entity.id || idKey})`);
-          }
-        }
-      }
-    }
-  } catch (error) {
-    console.error("Failed to fetch or parse Wikidata labels:", error);
-  }
-  return labels;
-}
-
-// Removed fetchNcbiProteinLabels as per user request to focus on Wikidata
-
   return (
     <div>
-      <Button
-        onClick={() => setShowEndpointInput(!showEndpointInput)}
-        aria-controls="sparql-endpoint-collapse"
-        aria-expanded={showEndpointInput}
-        variant="link"
-        className="p-0 mb-2"
-      >
-        {showEndpointInput ? 'Hide SPARQL Endpoint' : 'Change SPARQL Endpoint'}
-      </Button>
-      <Collapse in={showEndpointInput}>
-        <div id="sparql-endpoint-collapse">
-          <Form.Group controlId="sparqlEndpoint" className="mb-2">
-            <Form.Label>SPARQL Endpoint URL</Form.Label>
-            <Form.Control
-              type="url"
-              placeholder="Enter SPARQL endpoint URL"
-              value={sparqlEndpoint}
-              onChange={handleEndpointChange}
-            />
-          </Form.Group>
-        </div>
-      </Collapse>
+      <EndpointSelector
+        id="sparqlEndpoint"
+        value={sparqlEndpoint}
+        onChange={handleEndpointChange}
+      />
 
       <Form.Group controlId="searchTerm">
         <Form.Label>Search Dataset</Form.Label>
         <Form.Control
           type="text"
-          placeholder="Enter search term for dataset title or description"
+          placeholder="Enter search term for dataset title, description or keywords"
           value={searchTerm}
           onChange={handleSearchTermChange}
-          disabled={!sparqlEndpoint.trim()}
+          disabled={!sparqlEndpoint.url.trim()}
+          isInvalid={search.matchMode === 'regex' && !isValidRegex(searchTerm)}
+        />
+        <Form.Check
+          type="checkbox"
+          id="searchTermRegex"
+          className="mt-2"
+          label={MATCH_MODES.regex}
+          checked={search.matchMode === 'regex'}
+          onChange={(e) => setSearch({ ...search, matchMode: e.target.checked ? 'regex' : 'literal', page: 0 })}
         />
       </Form.Group>
 
+      <div className="d-flex align-items-center justify-content-between">
+        <Button
+          onClick={() => setShowFacets(!showFacets)}
+          aria-controls="catalogue-facets-collapse"
+          aria-expanded={showFacets}
+          variant="link"
+          className="p-0"
+        >
+          {showFacets ? 'Hide filters' : 'Show filters'}
+        </Button>
+        <div className="d-flex align-items-center">
+          <span className="mr-2 text-nowrap">{total} datasets, sort by</span>
+          <Form.Control
+            as="select"
+            size="sm"
+            value={search.sort}
+            onChange={(e) => setSearch({ ...search, sort: e.target.value, page: 0 })}
+          >
+            {Object.keys(CATALOGUE_SORTS).map((sort) => (
+              <option key={sort} value={sort}>
+                {CATALOGUE_SORTS[sort].label}
+              </option>
+            ))}
+          </Form.Control>
+        </div>
+      </div>
+      <Collapse in={showFacets}>
+        <div id="catalogue-facets-collapse">
+          {Object.keys(CATALOGUE_FACETS).map((facet) => {
+            const selected = search.facets[facet] ?? [];
+            const values = facetValues[facet] ?? [];
+            // Selected values are listed even when they are not among the top ones
+            const missing = selected
+              .filter((value) => !values.some((v) => v.value === value))
+              .map((value) => ({ value }));
+            const items = [...missing, ...values];
+            if (items.length === 0) {
+              return null;
+            }
+            return (
+              <div key={facet} className={styles.facet}>
+                <span className={styles.metadataLabel}>{CATALOGUE_FACETS[facet].label}: </span>
+                {items.map((item) => (
+                  <Form.Check
+                    inline
+                    key={item.value}
+                    type="checkbox"
+                    id={`catalogue-facet-${facet}-${item.value}`}
+                    label={`${item.label || item.value}${item.count ? ` (${item.count})` : ''}`}
+                    checked={selected.includes(item.value)}
+                    onChange={() => toggleFacetValue(facet, item.value)}
+                  />
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      </Collapse>
+
       {isLoading && (
         <div className="d-flex align-items-center mt-3">
           <Spinner animation="border" size="sm" role="status" className="me-2" />
@@ -372,6 +326,77 @@ async function fetchWikidataLabels(iris) {
 
       {error && <Alert variant="danger" className="mt-3">{error}</Alert>}
 
+      {selectedItem && (
+        <Card className="mt-3">
+          <Card.Body>
+            <h5 className={styles.cardTitle}>
+              {selectedItem.title || '[No Title Provided]'}
+            </h5>
+            {distributions === null && (
+              <div className="d-flex align-items-center">
+                <Spinner animation="border" size="sm" role="status" className="mr-2" />
+                <span>Loading distributions...</span>
+              </div>
+            )}
+            {distributions !== null && !distributions.some(isSupportedDistribution) && (
+              <p className="text-warning mb-0">
+                This dataset has no distribution that can be loaded (CSV, TSV, JSON or SPARQL endpoint).
+              </p>
+            )}
+            {distributions !== null && distributions.map((distribution) => (
+              <Form.Check
+                key={distribution.distribution}
+                type="radio"
+                id={`distribution-${distribution.distribution}`}
+                name="catalogue-distribution"
+                label={`${getMediaType(distribution) || 'Unknown format'}: ${
+                  distribution.title ||
+                  distribution.downloadURL ||
+                  distribution.accessURL ||
+                  distribution.endpointURL ||
+                  distribution.distribution
+                }`}
+                disabled={!isSupportedDistribution(distribution)}
+                checked={selectedDistribution === distribution}
+                onChange={() => setSelectedDistribution(distribution)}
+              />
+            ))}
+            {selectedDistribution && isSparqlDistribution(selectedDistribution) && (
+              <>
+                <LabelOptions
+                  variables={DISTRIBUTION_QUERY_VARIABLES}
+                  value={labels}
+                  onChange={setLabels}
+                />
+                <TriplesOptions
+                  variables={DISTRIBUTION_QUERY_VARIABLES}
+                  value={triples}
+                  onChange={setTriples}
+                />
+              </>
+            )}
+            <div className="text-right">
+              <button
+                className="btn btn-sm btn-secondary mt-3 mr-2"
+                onClick={() => {
+                  selectedItemRef.current = null;
+                  setSelectedItem(null);
+                }}
+              >
+                Cancel
+              </button>
+              <button
+                className="btn btn-sm btn-success mt-3"
+                disabled={isLoading || !selectedDistribution}
+                onClick={() => handleDatasetLoad(selectedItem, selectedDistribution)}
+              >
+                Load dataset
+              </button>
+            </div>
+          </Card.Body>
+        </Card>
+      )}
+
       {!isLoading && searchResults.length > 0 && (
         <Row className="mt-3"> {/* Removed g-3 as Col will be full width */}
           {searchResults.map((item, index) => (
@@ -413,6 +438,28 @@ async function fetchWikidataLabels(iris) {
           ))}
         </Row>
       )}
+
+      {!isLoading && pageCount > 1 && (
+        <div className="d-flex align-items-center justify-content-between">
+          <Button
+            variant="light"
+            size="sm"
+            disabled={search.page === 0}
+            onClick={() => setSearch({ ...search, page: search.page - 1 })}
+          >
+            Previous
+          </Button>
+          <span>Page {search.page + 1} of {pageCount}</span>
+          <Button
+            variant="light"
+            size="sm"
+            disabled={search.page + 1 >= pageCount}
+            onClick={() => setSearch({ ...search, page: search.page + 1 })}
+          >
+            Next
+          </Button>
+        </div>
+      )}
     </div>
   );
 }
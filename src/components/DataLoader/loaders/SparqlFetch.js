@@ -1,12 +1,65 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import classNames from 'classnames'
+import { Col, Row, Spinner } from 'react-bootstrap'
 import S from './SparqlFetch.module.scss'
 import { sparqlExamples } from './SPARQLItems'
 import { html, render } from 'lit-html'
 // Removed: import SimpleClient from 'sparql-http-client/SimpleClient'
-import { Generator } from 'sparqljs'
+import { Generator, Parser } from 'sparqljs'
 import '@rdfjs-elements/sparql-editor/sparql-editor.js'
-import { SparqlMarker } from '../../../hooks/useDataLoaderUtils/parser'
+import { sparqlJsonToRows } from '../../../hooks/useDataLoaderUtils/sparqlResults'
+import {
+  getQueryVariables,
+  triplesToTable,
+} from '../../../hooks/useDataLoaderUtils/triples'
+import {
+  getEndpointAuthHeaders,
+  getEndpointProfile,
+  getInitialEndpoint,
+  withDefaultGraph,
+} from '../../../hooks/useDataLoaderUtils/endpoints'
+import {
+  getResultsIris,
+  resolveLabels,
+} from '../../../hooks/useDataLoaderUtils/labels'
+import {
+  addNodeColumns,
+  GRAPH_ACCEPT,
+  GRAPH_VARIABLES,
+  isGraphQuery,
+  parseRdf,
+  quadsToNodes,
+  quadsToSparqlJson,
+} from '../../../hooks/useDataLoaderUtils/graph'
+import { hierarchyToTable } from '../../../hooks/useDataLoaderUtils/hierarchy'
+import {
+  getItemPattern,
+  hasPrefixDeclaration,
+} from '../../../hooks/useDataLoaderUtils/introspection'
+import {
+  fetchPages,
+  getResultsCapWarning,
+} from '../../../hooks/useDataLoaderUtils/paging'
+import { LoadingWarning } from '../../../hooks/useDataLoaderUtils/parser'
+import {
+  parseSparqlResults,
+  SELECT_ACCEPT,
+  UNSUPPORTED_FORMATS_MESSAGE,
+} from '../../../hooks/useDataLoaderUtils/resultFormats'
+import {
+  fillTemplate,
+  getParameterValues,
+  isTemplate,
+} from '../../../hooks/useDataLoaderUtils/templates'
+import TriplesOptions from '../TriplesOptions'
+import SparqlResultsOptions from '../SparqlResultsOptions'
+import LabelOptions from '../LabelOptions'
+import GraphTableOptions from '../GraphTableOptions'
+import PagingOptions from '../PagingOptions'
+import TemplateParameters from '../TemplateParameters'
+import QueryLibrary from '../QueryLibrary'
+import EndpointExplorer from '../EndpointExplorer'
+import EndpointSelector from '../EndpointSelector'
 
 const DEFAULT_PREFIXES = {
   wd: 'http://www.wikidata.org/entity/',
@@ -40,72 +93,136 @@ const DEFAULT_PREFIXES = {
   hint: 'http://www.bigdata.com/queryHints#',
 }
 
-// Helper function to convert SPARQL JSON results to flat objects
-function convertSparqlJsonToObjects(sparqlJson) {
-  if (!sparqlJson || !sparqlJson.head || !sparqlJson.results || !sparqlJson.results.bindings) {
-    console.error("Invalid SPARQL JSON structure received", sparqlJson);
-    return [];
+/*
+ * Labels of the IRIs of some variables of SPARQL JSON results, fetched from
+ * the endpoint and graph of the source or from the endpoint profile chosen
+ * for labels
+ */
+function fetchLabels(sparqlJson, source) {
+  const labelsEndpoint = getEndpointProfile(source.labels.profile) ?? {
+    url: source.url,
+    id: source.profile,
+    graph: source.graph,
   }
-  const varNames = sparqlJson.head.vars;
-  const bindings = sparqlJson.results.bindings;
-  const result = [];
-
-  for (const binding of bindings) {
-    const row = {};
-    for (const variable of varNames) {
-      const term = binding[variable];
-      if (!term) {
-        row[variable] = '';
-      } else {
-        row[variable] = term.value;
-      }
-    }
-    result.push(row);
-  }
-  return result;
+  return resolveLabels(getResultsIris(sparqlJson, source.labels.columns), {
+    runQuery: (queryString) =>
+      fetchData({
+        type: 'sparql',
+        url: labelsEndpoint.url,
+        profile: labelsEndpoint.id,
+        query: new Parser().parse(queryString),
+      }),
+    endpoint: labelsEndpoint.url,
+    graph: labelsEndpoint.graph,
+    language: source.language,
+  })
 }
 
-export async function fetchData(source) {
-  const sparqlGenerator = new Generator()
-  const queryString = sparqlGenerator.stringify(source.query)
-  const bearerToken = process.env.REACT_APP_SPARQL_BEARER_TOKEN;
+/*
+ * Response of the endpoint of the source to a query
+ */
+async function postQuery(source, query, signal) {
+  const response = await fetch(source.url, {
+    method: 'POST',
+    headers: {
+      ...getEndpointAuthHeaders(source),
+      'Content-Type': 'text/plain',
+      // SELECT results preferably as JSON, CONSTRUCT and DESCRIBE queries
+      // return graphs
+      Accept: isGraphQuery(query) ? GRAPH_ACCEPT : SELECT_ACCEPT,
+    },
+    body: new Generator().stringify(withDefaultGraph(query, source.graph)),
+    signal,
+  })
 
-  try {
-    const response = await fetch(source.url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${bearerToken}`,
-        'Content-Type': 'text/plain', 
-        'Accept': 'application/sparql-results+json', // Prioritize JSON
-      },
-      body: queryString,
-    })
+  if (response.status === 406 && !isGraphQuery(query)) {
+    throw new Error(UNSUPPORTED_FORMATS_MESSAGE)
+  }
+  if (!response.ok) {
+    const errorText = await response.text()
+    throw new Error(
+      `SPARQL query failed with status ${response.status}: ${errorText}`
+    )
+  }
+  return response
+}
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(
-        `SPARQL query failed with status ${response.status}: ${errorText}`
-      );
-    }
+// SPARQL JSON results of a response, whatever format the endpoint chose
+async function readResults(response) {
+  return parseSparqlResults(
+    await response.text(),
+    response.headers.get('Content-Type') ?? ''
+  )
+}
 
-    let rows;
+/*
+ * Rows of the results of the query of a source.
+ * SELECT queries are fetched in pages when the source has `paging`,
+ * `onProgress` is then called after each page and `signal` cancels fetching.
+ * Rows are converted to a table when the source has `triples` or `hierarchy`.
+ */
+export async function fetchData(source, { onProgress, signal } = {}) {
+  const graphQuery = isGraphQuery(source.query)
 
-    // Since we are now explicitly asking for JSON, we expect JSON.
-    // The server should honor the Accept header or error out if it cannot.
-    // We can simplify the client-side content type checking for now.
-    const jsonData = await response.json();
-    rows = convertSparqlJsonToObjects(jsonData);
-    
-    if (rows) { // Ensure rows is not undefined
-        rows[SparqlMarker] = true; 
+  try {
+    const options = {
+      language: source.language,
+      iriFormat: source.iriFormat,
+      prefixes: { ...DEFAULT_PREFIXES, ...source.query.prefixes },
+    }
+    let jsonData
+    let warning = null
+    let nodes = null
+    if (graphQuery) {
+      const response = await postQuery(source, source.query, signal)
+      const quads = parseRdf(
+        await response.text(),
+        response.headers.get('Content-Type') ?? ''
+      )
+      if (source.graphTable === 'nodes') {
+        return quadsToNodes(quads, options)
+      }
+      if (source.graphTable === 'edges-nodes') {
+        nodes = quadsToNodes(quads, options)
+      }
+      // Edges are read as the results of a SELECT query
+      jsonData = quadsToSparqlJson(quads)
+    } else if (source.paging) {
+      const pages = await fetchPages(source.query, source.paging, {
+        runPage: async (query) =>
+          readResults(await postQuery(source, query, signal)),
+        onProgress,
+        signal,
+      })
+      jsonData = pages.results
+      warning = pages.warning
     } else {
-        rows = []; // Default to empty array if parsing failed or no data
-        rows[SparqlMarker] = true;
+      const response = await postQuery(source, source.query, signal)
+      jsonData = await readResults(response)
+      warning = getResultsCapWarning(jsonData, source.query)
     }
-    return rows;
-
+    const labels = source.labels
+      ? await fetchLabels(jsonData, source)
+      : undefined
+    const rows = sparqlJsonToRows(jsonData, {
+      ...options,
+      labelColumns: source.labels?.columns,
+      labels,
+    })
+    let result = rows
+    if (nodes) {
+      result = addNodeColumns(rows, nodes)
+    } else if (source.triples) {
+      result = triplesToTable(rows, source.triples)
+    } else if (source.hierarchy) {
+      result = hierarchyToTable(rows, source.hierarchy)
+    }
+    if (warning) {
+      result[LoadingWarning] = warning
+    }
+    return result
   } catch (error) {
-    console.error('Error fetching SPARQL data:', error);
+    console.error('Error fetching SPARQL data:', error)
     throw error // Re-throw to be caught by the caller
   }
 }
@@ -116,9 +233,54 @@ export default function SparqlFetch({
   setLoadingError,
   initialState,
 }) {
-  const [url, setUrl] = useState(initialState?.url ?? 'https://fskx-api-gateway-service.risk-ai-cloud.com/gdb-proxy-service/sparql') // Updated default URL
+  const [endpoint, setEndpoint] = useState(() =>
+    getInitialEndpoint('sparql', initialState)
+  )
   const [parsedQuery, setParsedQuery] = useState(null)
   const [selectedQuery, setSelectedQuery] = useState(initialState?.query ? new Generator().stringify(initialState.query) : sparqlExamples[0].query);
+  // Template the query is made from, null when the query is written by hand
+  const [template, setTemplate] = useState(initialState?.template ?? null)
+  const [parameters, setParameters] = useState(() =>
+    initialState?.template
+      ? getParameterValues(initialState.template, initialState.parameters)
+      : {}
+  )
+  const [triples, setTriples] = useState(initialState?.triples ?? null)
+  const [resultsOptions, setResultsOptions] = useState({
+    language: initialState?.language ?? '',
+    iriFormat: initialState?.iriFormat ?? 'iri',
+  })
+  const [labels, setLabels] = useState(initialState?.labels ?? null)
+  const [graphTable, setGraphTable] = useState(
+    initialState?.graphTable ?? 'edges'
+  )
+  const [paging, setPaging] = useState(initialState?.paging ?? null)
+  const [showLibrary, setShowLibrary] = useState(false)
+  const [showExplorer, setShowExplorer] = useState(false)
+  // Rows and pages loaded while fetching, null when idle
+  const [progress, setProgress] = useState(null)
+  const abortRef = useRef(null)
+  const graphQuery = isGraphQuery(parsedQuery)
+  const templateError = useMemo(() => {
+    try {
+      if (template !== null) {
+        fillTemplate(template, parameters)
+      }
+      return null
+    } catch (error) {
+      return error.message
+    }
+  }, [template, parameters])
+  const variables = useMemo(() => getQueryVariables(parsedQuery), [
+    parsedQuery,
+  ])
+  // Variables chosen for the triples conversion must be in the query
+  const triplesValid =
+    graphQuery ||
+    triples === null ||
+    [triples.subject, triples.predicate, triples.object].every((v) =>
+      variables.includes(v)
+    )
 
 
   const editorDomRef = useRef()
@@ -126,7 +288,7 @@ export default function SparqlFetch({
   // Removed initialQuery memo as selectedQuery now handles the initial state and updates
   const onQueryParsed = useCallback((evt) => {
     const { query } = evt.detail
-    if (query.queryType === 'SELECT') {
+    if (query.queryType === 'SELECT' || isGraphQuery(query)) {
       setParsedQuery(query)
     } else {
       setParsedQuery(null)
@@ -141,23 +303,63 @@ export default function SparqlFetch({
   const onSubmit = useCallback(() => {
     const source = {
       type: 'sparql',
-      url,
+      url: endpoint.url,
+      profile: endpoint.id,
+      graph: endpoint.graph,
       query: parsedQuery,
+      ...(template !== null ? { template, parameters } : {}),
+      ...(graphQuery ? { graphTable } : { triples, paging }),
+      labels: graphQuery && graphTable === 'nodes' ? null : labels,
+      ...resultsOptions,
     }
-    fetchData(source)
+    const controller = new AbortController()
+    abortRef.current = controller
+    setProgress({ rows: 0, pages: 0 })
+    fetchData(source, { onProgress: setProgress, signal: controller.signal })
       .then((result) => {
-        setUserInput(result, {
-          type: 'sparql',
-          url,
-          query: parsedQuery,
-        })
+        setUserInput(result, source)
       })
       .catch((err) => {
-        setLoadingError(
-          'It was not possible to execute the query on the given endpoint'
-        )
+        if (err.name !== 'AbortError') {
+          setLoadingError(
+            'It was not possible to execute the query on the given endpoint. ' +
+              err.message
+          )
+        }
+      })
+      .finally(() => {
+        if (abortRef.current === controller) {
+          abortRef.current = null
+          setProgress(null)
+        }
       })
-  }, [parsedQuery, setLoadingError, setUserInput, url])
+  }, [
+    endpoint,
+    graphQuery,
+    graphTable,
+    labels,
+    paging,
+    parameters,
+    parsedQuery,
+    resultsOptions,
+    setLoadingError,
+    setUserInput,
+    template,
+    triples,
+  ])
+
+  const onCancel = useCallback(() => {
+    abortRef.current?.abort()
+  }, [])
+
+  // Fetching stops when the loader is closed
+  useEffect(
+    () => () => {
+      abortRef.current?.abort()
+      abortRef.current = null
+    },
+    []
+  )
 
   useEffect(() => {
     const node = editorDomRef.current
@@ -165,38 +367,99 @@ export default function SparqlFetch({
       html`<sparql-editor
         auto-parse
         value=${selectedQuery}
+        ?readonly=${template !== null}
         customPrefixes=${JSON.stringify(DEFAULT_PREFIXES)}
         @parsed=${onQueryParsed}
         @parsing-failed=${onParserFailure}
       ></sparql-editor>`,
       node
     )
-  }, [onQueryParsed, onParserFailure, selectedQuery])
+  }, [onQueryParsed, onParserFailure, selectedQuery, template])
 
-  const handleExampleChange = (event) => {
-    const newQuery = event.target.value;
-    setSelectedQuery(newQuery);
+  // Query text or template put in the editor
+  const selectQuery = (newQuery) => {
+    if (isTemplate(newQuery)) {
+      const values = getParameterValues(newQuery)
+      setTemplate(newQuery)
+      setParameters(values)
+      try {
+        setSelectedQuery(fillTemplate(newQuery, values))
+      } catch (error) {
+        // Parameters without a default value are to be filled first
+        setSelectedQuery(newQuery)
+      }
+    } else {
+      setTemplate(null)
+      setSelectedQuery(newQuery);
+    }
     // The sparql-editor should update automatically due to the `value` prop changing in its render.
   };
 
+  const handleExampleChange = (event) => {
+    selectQuery(event.target.value)
+  }
+
+  // Inserts the triple pattern of an endpoint item at the cursor,
+  // declaring the prefix it uses when the query does not
+  const handleExplorerInsert = (kind, iri) => {
+    const editor = editorDomRef.current?.querySelector('sparql-editor')
+      ?.codeMirror?.editor
+    // Templates are only changed through their parameters
+    if (!editor || template !== null) {
+      return
+    }
+    const { pattern, prefix } = getItemPattern(kind, iri, DEFAULT_PREFIXES)
+    editor.replaceSelection(pattern)
+    if (prefix && !hasPrefixDeclaration(editor.getValue(), prefix)) {
+      editor.replaceRange(`PREFIX ${prefix}: <${DEFAULT_PREFIXES[prefix]}>\n`, {
+        line: 0,
+        ch: 0,
+      })
+    }
+    editor.focus()
+  }
+
+  const handleLibrarySelect = (entry) => {
+    setEndpoint(getInitialEndpoint('sparql', entry.endpoint))
+    selectQuery(entry.query)
+  }
+
+  const handleParametersChange = (values) => {
+    setParameters(values)
+    try {
+      setSelectedQuery(fillTemplate(template, values))
+    } catch (error) {
+      // The query is updated once all values are valid
+    }
+  }
+
   return (
     <>
-      <div className={classNames(S['base-iri-input-here'])}>
-        <span>Write your SPARQL Endpoint here</span>
-      </div>
-      <input
-        className={classNames('w-100', S['url-input'])}
-        value={url}
-        onChange={(e) => {
-          setUrl(e.target.value)
-        }}  contenteditable="true"
+      <EndpointSelector
+        id="sparql-endpoint-url"
+        value={endpoint}
+        onChange={setEndpoint}
       />
       <div className={classNames(S['query-input-here'], 'mt-3 mb-2 d-flex justify-content-between align-items-center')}>
-        <span>Write your query here</span>
+        <span>
+          Write your query here
+          <button
+            className="btn btn-sm btn-link ml-2"
+            onClick={() => setShowLibrary(!showLibrary)}
+          >
+            {showLibrary ? 'Hide saved queries' : 'Saved queries'}
+          </button>
+          <button
+            className="btn btn-sm btn-link"
+            onClick={() => setShowExplorer(!showExplorer)}
+          >
+            {showExplorer ? 'Hide endpoint vocabulary' : 'Endpoint vocabulary'}
+          </button>
+        </span>
         <select
           className={classNames('form-select form-select-sm', S['example-select'])}
           onChange={handleExampleChange}
-          value={selectedQuery} // Ensure the select shows the current query if it matches an example
+          value={template ?? selectedQuery} // Ensure the select shows the current query if it matches an example
         >
           {sparqlExamples.map((example) => (
             <option key={example.title} value={example.query}>
@@ -205,11 +468,102 @@ export default function SparqlFetch({
           ))}
         </select>
       </div>
-      <div ref={editorDomRef} />
-      <div className="text-right">
+      {showLibrary && (
+        <QueryLibrary
+          query={
+            template ?? (parsedQuery && new Generator().stringify(parsedQuery))
+          }
+          endpoint={endpoint}
+          onSelect={handleLibrarySelect}
+        />
+      )}
+      {template !== null && (
+        <>
+          <TemplateParameters
+            template={template}
+            value={parameters}
+            onChange={handleParametersChange}
+          />
+          <div className="mb-2 d-flex justify-content-end">
+            <button
+              className="btn btn-sm btn-link p-0"
+              onClick={() => setTemplate(null)}
+            >
+              Edit the query instead
+            </button>
+          </div>
+        </>
+      )}
+      <Row>
+        <Col md={showExplorer ? 8 : 12}>
+          <div ref={editorDomRef} />
+        </Col>
+        {showExplorer && (
+          <Col md={4}>
+            <EndpointExplorer
+              endpoint={endpoint}
+              prefixes={DEFAULT_PREFIXES}
+              runQuery={fetchData}
+              onInsert={handleExplorerInsert}
+            />
+            {template !== null && (
+              <small className="text-muted">
+                Edit the query instead of the template to insert items
+              </small>
+            )}
+          </Col>
+        )}
+      </Row>
+      <SparqlResultsOptions
+        value={resultsOptions}
+        onChange={setResultsOptions}
+      />
+      {graphQuery && (
+        <GraphTableOptions value={graphTable} onChange={setGraphTable} />
+      )}
+      {!(graphQuery && graphTable === 'nodes') && (
+        <LabelOptions
+          variables={graphQuery ? GRAPH_VARIABLES : variables}
+          value={labels}
+          onChange={setLabels}
+        />
+      )}
+      {!graphQuery && (
+        <TriplesOptions
+          variables={variables}
+          value={triples}
+          onChange={setTriples}
+        />
+      )}
+      {!graphQuery && <PagingOptions value={paging} onChange={setPaging} />}
+      <div className="d-flex justify-content-end align-items-center mt-3">
+        {progress && (
+          <>
+            <Spinner animation="border" size="sm" />
+            <span className="ml-2">
+              {progress.pages > 0
+                ? `${progress.rows} rows fetched (${progress.pages} ${
+                    progress.pages === 1 ? 'page' : 'pages'
+                  })`
+                : 'Fetching results'}
+            </span>
+            <button
+              className="btn btn-sm btn-outline-secondary ml-2"
+              onClick={onCancel}
+            >
+              Cancel
+            </button>
+          </>
+        )}
         <button
-          className="btn btn-sm btn-success mt-3"
-          disabled={!parsedQuery || !url}
+          className="btn btn-sm btn-success ml-2"
+          disabled={
+            !parsedQuery ||
+            !endpoint.url ||
+            !triplesValid ||
+            templateError !== null ||
+            progress !== null
+          }
           onClick={onSubmit}
         >
           Run query
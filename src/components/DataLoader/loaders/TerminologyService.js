@@ -1,8 +1,20 @@
 import React, { useState, useCallback } from 'react';
-import { Form, ListGroup, Spinner, Alert, Button, Collapse } from 'react-bootstrap';
+import { Form, ListGroup, Spinner, Alert } from 'react-bootstrap';
 import { fetchData } from './SparqlFetch'; // Reusing the same fetchData
 import { Parser as SparqlParser } from 'sparqljs';
 import { debounce } from 'lodash';
+import { getInitialEndpoint } from '../../../hooks/useDataLoaderUtils/endpoints';
+import { DEFAULT_PAGING } from '../../../hooks/useDataLoaderUtils/paging';
+import {
+  getClassInstancesQuery,
+  getSubclassesQuery,
+  getTermSearchQuery,
+} from '../../../hooks/useDataLoaderUtils/terminology';
+import {
+  isValidRegex,
+  MATCH_MODES,
+} from '../../../hooks/useDataLoaderUtils/sparqlEscape';
+import EndpointSelector from '../EndpointSelector';
 
 // Basic styles (can be moved to a .module.scss file later)
 const styles = {
@@ -21,16 +33,72 @@ const styles = {
   }
 };
 
+// Data a class can be loaded as: the query and the options of its source
+const CLASS_DATA = {
+  instances: {
+    title: 'Load instances',
+    getQuery: getClassInstancesQuery,
+    options: {
+      // One row per instance, one column per datatype property
+      triples: { subject: 'instance', predicate: 'property', object: 'value', multiValue: 'join' },
+      paging: DEFAULT_PAGING,
+      language: 'en',
+      iriFormat: 'local',
+      labels: null,
+    },
+  },
+  hierarchy: {
+    title: 'Load subclass hierarchy',
+    getQuery: getSubclassesQuery,
+    options: {
+      hierarchy: { child: 'class', parent: 'parent' },
+      language: 'en',
+      iriFormat: 'iri',
+      labels: { columns: ['class', 'parent'], profile: null },
+    },
+  },
+};
+
+// item is an object like { term: "uri", displayLabel: "label", displayComment: "comment", termTypeLabel: "Class" }
+function getTermDataInput(item) {
+  const termData = {
+    uri: item.term,
+    label: item.displayLabel,
+    type: item.termTypeLabel,
+    typeIRI: item.termTypeIRI,
+    comment: item.displayComment,
+  };
+  return JSON.stringify([termData], null, 2);
+}
+
+// Details of a term loaded before, found again by running the same search
+export async function fetchTermData(source) {
+  const results = await fetchData({
+    type: 'sparql',
+    url: source.originalEndpoint,
+    profile: source.profile,
+    graph: source.graph,
+    query: new SparqlParser().parse(getTermSearchQuery(source.originalSearchTerm.trim(), source.matchMode)),
+  });
+  const item = results.find((d) => d.term === source.termUri);
+  if (!item) {
+    throw new Error(`The term ${source.termUri} is no longer found searching "${source.originalSearchTerm}"`);
+  }
+  return getTermDataInput(item);
+}
+
 function TerminologyService({ setUserInput, setLoadingError, initialState }) {
   const [searchTerm, setSearchTerm] = useState('');
-  const [sparqlEndpoint, setSparqlEndpoint] = useState(initialState?.endpoint || 'https://fskx-api-gateway-service.risk-ai-cloud.com/gdb-proxy-service/sparql');
-  const [showEndpointInput, setShowEndpointInput] = useState(false);
+  const [matchMode, setMatchMode] = useState('literal');
+  const [sparqlEndpoint, setSparqlEndpoint] = useState(() => getInitialEndpoint('terminology', initialState));
   const [searchResults, setSearchResults] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [selectedTerm, setSelectedTerm] = useState(null);
+  const [isLoadingData, setIsLoadingData] = useState(false);
 
-  const executeSearch = useCallback(async (currentSearchTerm, currentEndpoint) => {
-    if (!currentSearchTerm.trim() || !currentEndpoint.trim()) {
+  const executeSearch = useCallback(async (currentSearchTerm, currentEndpoint, currentMatchMode) => {
+    if (!currentSearchTerm.trim() || !currentEndpoint.url.trim()) {
       setSearchResults([]);
       setError(null);
       return;
@@ -40,89 +108,16 @@ function TerminologyService({ setUserInput, setLoadingError, initialState }) {
     setError(null);
     setLoadingError(null);
 
-    const queryString = `
-      PREFIX owl: <http://www.w3.org/2002/07/owl#>
-      PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
-      PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
-      PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
-      PREFIX dcterms: <http://purl.org/dc/terms/>
-
-      SELECT DISTINCT ?term ?displayLabel ?displayComment ?termTypeIRI ?termTypeLabel
-      WHERE {
-        {
-          ?term a owl:Class .
-          BIND(owl:Class AS ?termTypeIRI)
-          BIND("Class" AS ?termTypeLabel_str)
-        }
-        UNION
-        {
-          ?term a rdf:Property .
-          BIND(rdf:Property AS ?termTypeIRI)
-          BIND("Property" AS ?termTypeLabel_str)
-        }
-        UNION
-        {
-          ?term a owl:ObjectProperty .
-          BIND(owl:ObjectProperty AS ?termTypeIRI)
-          BIND("Object Property" AS ?termTypeLabel_str)
-        }
-        UNION
-        {
-          ?term a owl:DatatypeProperty .
-          BIND(owl:DatatypeProperty AS ?termTypeIRI)
-          BIND("Datatype Property" AS ?termTypeLabel_str)
-        }
-        UNION
-        {
-          ?term a owl:AnnotationProperty .
-          BIND(owl:AnnotationProperty AS ?termTypeIRI)
-          BIND("Annotation Property" AS ?termTypeLabel_str)
-        }
-        UNION
-        {
-          ?term a owl:NamedIndividual .
-          BIND(owl:NamedIndividual AS ?termTypeIRI)
-          BIND("Individual" AS ?termTypeLabel_str)
-        }
-
-        OPTIONAL { ?term rdfs:label ?rdfsLabel . FILTER(LANGMATCHES(LANG(?rdfsLabel), "en") || LANG(?rdfsLabel) = "") }
-        OPTIONAL { ?term skos:prefLabel ?skosPrefLabel . FILTER(LANGMATCHES(LANG(?skosPrefLabel), "en") || LANG(?skosPrefLabel) = "") }
-        OPTIONAL { ?term rdfs:comment ?rdfsComment . FILTER(LANGMATCHES(LANG(?rdfsComment), "en") || LANG(?rdfsComment) = "") }
-        OPTIONAL { ?term skos:definition ?skosDefinition . FILTER(LANGMATCHES(LANG(?skosDefinition), "en") || LANG(?skosDefinition) = "") }
-        OPTIONAL { ?term skos:altLabel ?skosAltLabel . FILTER(LANGMATCHES(LANG(?skosAltLabel), "en") || LANG(?skosAltLabel) = "") }
-        OPTIONAL { ?term dcterms:title ?dctTitle . FILTER(LANGMATCHES(LANG(?dctTitle), "en") || LANG(?dctTitle) = "") }
-        OPTIONAL { ?term dcterms:description ?dctDescription . FILTER(LANGMATCHES(LANG(?dctDescription), "en") || LANG(?dctDescription) = "") }
-
-
-        BIND(COALESCE(?rdfsLabel, ?skosPrefLabel, ?dctTitle, "") AS ?label_intermediate)
-        BIND(COALESCE(?rdfsComment, ?skosDefinition, ?dctDescription, "") AS ?comment_intermediate)
-
-        # Create a display label, falling back to local name or full URI
-        BIND(IF(STRLEN(?label_intermediate) > 0, ?label_intermediate, 
-            IF(CONTAINS(STR(?term), "#"), STRAFTER(STR(?term), "#"), 
-            REPLACE(STR(?term), "^.*/([^/]*)$", "$1")))
-        AS ?displayLabel_computed)
-        
-        BIND(COALESCE(?displayLabel_computed, STR(?term)) as ?displayLabel)
-        BIND(COALESCE(?comment_intermediate, "") as ?displayComment)
-        BIND(COALESCE(?termTypeLabel_str, "Resource") AS ?termTypeLabel)
-
-        FILTER (
-          regex(str(?displayLabel), "${currentSearchTerm}", "i") ||
-          regex(str(?displayComment), "${currentSearchTerm}", "i") ||
-          regex(str(?skosAltLabel), "${currentSearchTerm}", "i") ||
-          regex(STR(?term), "${currentSearchTerm}", "i") 
-        )
-      }
-      LIMIT 20
-    `;
-
     const parser = new SparqlParser({ sparqlStar: true }); // Enable SPARQL* if needed, though not strictly for this query
     try {
+      const queryString = getTermSearchQuery(currentSearchTerm.trim(), currentMatchMode);
       const parsedQuery = parser.parse(queryString);
+
       const source = {
         type: 'sparql',
-        url: currentEndpoint,
+        url: currentEndpoint.url,
+        profile: currentEndpoint.id,
+        graph: currentEndpoint.graph,
         query: parsedQuery,
       };
       const results = await fetchData(source); // fetchData returns processed objects
@@ -146,59 +141,74 @@ function TerminologyService({ setUserInput, setLoadingError, initialState }) {
   const handleSearchTermChange = (e) => {
     const newSearchTerm = e.target.value;
     setSearchTerm(newSearchTerm);
-    debouncedSearch(newSearchTerm, sparqlEndpoint);
+    debouncedSearch(newSearchTerm, sparqlEndpoint, matchMode);
   };
 
-  const handleEndpointChange = (e) => {
-    setSparqlEndpoint(e.target.value);
+  const handleEndpointChange = (endpoint) => {
+    setSparqlEndpoint(endpoint);
     if (searchTerm.trim()) {
-      debouncedSearch(searchTerm, e.target.value);
+      debouncedSearch(searchTerm, endpoint, matchMode);
+    }
+  };
+
+  const handleMatchModeChange = (e) => {
+    const mode = e.target.checked ? 'regex' : 'literal';
+    setMatchMode(mode);
+    if (searchTerm.trim()) {
+      debouncedSearch(searchTerm, sparqlEndpoint, mode);
     }
   };
   
   const handleTermSelect = (item) => {
     setLoadingError(null);
-    // item is an object like { term: "uri", displayLabel: "label", displayComment: "comment", termTypeLabel: "Class" }
-    const termData = {
-      uri: item.term,
-      label: item.displayLabel,
-      type: item.termTypeLabel,
-      typeIRI: item.termTypeIRI,
-      comment: item.displayComment,
-    };
+    setSelectedTerm(item);
+  };
+
+  const loadTermDetails = (item) => {
+    setLoadingError(null);
     // Pass a stringified array containing the single term object
-    setUserInput(JSON.stringify([termData], null, 2), { 
+    setUserInput(getTermDataInput(item), { 
       type: 'terminology-item',
       termUri: item.term,
-      originalEndpoint: sparqlEndpoint,
+      originalEndpoint: sparqlEndpoint.url,
+      profile: sparqlEndpoint.id,
+      graph: sparqlEndpoint.graph,
       originalSearchTerm: searchTerm,
+      matchMode,
     });
   };
 
+  // Loads the instances or the subclasses of a class as a SPARQL source,
+  // so that the data can be refreshed and the query edited later on
+  const loadClassData = async (item, kind) => {
+    setLoadingError(null);
+    setIsLoadingData(true);
+    try {
+      const { getQuery, options } = CLASS_DATA[kind];
+      const source = {
+        type: 'sparql',
+        url: sparqlEndpoint.url,
+        profile: sparqlEndpoint.id,
+        graph: sparqlEndpoint.graph,
+        query: new SparqlParser().parse(getQuery(item.term)),
+        ...options,
+      };
+      const rows = await fetchData(source);
+      setUserInput(rows, source);
+    } catch (e) {
+      setLoadingError(e.message || 'It was not possible to load the data of the class');
+    } finally {
+      setIsLoadingData(false);
+    }
+  };
+
   return (
     <div>
-      <Button
-        onClick={() => setShowEndpointInput(!showEndpointInput)}
-        aria-controls="sparql-endpoint-collapse-terminology"
-        aria-expanded={showEndpointInput}
-        variant="link"
-        className="p-0 mb-2"
-      >
-        {showEndpointInput ? 'Hide SPARQL Endpoint' : 'Change SPARQL Endpoint'}
-      </Button>
-      <Collapse in={showEndpointInput}>
-        <div id="sparql-endpoint-collapse-terminology">
-          <Form.Group controlId="sparqlEndpointTerminology" className="mb-2">
-            <Form.Label>SPARQL Endpoint URL</Form.Label>
-            <Form.Control
-              type="url"
-              placeholder="Enter SPARQL endpoint URL for terminology"
-              value={sparqlEndpoint}
-              onChange={handleEndpointChange}
-            />
-          </Form.Group>
-        </div>
-      </Collapse>
+      <EndpointSelector
+        id="sparqlEndpointTerminology"
+        value={sparqlEndpoint}
+        onChange={handleEndpointChange}
+      />
 
       <Form.Group controlId="searchTermTerminology">
         <Form.Label>Search Terminology</Form.Label>
@@ -207,7 +217,16 @@ function TerminologyService({ setUserInput, setLoadingError, initialState }) {
           placeholder="Enter term (e.g., class, property, or individual name)"
           value={searchTerm}
           onChange={handleSearchTermChange}
-          disabled={!sparqlEndpoint.trim()}
+          disabled={!sparqlEndpoint.url.trim()}
+          isInvalid={matchMode === 'regex' && !isValidRegex(searchTerm)}
+        />
+        <Form.Check
+          type="checkbox"
+          id="searchTermTerminologyRegex"
+          className="mt-2"
+          label={MATCH_MODES.regex}
+          checked={matchMode === 'regex'}
+          onChange={handleMatchModeChange}
         />
       </Form.Group>
 
@@ -227,6 +246,7 @@ function TerminologyService({ setUserInput, setLoadingError, initialState }) {
               <ListGroup.Item
                 key={item.term + index} 
                 action
+                active={selectedTerm?.term === item.term}
                 onClick={() => handleTermSelect(item)}
                 style={styles.listItem}
                 onMouseEnter={(e) => e.currentTarget.style.backgroundColor = styles.listItemHover.backgroundColor}
@@ -239,6 +259,33 @@ function TerminologyService({ setUserInput, setLoadingError, initialState }) {
             ))}
           </ListGroup>
         </div>
+      )}
+      {selectedTerm && (
+        <div className="mt-3">
+          <div className="fw-bold">
+            {selectedTerm.displayLabel || selectedTerm.term} ({selectedTerm.termTypeLabel || 'Resource'})
+          </div>
+          <div className="d-flex align-items-center mt-2">
+            <button
+              className="btn btn-sm btn-outline-secondary"
+              disabled={isLoadingData}
+              onClick={() => loadTermDetails(selectedTerm)}
+            >
+              Load term details
+            </button>
+            {selectedTerm.termTypeLabel === 'Class' && Object.keys(CLASS_DATA).map((kind) => (
+              <button
+                key={kind}
+                className="btn btn-sm btn-outline-secondary ml-2"
+                disabled={isLoadingData}
+                onClick={() => loadClassData(selectedTerm, kind)}
+              >
+                {CLASS_DATA[kind].title}
+              </button>
+            ))}
+            {isLoadingData && <Spinner animation="border" size="sm" role="status" className="ml-2" />}
+          </div>
+        </div>
       )}
        {!isLoading && searchResults.length === 0 && searchTerm.trim() && !error && (
         <Alert variant="info" className="mt-3">No terms found matching your query.</Alert>
@@ -1,26 +1,171 @@
-import React, { useCallback } from 'react'
-import { Button } from 'react-bootstrap'
+import React, { useCallback, useEffect, useRef, useState } from 'react'
+import { Button, Form, ProgressBar } from 'react-bootstrap'
 import { useDropzone } from 'react-dropzone'
 import classNames from 'classnames'
+import { tsvFormat } from 'd3-dsv'
 import S from './UploadFile.module.scss'
+import {
+  parseAndCheckData,
+  ParsedCsvMarker,
+} from '../../../hooks/useDataLoaderUtils/parser'
+import {
+  appendDatasets,
+  findHeaderMismatch,
+  getAppendedColumns,
+  SOURCE_FILE_COLUMN,
+} from '../../../hooks/useDataLoaderUtils/append'
+import {
+  DEFAULT_CSV_OPTIONS,
+  sniffEncoding,
+} from '../../../hooks/useDataLoaderUtils/csv'
+import { parseCsvFileInWorker } from '../../../worker'
+import DataMismatchModal from '../DataMismatchModal'
+
+const SPREADSHEET_EXTENSIONS = /\.(xlsx|xlsm|xls|ods)$/i
+
+// Large CSV files are parsed in chunks in a worker instead of being read
+// as a single string
+const STREAMED_EXTENSIONS = /\.(csv|tsv|tab)$/i
+const STREAMING_MIN_SIZE = 5 * 1024 * 1024
+
+function isStreamedFile(file) {
+  return STREAMED_EXTENSIONS.test(file.name) && file.size >= STREAMING_MIN_SIZE
+}
+
+function readBytes(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.addEventListener('load', (e) => resolve(e.target.result))
+    reader.addEventListener('error', () => reject(reader.error))
+    reader.readAsArrayBuffer(file)
+  })
+}
+
+/*
+ * Spreadsheets are binary files, they are parsed from an ArrayBuffer.
+ * Other files are decoded with the encoding guessed from their bytes,
+ * which are kept to decode them again with another encoding.
+ */
+async function readFile(file) {
+  const bytes = await readBytes(file)
+  if (SPREADSHEET_EXTENSIONS.test(file.name)) {
+    return { content: bytes }
+  }
+  const encoding = sniffEncoding(bytes)
+  return { content: new TextDecoder(encoding).decode(bytes), encoding, bytes }
+}
 
 export default function UploadFile({
   setUserInput,
   setLoadingError,
 }) {
-  const onDrop = useCallback(
-    (acceptedFiles) => {
-      const reader = new FileReader()
-      reader.addEventListener('load', (e) => {
-        setUserInput(e.target.result)
+  const [addSourceColumn, setAddSourceColumn] = useState(false)
+  const [pendingAppend, setPendingAppend] = useState(null)
+  // Progress of the file being streamed
+  const [streaming, setStreaming] = useState(null)
+  const abortRef = useRef(null)
+
+  // Parsing stops when the loader is closed
+  useEffect(
+    () => () => {
+      abortRef.current?.abort()
+      abortRef.current = null
+    },
+    []
+  )
+
+  const streamFile = useCallback(
+    async (file) => {
+      const controller = new AbortController()
+      abortRef.current = controller
+      setStreaming({ name: file.name, loaded: 0, rows: 0 })
+      try {
+        const { rows, separator, csvOptions } = await parseCsvFileInWorker(
+          file,
+          {
+            signal: controller.signal,
+            onProgress: ({ loaded, rows }) => {
+              if (!controller.signal.aborted) {
+                setStreaming({ name: file.name, loaded, rows })
+              }
+            },
+          }
+        )
+        rows[ParsedCsvMarker] = { separator, csvOptions }
+        setUserInput(rows, { files: [file.name], streamed: true })
         setLoadingError(null)
-      })
-      if (acceptedFiles.length) {
-        reader.readAsText(acceptedFiles[0])
+      } catch (e) {
+        if (e.name !== 'AbortError') {
+          setLoadingError(`Cannot parse "${file.name}": ${e.message}`)
+        }
+      } finally {
+        if (abortRef.current === controller) {
+          abortRef.current = null
+          setStreaming(null)
+        }
       }
     },
     [setLoadingError, setUserInput]
   )
+
+  const appendFiles = useCallback(
+    (datasets) => {
+      const sourceColumn = addSourceColumn ? SOURCE_FILE_COLUMN : null
+      const rows = appendDatasets(datasets, sourceColumn)
+      const columns = getAppendedColumns(datasets)
+      setUserInput(
+        tsvFormat(rows, sourceColumn ? [...columns, sourceColumn] : columns),
+        {
+          files: datasets.map((d) => d.name),
+          sourceColumn,
+        },
+        { separator: '\t', csvOptions: DEFAULT_CSV_OPTIONS }
+      )
+      setLoadingError(null)
+    },
+    [addSourceColumn, setLoadingError, setUserInput]
+  )
+
+  const onDrop = useCallback(
+    async (acceptedFiles) => {
+      // Files which can not be read (i.e. removed meanwhile) are reported
+      try {
+        if (acceptedFiles.length === 1 && isStreamedFile(acceptedFiles[0])) {
+          await streamFile(acceptedFiles[0])
+        } else if (acceptedFiles.length === 1) {
+          const { content, encoding, bytes } = await readFile(acceptedFiles[0])
+          setUserInput(
+            content,
+            { files: [acceptedFiles[0].name] },
+            { encoding, bytes }
+          )
+          setLoadingError(null)
+        } else if (acceptedFiles.length > 1) {
+          const datasets = []
+          for (const file of acceptedFiles) {
+            const { content } = await readFile(file)
+            const [dataType, rows, error] = parseAndCheckData(content, {})
+            if (error || dataType === 'json') {
+              setLoadingError(
+                `Cannot append "${file.name}": only tabular files can be loaded together.`
+              )
+              return
+            }
+            datasets.push({ name: file.name, rows })
+          }
+          const mismatch = findHeaderMismatch(datasets)
+          if (mismatch) {
+            setPendingAppend({ datasets, mismatch })
+          } else {
+            appendFiles(datasets)
+          }
+        }
+      } catch (e) {
+        setLoadingError('It was not possible to read the file. ' + e.message)
+      }
+    },
+    [appendFiles, setLoadingError, setUserInput, streamFile]
+  )
   const {
     getRootProps,
     getInputProps,
@@ -28,26 +173,65 @@ export default function UploadFile({
     isDragAccept,
   } = useDropzone({
     onDrop,
+    disabled: streaming !== null,
     accept:
-      'text/csv,text/plain,application/json,application/vnd.ms-excel,text/tsv,text/tab-separated-values',
-    maxFiles: 1,
+      'text/csv,text/plain,application/json,application/vnd.ms-excel,text/tsv,text/tab-separated-values,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.oasis.opendocument.spreadsheet,.xlsx,.xlsm,.xls,.ods',
   })
   return (
-    <div
-      className={classNames(S.dropzone, {
-        [S.reject]: isDragReject,
-        [S.accept]: isDragAccept,
-      })}
-      {...getRootProps()}
-    >
-      <input {...getInputProps()} />
-      <span>Drag a file here or </span>
-      <Button className={S['browse-button']} color="primary">
-        Browse
-      </Button>
-      <span>a file from your computer</span>
-      {isDragAccept && <p>All files will be accepted</p>}
-      {isDragReject && <p>Some files will be rejected</p>}
-    </div>
+    <>
+      <div
+        className={classNames(S.dropzone, {
+          [S.reject]: isDragReject,
+          [S.accept]: isDragAccept,
+        })}
+        {...getRootProps()}
+      >
+        <input {...getInputProps()} />
+        <span>Drag one or more files here or </span>
+        <Button className={S['browse-button']} color="primary">
+          Browse
+        </Button>
+        <span>files from your computer</span>
+        {isDragAccept && <p>All files will be accepted</p>}
+        {isDragReject && <p>Some files will be rejected</p>}
+      </div>
+      {streaming && (
+        <div className="d-flex align-items-center mt-3">
+          <div className="flex-grow-1">
+            <small>
+              Parsing {streaming.name}: {streaming.rows} rows
+            </small>
+            <ProgressBar now={Math.round(streaming.loaded * 100)} />
+          </div>
+          <Button
+            variant="outline-secondary"
+            size="sm"
+            className="ml-3"
+            onClick={() => abortRef.current?.abort()}
+          >
+            Cancel
+          </Button>
+        </div>
+      )}
+      <Form.Check
+        className="mt-3"
+        type="checkbox"
+        id="upload-source-column"
+        label={`When loading several files, add a "${SOURCE_FILE_COLUMN}" column`}
+        checked={addSourceColumn}
+        onChange={(e) => setAddSourceColumn(e.target.checked)}
+      />
+      {pendingAppend && (
+        <DataMismatchModal
+          replaceRequiresConfirmation="header-mismatch"
+          mismatch={pendingAppend.mismatch}
+          commitDataReplace={() => {
+            appendFiles(pendingAppend.datasets)
+            setPendingAppend(null)
+          }}
+          cancelDataReplace={() => setPendingAppend(null)}
+        />
+      )}
+    </>
   )
 }
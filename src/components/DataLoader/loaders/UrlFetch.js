@@ -1,9 +1,13 @@
 import React, { useCallback, useState } from 'react'
 import classNames from 'classnames'
 import S from './UrlFetch.module.scss'
+import { getEndpointAuthHeaders } from '../../../hooks/useDataLoaderUtils/endpoints'
+import EndpointAuth from '../EndpointAuth'
 
 export async function fetchData(source) {
-  const response = await fetch(source.url)
+  const response = await fetch(source.url, {
+    headers: getEndpointAuthHeaders(source),
+  })
   const text = await response.text()
   return text
 }
@@ -50,6 +54,9 @@ export default function UrlFetch({
           setUrl(e.target.value)
         }}
       />
+      <div className="mt-3">
+        <EndpointAuth id="url-fetch-auth" url={url} />
+      </div>
       <div className="text-right">
         <button
           className="btn btn-sm btn-success mt-3"
@@ -1,6 +1,8 @@
 import React, { useCallback, useState } from 'react'
-import { InputGroup, DropdownButton, Dropdown } from 'react-bootstrap'
+import { InputGroup, DropdownButton, Dropdown, Form } from 'react-bootstrap'
+import { chart as rawChart } from '@rawgraphs/rawgraphs-core'
 import { onChartExported } from '../../gaEvents'
+import WarningMessage from '../WarningMessage'
 
 function downloadBlob(url, filename) {
   // Create a new anchor element
@@ -11,11 +13,56 @@ function downloadBlob(url, filename) {
   return a
 }
 
-export default function Exporter({ rawViz, exportProject }) {
+/*
+ * Node out of sight, where the chart is rendered again with all the rows of
+ * a sampled dataset (images need the chart laid out in the page)
+ */
+function createHiddenNode() {
+  const node = document.createElement('div')
+  node.style.position = 'absolute'
+  node.style.left = '-100000px'
+  document.body.appendChild(node)
+  return node
+}
+
+export default function Exporter({
+  rawViz,
+  exportProject,
+  fullDataset,
+  dataTypes,
+  mapping,
+  visualOptions,
+}) {
+  const [useFullDataset, setUseFullDataset] = useState(false)
+  const [exportError, setExportError] = useState(null)
+
+  // Calls back with the node of the chart exported, the chart rendered
+  // with the full dataset is removed once done
+  const withExportedNode = useCallback(
+    (callback) => {
+      if (!useFullDataset || !fullDataset) {
+        return callback(rawViz._node)
+      }
+      const node = createHiddenNode()
+      try {
+        rawChart(rawViz._chartImplementation, {
+          data: fullDataset,
+          dataTypes,
+          mapping,
+          visualOptions,
+        }).renderToDOM(node)
+        return callback(node)
+      } finally {
+        node.remove()
+      }
+    },
+    [dataTypes, fullDataset, mapping, rawViz, useFullDataset, visualOptions]
+  )
+
   const downloadSvg = useCallback(
     (filename) => {
-      var svgString = new XMLSerializer().serializeToString(
-        rawViz._node.firstChild
+      var svgString = withExportedNode((node) =>
+        new XMLSerializer().serializeToString(node.firstChild)
       )
       var DOMURL = window.URL || window.webkitURL || window
       var svg = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' })
@@ -23,20 +70,20 @@ export default function Exporter({ rawViz, exportProject }) {
       downloadBlob(url, filename)
       DOMURL.revokeObjectURL(svg)
     },
-    [rawViz]
+    [withExportedNode]
   )
 
   const downloadImage = useCallback(
     (format, filename) => {
-      var svgString = new XMLSerializer().serializeToString(
-        rawViz._node.firstChild
-      )
+      var canvas = document.createElement('canvas')
+      var svgString = withExportedNode((node) => {
+        canvas.height = node.firstChild.clientHeight
+        canvas.width = node.firstChild.clientWidth
+        return new XMLSerializer().serializeToString(node.firstChild)
+      })
       var DOMURL = window.URL || window.webkitURL || window
       var svg = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' })
       var url = DOMURL.createObjectURL(svg)
-      var canvas = document.createElement('canvas')
-      canvas.height = rawViz._node.firstChild.clientHeight
-      canvas.width = rawViz._node.firstChild.clientWidth
       var ctx = canvas.getContext('2d')
       var img = new Image()
       img.onload = function () {
@@ -47,7 +94,7 @@ export default function Exporter({ rawViz, exportProject }) {
       }
       img.src = url
     },
-    [rawViz]
+    [withExportedNode]
   )
 
   const downloadProject = useCallback(
@@ -69,21 +116,27 @@ export default function Exporter({ rawViz, exportProject }) {
   const [currentFile, setCurrentFile] = useState('viz')
 
   const downloadViz = useCallback(() => {
-    switch (currentFormat) {
-      case 'svg':
-        downloadSvg(`${currentFile}.svg`)
-        break
-      case 'png':
-        downloadImage('image/png', `${currentFile}.png`)
-        break
-      case 'jpg':
-        downloadImage('image/jpeg', `${currentFile}.jpg`)
-        break
-      case 'rawgraphs':
-        downloadProject(`${currentFile}.rawgraphs`)
-        break
-      default:
-        break
+    setExportError(null)
+    try {
+      switch (currentFormat) {
+        case 'svg':
+          downloadSvg(`${currentFile}.svg`)
+          break
+        case 'png':
+          downloadImage('image/png', `${currentFile}.png`)
+          break
+        case 'jpg':
+          downloadImage('image/jpeg', `${currentFile}.jpg`)
+          break
+        case 'rawgraphs':
+          downloadProject(`${currentFile}.rawgraphs`)
+          break
+        default:
+          break
+      }
+    } catch (e) {
+      setExportError('It was not possible to export the chart. ' + e.message)
+      return
     }
     // TODO: Make a getter for _chartImplementation
     onChartExported(rawViz._chartImplementation.metadata, currentFormat)
@@ -131,6 +184,25 @@ export default function Exporter({ rawViz, exportProject }) {
           Download
         </button>
       </div>
+
+      {fullDataset && currentFormat !== 'rawgraphs' && (
+        <div className="col col-sm-4 d-flex align-items-center">
+          <Form.Check
+            type="checkbox"
+            id="export-full-dataset"
+            className="mb-3"
+            label={`Render with all the ${fullDataset.length} rows, not the preview sample`}
+            checked={useFullDataset}
+            onChange={(e) => setUseFullDataset(e.target.checked)}
+          />
+        </div>
+      )}
+
+      {exportError && (
+        <div className="col col-sm-12">
+          <WarningMessage variant="danger" message={exportError} />
+        </div>
+      )}
     </div>
   )
 }
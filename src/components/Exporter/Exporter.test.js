@@ -0,0 +1,101 @@
+import React from 'react'
+import { fireEvent, render, screen } from '@testing-library/react'
+import { chart } from '@rawgraphs/rawgraphs-core'
+import Exporter from './Exporter'
+
+jest.mock('@rawgraphs/rawgraphs-core', () => ({ chart: jest.fn() }))
+
+const dataTypes = { name: 'string', value: 'number' }
+const mapping = { size: { value: ['value'] } }
+const visualOptions = { width: 300 }
+const fullDataset = [
+  { name: 'a', value: 1 },
+  { name: 'b', value: 2 },
+  { name: 'c', value: 3 },
+]
+
+// Preview of the chart with the sampled rows
+function getRawViz() {
+  const node = document.createElement('div')
+  node.innerHTML = '<svg data-rows="1"></svg>'
+  return { _node: node, _chartImplementation: { metadata: { id: 'bars' } } }
+}
+
+let exported
+let nodesBefore
+
+beforeEach(() => {
+  exported = []
+  jest
+    .spyOn(window.XMLSerializer.prototype, 'serializeToString')
+    .mockImplementation((node) => {
+      exported.push(node.getAttribute('data-rows'))
+      return '<svg></svg>'
+    })
+  jest.spyOn(window.HTMLAnchorElement.prototype, 'click').mockReturnValue()
+  window.URL.createObjectURL = jest.fn(() => 'blob:chart')
+  window.URL.revokeObjectURL = jest.fn()
+  chart.mockReset()
+  chart.mockImplementation((chartImplementation, { data }) => ({
+    renderToDOM: (node) => {
+      node.innerHTML = `<svg data-rows="${data.length}"></svg>`
+    },
+  }))
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+function renderExporter(rawViz = getRawViz()) {
+  render(
+    <Exporter
+      rawViz={rawViz}
+      exportProject={() => ({})}
+      fullDataset={fullDataset}
+      dataTypes={dataTypes}
+      mapping={mapping}
+      visualOptions={visualOptions}
+    />
+  )
+  nodesBefore = document.body.querySelectorAll('*').length
+  return rawViz
+}
+
+test('exports the preview of sampled data', () => {
+  renderExporter()
+  fireEvent.click(screen.getByText('Download'))
+  expect(chart).not.toHaveBeenCalled()
+  expect(exported).toEqual(['1'])
+})
+
+test('exports the chart rendered with all the rows', () => {
+  const rawViz = renderExporter()
+  fireEvent.click(screen.getByLabelText(/Render with all the 3 rows/))
+  fireEvent.click(screen.getByText('Download'))
+  expect(chart).toHaveBeenCalledWith(rawViz._chartImplementation, {
+    data: fullDataset,
+    dataTypes,
+    mapping,
+    visualOptions,
+  })
+  expect(exported).toEqual(['3'])
+  // The chart rendered for the export is removed
+  expect(document.body.querySelectorAll('*').length).toBe(nodesBefore)
+})
+
+test('reports charts failing to render with all the rows', () => {
+  chart.mockImplementation(() => ({
+    renderToDOM: () => {
+      throw new Error('Too many rows')
+    },
+  }))
+  renderExporter()
+  fireEvent.click(screen.getByLabelText(/Render with all the 3 rows/))
+  fireEvent.click(screen.getByText('Download'))
+  expect(exported).toEqual([])
+  expect(
+    screen.getByText('It was not possible to export the chart. Too many rows')
+  ).toBeTruthy()
+  expect(document.body.querySelector('[style*="-100000px"]')).toBe(null)
+})
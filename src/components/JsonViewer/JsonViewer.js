@@ -1,14 +1,35 @@
-import React, { useCallback, useState } from 'react'
+import React, { useCallback, useMemo, useState } from 'react'
+import { Button, Dropdown } from 'react-bootstrap'
 import { map } from 'lodash'
+import {
+  DEFAULT_JSON_FLATTENING,
+  getJsonArrayColumns,
+  getJsonColumns,
+  JSON_ARRAY_HANDLING,
+  normalizeJsonArray,
+} from '../../hooks/useDataLoaderUtils/parser'
 import './JsonViewer.scss'
 
+// Items of the selected array whose columns are previewed
+const PREVIEW_ITEMS = 100
+
+const FLATTENING_DEPTHS = [0, 1, 2, 3, null]
+
+function getDepthLabel(depth) {
+  if (depth === null) {
+    return 'All levels'
+  }
+  return depth === 0 ? 'None' : `${depth} level${depth > 1 ? 's' : ''}`
+}
+
 const JsonViewerRecursive = ({
   contextName,
   nestingLevel,
   context,
   selectFilter,
   onSelect,
-  path
+  path,
+  selectedPath,
 }) => {
   const isSelectable = selectFilter(context)
   const contextType = typeof context
@@ -18,6 +39,7 @@ const JsonViewerRecursive = ({
     'json-nested',
     isSelectable ? 'selectable' : null,
     mouseOver ? 'hover' : null,
+    isSelectable && selectedPath === path.join('.') ? 'selected' : null,
   ]
     .filter((i) => i !== null)
     .join(' ')
@@ -84,6 +106,7 @@ const JsonViewerRecursive = ({
             selectFilter={selectFilter}
             onSelect={onSelect}
             path={[...path, property]}
+            selectedPath={selectedPath}
           />
         ))}
         {!Array.isArray(context) && (
@@ -138,18 +161,155 @@ const JsonViewerRecursive = ({
   }
 }
 
-const JsonViewer = ({ context, selectFilter, onSelect }) => {
+/*
+ * Viewer of a JSON input where an array is picked as the dataset. Before
+ * being loaded, the array is flattened with the chosen options and the
+ * resulting columns previewed.
+ */
+const JsonViewer = ({
+  context,
+  selectFilter,
+  onSelect,
+  initialFlattening = DEFAULT_JSON_FLATTENING,
+}) => {
+  const [flattening, setFlattening] = useState(initialFlattening)
+  const [selection, setSelection] = useState(null)
+
+  const handleSelect = useCallback((ctx, path) => {
+    setSelection({ context: ctx, path })
+  }, [])
+
+  const arrayColumns = useMemo(
+    () =>
+      selection
+        ? getJsonArrayColumns(
+            selection.context.slice(0, PREVIEW_ITEMS),
+            flattening.depth
+          )
+        : [],
+    [selection, flattening.depth]
+  )
+
+  // The first array is exploded until another one is chosen
+  const explode =
+    flattening.arrays === 'explode' &&
+    !arrayColumns.includes(flattening.explode)
+      ? arrayColumns[0] ?? null
+      : flattening.explode ?? null
+  const selectedFlattening = useMemo(() => ({ ...flattening, explode }), [
+    flattening,
+    explode,
+  ])
+
+  const previewColumns = useMemo(
+    () =>
+      selection
+        ? getJsonColumns(
+            normalizeJsonArray(
+              selection.context.slice(0, PREVIEW_ITEMS),
+              selectedFlattening
+            )
+          )
+        : null,
+    [selection, selectedFlattening]
+  )
+
+  // Only an exploded array gives items more than one row
+  const rowCount = useMemo(() => {
+    if (!selection) {
+      return null
+    }
+    return selectedFlattening.arrays === 'explode'
+      ? normalizeJsonArray(selection.context, selectedFlattening).length
+      : selection.context.length
+  }, [selection, selectedFlattening])
+
+  const update = (changes) => setFlattening({ ...flattening, ...changes })
+
   return (
-    <pre className="json-viewer">
-      <JsonViewerRecursive
-        contextName={null}
-        nestingLevel={0}
-        context={context}
-        selectFilter={selectFilter}
-        onSelect={onSelect}
-        path={[]}
-      />
-    </pre>
+    <>
+      <div className="json-flattening d-flex align-items-center flex-wrap mb-2">
+        <span>Flatten nested objects</span>
+        <Dropdown className="d-inline-block raw-dropdown ml-2 mr-3">
+          <Dropdown.Toggle variant="white">
+            {getDepthLabel(flattening.depth)}
+          </Dropdown.Toggle>
+          <Dropdown.Menu>
+            {FLATTENING_DEPTHS.map((d) => (
+              <Dropdown.Item
+                key={String(d)}
+                onSelect={() => update({ depth: d })}
+              >
+                {getDepthLabel(d)}
+              </Dropdown.Item>
+            ))}
+          </Dropdown.Menu>
+        </Dropdown>
+        <span>Arrays</span>
+        <Dropdown className="d-inline-block raw-dropdown ml-2">
+          <Dropdown.Toggle variant="white">
+            {JSON_ARRAY_HANDLING[flattening.arrays]}
+          </Dropdown.Toggle>
+          <Dropdown.Menu>
+            {Object.keys(JSON_ARRAY_HANDLING).map((d) => (
+              <Dropdown.Item key={d} onSelect={() => update({ arrays: d })}>
+                {JSON_ARRAY_HANDLING[d]}
+              </Dropdown.Item>
+            ))}
+          </Dropdown.Menu>
+        </Dropdown>
+        {flattening.arrays === 'explode' && arrayColumns.length > 0 && (
+          <>
+            <span className="ml-3">of</span>
+            <Dropdown className="d-inline-block raw-dropdown ml-2">
+              <Dropdown.Toggle variant="white" className="truncate-160px">
+                {explode}
+              </Dropdown.Toggle>
+              <Dropdown.Menu>
+                {arrayColumns.map((d) => (
+                  <Dropdown.Item
+                    key={d}
+                    onSelect={() => update({ explode: d })}
+                  >
+                    {d}
+                  </Dropdown.Item>
+                ))}
+              </Dropdown.Menu>
+            </Dropdown>
+          </>
+        )}
+      </div>
+      <pre className="json-viewer">
+        <JsonViewerRecursive
+          contextName={null}
+          nestingLevel={0}
+          context={context}
+          selectFilter={selectFilter}
+          onSelect={handleSelect}
+          path={[]}
+          selectedPath={selection?.path}
+        />
+      </pre>
+      {selection ? (
+        <div className="d-flex align-items-center justify-content-between">
+          <span className="json-columns-preview text-truncate mr-3">
+            {rowCount} rows, {previewColumns.length} columns:{' '}
+            {previewColumns.join(', ')}
+          </span>
+          <Button
+            onClick={() =>
+              onSelect(selection.context, selection.path, selectedFlattening)
+            }
+          >
+            Load data
+          </Button>
+        </div>
+      ) : (
+        <span className="small text-muted">
+          Click on an array to preview the columns of its items
+        </span>
+      )}
+    </>
   )
 }
 
@@ -0,0 +1,105 @@
+import React from 'react'
+import { Dropdown } from 'react-bootstrap'
+import { ENCODINGS, QUOTE_CHARACTERS } from '../../hooks/useDataLoaderUtils/csv'
+
+import styles from './ParsingOptions.module.scss'
+
+const FIRST_ROW_OPTIONS = {
+  header: 'Header',
+  data: 'Data',
+}
+
+function readCount(value) {
+  const count = parseInt(value, 10)
+  return Number.isFinite(count) && count > 0 ? count : 0
+}
+
+/*
+ * Options of delimited texts (see `DEFAULT_CSV_OPTIONS`), as detected
+ * when the data was loaded. The encoding can be changed only when the
+ * bytes of the file are available.
+ */
+export default function CsvOptions({ value, onChange, canChangeEncoding }) {
+  const update = (changes) => onChange({ ...value, ...changes })
+  return (
+    <>
+      <div className="option">
+        Quote
+        <Dropdown className="d-inline-block raw-dropdown">
+          <Dropdown.Toggle
+            variant="white"
+            className="d-flex justify-content-start align-items-center text-truncate"
+          >
+            {value.quote !== '' && (
+              <span
+                className={['small', styles['separator-preview']].join(' ')}
+              >
+                {value.quote}
+              </span>
+            )}
+            <span>{QUOTE_CHARACTERS[value.quote]}</span>
+          </Dropdown.Toggle>
+          <Dropdown.Menu>
+            {Object.keys(QUOTE_CHARACTERS).map((d) => (
+              <Dropdown.Item key={d} onSelect={() => update({ quote: d })}>
+                {QUOTE_CHARACTERS[d]}
+              </Dropdown.Item>
+            ))}
+          </Dropdown.Menu>
+        </Dropdown>
+      </div>
+      <div className="option">
+        First row
+        <Dropdown className="d-inline-block raw-dropdown">
+          <Dropdown.Toggle variant="white">
+            {FIRST_ROW_OPTIONS[value.header ? 'header' : 'data']}
+          </Dropdown.Toggle>
+          <Dropdown.Menu>
+            {Object.keys(FIRST_ROW_OPTIONS).map((d) => (
+              <Dropdown.Item
+                key={d}
+                onSelect={() => update({ header: d === 'header' })}
+              >
+                {FIRST_ROW_OPTIONS[d]}
+              </Dropdown.Item>
+            ))}
+          </Dropdown.Menu>
+        </Dropdown>
+      </div>
+      <div className="option">
+        Rows to skip
+        <input
+          type="number"
+          min={0}
+          value={value.skipRows}
+          onChange={(e) => update({ skipRows: readCount(e.target.value) })}
+        />
+      </div>
+      <div className="option">
+        Comment prefix
+        <input
+          type="text"
+          value={value.commentPrefix}
+          onChange={(e) => update({ commentPrefix: e.target.value })}
+        />
+      </div>
+      {canChangeEncoding && (
+        <div className="option">
+          Encoding
+          <Dropdown className="d-inline-block raw-dropdown">
+            <Dropdown.Toggle variant="white" className="text-truncate">
+              {ENCODINGS[value.encoding]}
+            </Dropdown.Toggle>
+            <Dropdown.Menu>
+              {Object.keys(ENCODINGS).map((d) => (
+                <Dropdown.Item key={d} onSelect={() => update({ encoding: d })}>
+                  {ENCODINGS[d]}
+                </Dropdown.Item>
+              ))}
+            </Dropdown.Menu>
+          </Dropdown>
+        </div>
+      )}
+    </>
+  )
+}
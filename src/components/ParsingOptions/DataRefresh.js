@@ -0,0 +1,187 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react'
+import { Button, Dropdown, Spinner } from 'react-bootstrap'
+import { BsArrowRepeat } from 'react-icons/bs'
+import { fetchData as fetchDataFromUrl } from '../DataLoader/loaders/UrlFetch'
+import { fetchData as fetchDataFromSparql } from '../DataLoader/loaders/SparqlFetch'
+import { fetchTermData } from '../DataLoader/loaders/TerminologyService'
+import {
+  describeSnapshotChanges,
+  getDataSnapshot,
+  getSnapshotChanges,
+  REFRESH_HISTORY_LENGTH,
+  REFRESH_INTERVALS,
+} from '../../hooks/useDataLoaderUtils/refresh'
+import styles from './ParsingOptions.module.scss'
+
+// Sources loaded from a catalogue are url or sparql sources too
+const dataRefreshWorkers = {
+  url: fetchDataFromUrl,
+  sparql: fetchDataFromSparql,
+  'terminology-item': fetchTermData,
+}
+
+const dataRefreshCaptions = {
+  url: 'Refresh data from url',
+  sparql: 'Refresh data from query',
+  'terminology-item': 'Refresh term details',
+}
+
+export function isRefreshable(dataSource) {
+  return dataSource?.type in dataRefreshWorkers
+}
+
+/*
+ * Refreshes the data of a live source, by hand or every few minutes.
+ * The history of the refreshes tells the changes in the rows and
+ * columns since the previous fetch, failures are passed to
+ * `onRefreshError` (and `null` once a refresh succeeds).
+ * `onDataRefreshed` parses the fetched data and returns the parsing
+ * error, if any.
+ */
+export default function DataRefresh({
+  dataSource,
+  data,
+  onDataRefreshed,
+  onRefreshError,
+}) {
+  const [refreshInterval, setRefreshInterval] = useState(0)
+  const [refreshing, setRefreshing] = useState(false)
+  const [history, setHistory] = useState([])
+  // Refresh whose data is being parsed, with the data it replaces
+  const pendingRef = useRef(null)
+  const refreshingRef = useRef(false)
+  const mountedRef = useRef(true)
+
+  useEffect(() => {
+    return () => {
+      mountedRef.current = false
+    }
+  }, [])
+
+  const addToHistory = useCallback((entry) => {
+    setHistory((current) =>
+      [entry, ...current].slice(0, REFRESH_HISTORY_LENGTH)
+    )
+  }, [])
+
+  const refreshData = async () => {
+    // Scheduled refreshes wait for the one running
+    if (refreshingRef.current) {
+      return
+    }
+    refreshingRef.current = true
+    setRefreshing(true)
+    const time = new Date()
+    const previous = getDataSnapshot(data)
+    try {
+      const rawInput = await dataRefreshWorkers[dataSource.type](dataSource)
+      if (!mountedRef.current) {
+        return
+      }
+      pendingRef.current = { time, previous }
+      const parseError = onDataRefreshed(rawInput)
+      if (parseError) {
+        // No parsed data will come for this refresh
+        pendingRef.current = null
+        throw new Error(parseError)
+      }
+      onRefreshError(null)
+    } catch (e) {
+      if (!mountedRef.current) {
+        return
+      }
+      addToHistory({ time, error: e.message })
+      onRefreshError(
+        'It was not possible to refresh the data. ' + (e.message ?? '')
+      )
+    } finally {
+      refreshingRef.current = false
+      if (mountedRef.current) {
+        setRefreshing(false)
+      }
+    }
+  }
+
+  // Changes are known once the refreshed data has been parsed
+  useEffect(() => {
+    const pending = pendingRef.current
+    if (!pending || !data) {
+      return
+    }
+    pendingRef.current = null
+    const { time, previous } = pending
+    const changes = previous
+      ? getSnapshotChanges(previous, getDataSnapshot(data))
+      : null
+    addToHistory({ time, changes })
+  }, [addToHistory, data])
+
+  // The interval calls the latest refresh, which sees the current data
+  const refreshRef = useRef(refreshData)
+  refreshRef.current = refreshData
+  useEffect(() => {
+    if (!refreshInterval) {
+      return
+    }
+    const timer = setInterval(
+      () => refreshRef.current(),
+      refreshInterval * 60 * 1000
+    )
+    return () => clearInterval(timer)
+  }, [refreshInterval])
+
+  return (
+    <div>
+      <Button
+        color="primary"
+        className={styles['refresh-button']}
+        disabled={refreshing}
+        onClick={() => refreshData()}
+      >
+        {refreshing ? (
+          <Spinner animation="border" size="sm" className="mr-2" />
+        ) : (
+          <BsArrowRepeat className="mr-2" />
+        )}
+        {dataRefreshCaptions[dataSource.type]}
+      </Button>
+
+      <div className="option">
+        Auto-refresh
+        <Dropdown className="d-inline-block raw-dropdown">
+          <Dropdown.Toggle variant="white">
+            {REFRESH_INTERVALS[refreshInterval]}
+          </Dropdown.Toggle>
+          <Dropdown.Menu>
+            {Object.keys(REFRESH_INTERVALS).map((d) => (
+              <Dropdown.Item
+                key={d}
+                onSelect={() => setRefreshInterval(Number(d))}
+              >
+                {REFRESH_INTERVALS[d]}
+              </Dropdown.Item>
+            ))}
+          </Dropdown.Menu>
+        </Dropdown>
+      </div>
+
+      {history.length > 0 && (
+        <ul className={styles['refresh-history']}>
+          {history.map(({ time, error, changes }) => (
+            <li key={time.getTime()}>
+              <span className="text-muted">{time.toLocaleTimeString()}</span>{' '}
+              {error && <span className="text-danger">Failed: {error}</span>}
+              {changes &&
+                describeSnapshotChanges(changes).map((d, i) => (
+                  <div key={i} className={i > 0 ? 'text-warning' : ''}>
+                    {d}
+                  </div>
+                ))}
+              {!error && !changes && <span>Data loaded</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
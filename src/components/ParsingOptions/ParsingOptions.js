@@ -1,46 +1,38 @@
 import React from 'react'
-import { Row, Col, Button } from 'react-bootstrap'
+import { Row, Col } from 'react-bootstrap'
 import SeparatorSelector from './SeparatorSelector'
+import CsvOptions from './CsvOptions'
 import ThousandsSeparatorSelector from './ThousandsSeparatorSelector'
 import DecimalsSeparatorSelector from './DecimalsSeparatorSelector'
 import DateLocaleSelector from './DateLocaleSelector'
 import StackSelector from './StackSelector'
+import UnstackSelector from './UnstackSelector'
+import TransformationPipeline from './TransformationPipeline'
 
 import styles from './ParsingOptions.module.scss'
-import { BsArrowRepeat } from 'react-icons/bs'
-import { get } from 'lodash'
-import { fetchData as fetchDataFromUrl } from '../DataLoader/loaders/UrlFetch'
-import { fetchData as fetchDataFromSparql } from '../DataLoader/loaders/SparqlFetch'
-
-const dataRefreshWorkers = {
-  "url": fetchDataFromUrl,
-  "sparql": fetchDataFromSparql
-}
-
-const dataRefreshCaptions = {
-  "url": "Refresh data from url",
-  "sparql": "Refresh data from query"
-}
+import DataRefresh, { isRefreshable } from './DataRefresh'
 
 export default function ParsingOptions(props) {
-  const refreshData = async () => {
-    const dataRefreshImpl = dataRefreshWorkers[get(props.dataSource, "type", "")]
-    const data = await dataRefreshImpl(props.dataSource)
-    props.onDataRefreshed(data)
-  }
-
   return (
     <Row>
       <Col className={styles.parsingOptions}>
         <b>DATA PARSING OPTIONS</b>
 
-        {props.userDataType === 'csv' && (
+        {/* Streamed files are parsed once, with the options guessed */}
+        {props.userDataType === 'csv' && !props.dataSource?.streamed && (
           <SeparatorSelector
             title="Column separator"
             value={props.separator}
             onChange={(nextSeparator) => props.setSeparator(nextSeparator)}
           />
         )}
+        {props.userDataType === 'csv' && !props.dataSource?.streamed && (
+          <CsvOptions
+            value={props.csvOptions}
+            onChange={(nextCsvOptions) => props.setCsvOptions(nextCsvOptions)}
+            canChangeEncoding={props.canChangeEncoding}
+          />
+        )}
         <ThousandsSeparatorSelector
           title="Thousands separator"
           value={props.thousandsSeparator}
@@ -62,15 +54,13 @@ export default function ParsingOptions(props) {
           onChange={(nextLocale) => props.setLocale(nextLocale)}
         />
 
-        {get(dataRefreshWorkers, get(props.dataSource, 'type', ''), null) && (
-          <Button
-            color="primary"
-            className={styles['refresh-button']}
-            onClick={() => refreshData()}
-          >
-            <BsArrowRepeat className="mr-2" />
-            {get(dataRefreshCaptions, get(props.dataSource, 'type', ''), "Refresh data")}
-          </Button>
+        {isRefreshable(props.dataSource) && (
+          <DataRefresh
+            dataSource={props.dataSource}
+            data={props.data}
+            onDataRefreshed={props.onDataRefreshed}
+            onRefreshError={props.onRefreshError}
+          />
         )}
 
         <div className="divider mb-3 mt-0" />
@@ -85,6 +75,21 @@ export default function ParsingOptions(props) {
             props.setStackDimension(nextStackDimension)
           }
         />
+
+        <UnstackSelector
+          value={props.unstackOptions}
+          list={props.dimensions}
+          onChange={(nextUnstackOptions) =>
+            props.setUnstackOptions(nextUnstackOptions)
+          }
+        />
+
+        <TransformationPipeline
+          steps={props.pipeline}
+          columns={props.pipelineColumns}
+          error={props.pipelineError}
+          onChange={(nextPipeline) => props.setPipeline(nextPipeline)}
+        />
       </Col>
     </Row>
   )
@@ -0,0 +1,107 @@
+import React, { useState } from 'react'
+import { Dropdown } from 'react-bootstrap'
+import { BsArrowDown, BsArrowUp, BsX } from 'react-icons/bs'
+import classNames from 'classnames'
+import { TRANSFORMATIONS_LABELS } from '../../constants'
+import { describeStep } from '../../hooks/useDataLoaderUtils/pipeline'
+import TransformationStepModal, {
+  getDefaultStep,
+} from './TransformationStepModal'
+import styles from './ParsingOptions.module.scss'
+
+export default function TransformationPipeline({
+  steps,
+  columns,
+  error,
+  onChange,
+}) {
+  // Step being edited: its index (null for a new step) and its content
+  const [editing, setEditing] = useState(null)
+
+  const moveStep = (index, offset) => {
+    const nextSteps = [...steps]
+    const [step] = nextSteps.splice(index, 1)
+    nextSteps.splice(index + offset, 0, step)
+    onChange(nextSteps)
+  }
+
+  return (
+    <div className="mb-3">
+      {steps.map((step, i) => (
+        <div
+          key={i}
+          className={classNames(styles['transformation-step'], {
+            'text-danger': error?.step === i,
+          })}
+        >
+          <div
+            className="cursor-pointer flex-grow-1 text-truncate"
+            title={error?.step === i ? error.message : describeStep(step)}
+            onClick={() => setEditing({ index: i, step })}
+          >
+            <div className="font-weight-bold">
+              {TRANSFORMATIONS_LABELS[step.type]}
+            </div>
+            <div className="text-truncate">{describeStep(step)}</div>
+          </div>
+          <button
+            className="btn btn-sm btn-light px-1"
+            title="Move up"
+            disabled={i === 0}
+            onClick={() => moveStep(i, -1)}
+          >
+            <BsArrowUp />
+          </button>
+          <button
+            className="btn btn-sm btn-light px-1"
+            title="Move down"
+            disabled={i === steps.length - 1}
+            onClick={() => moveStep(i, 1)}
+          >
+            <BsArrowDown />
+          </button>
+          <button
+            className="btn btn-sm btn-light px-1"
+            title="Remove"
+            onClick={() => onChange(steps.filter((s, j) => i !== j))}
+          >
+            <BsX />
+          </button>
+        </div>
+      ))}
+      {error && <p className="small text-danger">{error.message}</p>}
+      <Dropdown className={classNames('raw-dropdown', styles['add-step'])}>
+        <Dropdown.Toggle variant="white" disabled={columns.length === 0}>
+          Add step
+        </Dropdown.Toggle>
+        <Dropdown.Menu>
+          {Object.keys(TRANSFORMATIONS_LABELS).map((type) => (
+            <Dropdown.Item
+              key={type}
+              onSelect={() =>
+                setEditing({ index: null, step: getDefaultStep(type, columns) })
+              }
+            >
+              {TRANSFORMATIONS_LABELS[type]}
+            </Dropdown.Item>
+          ))}
+        </Dropdown.Menu>
+      </Dropdown>
+      {editing && (
+        <TransformationStepModal
+          step={editing.step}
+          columns={columns}
+          onCancel={() => setEditing(null)}
+          onSave={(step) => {
+            onChange(
+              editing.index === null
+                ? [...steps, step]
+                : steps.map((s, j) => (j === editing.index ? step : s))
+            )
+            setEditing(null)
+          }}
+        />
+      )}
+    </div>
+  )
+}
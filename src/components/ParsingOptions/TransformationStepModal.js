@@ -0,0 +1,416 @@
+import React, { useMemo, useState } from 'react'
+import { Modal, Button, Form } from 'react-bootstrap'
+import {
+  AGGREGATIONS_LABELS,
+  FILTER_OPERATORS_LABELS,
+  TRANSFORMATIONS_LABELS,
+} from '../../constants'
+import { parseExpression } from '../../hooks/useDataLoaderUtils/expression'
+
+export function getDefaultStep(type, columns) {
+  switch (type) {
+    case 'filter':
+      return { type, column: columns[0], operator: '=', value: '' }
+    case 'derive':
+      return { type, name: '', expression: '' }
+    case 'rename':
+      return { type, column: columns[0], name: '' }
+    case 'drop':
+      return { type, columns: [] }
+    case 'aggregate':
+      return {
+        type,
+        groupBy: [],
+        aggregations: [{ column: columns[0], aggregation: 'count', name: '' }],
+      }
+    case 'pivot':
+      return {
+        type,
+        keys: [],
+        column: columns[0],
+        value: columns[0],
+        aggregation: 'sum',
+      }
+    case 'unpivot':
+      return { type, idColumns: [], nameColumn: 'column', valueColumn: 'value' }
+    default:
+      throw new Error(`Unknown transformation "${type}"`)
+  }
+}
+
+function ColumnSelect({ label, value, columns, onChange }) {
+  return (
+    <Form.Group>
+      <Form.Label>{label}</Form.Label>
+      <Form.Control
+        as="select"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        {columns.map((column) => (
+          <option key={column} value={column}>
+            {column}
+          </option>
+        ))}
+      </Form.Control>
+    </Form.Group>
+  )
+}
+
+function ColumnsCheckList({ label, value, columns, onChange }) {
+  return (
+    <Form.Group>
+      <Form.Label>{label}</Form.Label>
+      {columns.map((column) => (
+        <Form.Check
+          key={column}
+          type="checkbox"
+          id={`transformation-column-${column}`}
+          label={column}
+          checked={value.includes(column)}
+          onChange={(e) =>
+            onChange(
+              e.target.checked
+                ? columns.filter((c) => c === column || value.includes(c))
+                : value.filter((c) => c !== column)
+            )
+          }
+        />
+      ))}
+    </Form.Group>
+  )
+}
+
+function TextInput({ label, value, onChange, ...props }) {
+  return (
+    <Form.Group>
+      <Form.Label>{label}</Form.Label>
+      <Form.Control
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        {...props}
+      />
+    </Form.Group>
+  )
+}
+
+function AggregationSelect({ label, value, onChange }) {
+  return (
+    <Form.Control
+      as="select"
+      aria-label={label}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+    >
+      {Object.keys(AGGREGATIONS_LABELS).map((aggregation) => (
+        <option key={aggregation} value={aggregation}>
+          {AGGREGATIONS_LABELS[aggregation]}
+        </option>
+      ))}
+    </Form.Control>
+  )
+}
+
+function getAggregationName({ column, aggregation, name }) {
+  return name || `${column} (${AGGREGATIONS_LABELS[aggregation]})`
+}
+
+function validateStep(step) {
+  switch (step.type) {
+    case 'derive':
+      if (!step.name) {
+        return 'Choose a name for the new column'
+      }
+      try {
+        parseExpression(step.expression)
+      } catch (e) {
+        return e.message
+      }
+      return null
+    case 'rename':
+      return step.name ? null : 'Choose a new name for the column'
+    case 'drop':
+      return step.columns.length > 0 ? null : 'Choose the columns to drop'
+    case 'aggregate':
+      return step.aggregations.length > 0 ? null : 'Add an aggregation'
+    case 'unpivot':
+      return step.idColumns.length > 0 && step.nameColumn && step.valueColumn
+        ? null
+        : 'Choose the columns to keep and the names of the new columns'
+    default:
+      return null
+  }
+}
+
+function StepForm({ step, columns, onChange }) {
+  const update = (changes) => onChange({ ...step, ...changes })
+  switch (step.type) {
+    case 'filter':
+      return (
+        <>
+          <ColumnSelect
+            label="Column"
+            value={step.column}
+            columns={columns}
+            onChange={(column) => update({ column })}
+          />
+          <Form.Group>
+            <Form.Label>Condition</Form.Label>
+            <Form.Control
+              as="select"
+              value={step.operator}
+              onChange={(e) => update({ operator: e.target.value })}
+            >
+              {Object.keys(FILTER_OPERATORS_LABELS).map((operator) => (
+                <option key={operator} value={operator}>
+                  {FILTER_OPERATORS_LABELS[operator]}
+                </option>
+              ))}
+            </Form.Control>
+          </Form.Group>
+          {!['empty', 'notEmpty'].includes(step.operator) && (
+            <TextInput
+              label="Value"
+              value={step.value}
+              onChange={(value) => update({ value })}
+            />
+          )}
+        </>
+      )
+    case 'derive':
+      return (
+        <>
+          <TextInput
+            label="New column name"
+            value={step.name}
+            onChange={(name) => update({ name })}
+          />
+          <TextInput
+            label="Expression"
+            value={step.expression}
+            placeholder="[price] * [quantity]"
+            onChange={(expression) => update({ expression })}
+          />
+          <Form.Text muted>
+            Refer to columns as [Column name]. Available functions: abs, ceil,
+            floor, round, sqrt, log, pow, min, max, lower, upper, trim, length,
+            concat, if.
+          </Form.Text>
+        </>
+      )
+    case 'rename':
+      return (
+        <>
+          <ColumnSelect
+            label="Column"
+            value={step.column}
+            columns={columns}
+            onChange={(column) => update({ column })}
+          />
+          <TextInput
+            label="New name"
+            value={step.name}
+            onChange={(name) => update({ name })}
+          />
+        </>
+      )
+    case 'drop':
+      return (
+        <ColumnsCheckList
+          label="Columns to drop"
+          value={step.columns}
+          columns={columns}
+          onChange={(dropped) => update({ columns: dropped })}
+        />
+      )
+    case 'aggregate':
+      return (
+        <>
+          <ColumnsCheckList
+            label="Group by"
+            value={step.groupBy}
+            columns={columns}
+            onChange={(groupBy) => update({ groupBy })}
+          />
+          <Form.Label>Aggregations</Form.Label>
+          {step.aggregations.map((aggregation, i) => {
+            const updateAggregation = (changes) =>
+              update({
+                aggregations: step.aggregations.map((a, j) =>
+                  i === j ? { ...a, ...changes } : a
+                ),
+              })
+            return (
+              <div key={i} className="d-flex mb-2">
+                <Form.Control
+                  as="select"
+                  aria-label="Column"
+                  className="mr-2"
+                  value={aggregation.column}
+                  onChange={(e) =>
+                    updateAggregation({ column: e.target.value })
+                  }
+                >
+                  {columns.map((column) => (
+                    <option key={column} value={column}>
+                      {column}
+                    </option>
+                  ))}
+                </Form.Control>
+                <AggregationSelect
+                  label="Aggregation"
+                  value={aggregation.aggregation}
+                  onChange={(value) =>
+                    updateAggregation({ aggregation: value })
+                  }
+                />
+                <Form.Control
+                  type="text"
+                  aria-label="Result column name"
+                  className="mx-2"
+                  placeholder={getAggregationName({
+                    ...aggregation,
+                    name: '',
+                  })}
+                  value={aggregation.name}
+                  onChange={(e) => updateAggregation({ name: e.target.value })}
+                />
+                <Button
+                  variant="light"
+                  onClick={() =>
+                    update({
+                      aggregations: step.aggregations.filter((a, j) => i !== j),
+                    })
+                  }
+                >
+                  Remove
+                </Button>
+              </div>
+            )
+          })}
+          <Button
+            variant="light"
+            size="sm"
+            onClick={() =>
+              update({
+                aggregations: [
+                  ...step.aggregations,
+                  { column: columns[0], aggregation: 'count', name: '' },
+                ],
+              })
+            }
+          >
+            Add aggregation
+          </Button>
+        </>
+      )
+    case 'pivot':
+      return (
+        <>
+          <ColumnsCheckList
+            label="Row keys"
+            value={step.keys}
+            columns={columns}
+            onChange={(keys) => update({ keys })}
+          />
+          <ColumnSelect
+            label="Column names from"
+            value={step.column}
+            columns={columns}
+            onChange={(column) => update({ column })}
+          />
+          <ColumnSelect
+            label="Values from"
+            value={step.value}
+            columns={columns}
+            onChange={(value) => update({ value })}
+          />
+          <Form.Group>
+            <Form.Label>Aggregation of repeated values</Form.Label>
+            <AggregationSelect
+              label="Aggregation of repeated values"
+              value={step.aggregation}
+              onChange={(aggregation) => update({ aggregation })}
+            />
+          </Form.Group>
+        </>
+      )
+    case 'unpivot':
+      return (
+        <>
+          <ColumnsCheckList
+            label="Columns to keep"
+            value={step.idColumns}
+            columns={columns}
+            onChange={(idColumns) => update({ idColumns })}
+          />
+          <TextInput
+            label="Name of the column holding column names"
+            value={step.nameColumn}
+            onChange={(nameColumn) => update({ nameColumn })}
+          />
+          <TextInput
+            label="Name of the column holding values"
+            value={step.valueColumn}
+            onChange={(valueColumn) => update({ valueColumn })}
+          />
+        </>
+      )
+    default:
+      return null
+  }
+}
+
+export default function TransformationStepModal({
+  step: initialStep,
+  columns,
+  onSave,
+  onCancel,
+}) {
+  const [step, setStep] = useState(initialStep)
+  const error = useMemo(() => validateStep(step), [step])
+
+  return (
+    <Modal
+      className="raw-modal"
+      show={true}
+      onHide={onCancel}
+      backdrop="static"
+      centered
+      aria-labelledby="contained-modal-title-vcenter"
+    >
+      <Modal.Header closeButton>
+        <Modal.Title as="h5">{TRANSFORMATIONS_LABELS[step.type]}</Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        <StepForm step={step} columns={columns} onChange={setStep} />
+        {error && <p className="text-danger mt-3 mb-0">{error}</p>}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="secondary" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button
+          variant="success"
+          disabled={error !== null}
+          onClick={() =>
+            onSave(
+              step.type === 'aggregate'
+                ? {
+                    ...step,
+                    aggregations: step.aggregations.map((a) => ({
+                      ...a,
+                      name: getAggregationName(a),
+                    })),
+                  }
+                : step
+            )
+          }
+        >
+          Save
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  )
+}
@@ -0,0 +1,86 @@
+import React, { useState } from 'react'
+import { Dropdown } from 'react-bootstrap'
+import { AGGREGATIONS_LABELS } from '../../constants'
+import styles from './ParsingOptions.module.scss'
+
+function UnstackDropdown({ title, value, list, labels, onChange }) {
+  return (
+    <div className="option">
+      {title}
+      <Dropdown className="d-inline-block raw-dropdown">
+        <Dropdown.Toggle
+          variant="white"
+          className="truncate-160px"
+          disabled={list.length === 0}
+        >
+          {value ? labels?.[value] ?? value : 'Column'}
+        </Dropdown.Toggle>
+        <Dropdown.Menu>
+          {list.map((d) => {
+            return (
+              <Dropdown.Item key={d} onSelect={() => onChange(d)}>
+                {labels?.[d] ?? d}
+              </Dropdown.Item>
+            )
+          })}
+        </Dropdown.Menu>
+      </Dropdown>
+    </div>
+  )
+}
+
+export default function UnstackSelector({ value, list, onChange }) {
+  const [options, setOptions] = useState(
+    value ?? { key: null, column: null, value: null, aggregation: 'csv' }
+  )
+  const columns = Object.keys(list)
+  const update = (changes) => setOptions({ ...options, ...changes })
+  const ready = options.key && options.column && options.value
+
+  return (
+    <div className={styles['unstack-selector']}>
+      <UnstackDropdown
+        title="Unstack rows by"
+        value={options.key}
+        list={columns}
+        onChange={(key) => update({ key })}
+      />
+      <UnstackDropdown
+        title="Columns from"
+        value={options.column}
+        list={columns}
+        onChange={(column) => update({ column })}
+      />
+      <UnstackDropdown
+        title="Values from"
+        value={options.value}
+        list={columns}
+        onChange={(value) => update({ value })}
+      />
+      <UnstackDropdown
+        title="Repeated values"
+        value={options.aggregation}
+        list={Object.keys(AGGREGATIONS_LABELS)}
+        labels={AGGREGATIONS_LABELS}
+        onChange={(aggregation) => update({ aggregation })}
+      />
+      <div className="d-flex justify-content-end">
+        {value && (
+          <button
+            className="btn btn-sm btn-light mr-2"
+            onClick={() => onChange(null)}
+          >
+            Do not unstack
+          </button>
+        )}
+        <button
+          className="btn btn-sm btn-success"
+          disabled={!ready}
+          onClick={() => onChange(options)}
+        >
+          Unstack
+        </button>
+      </div>
+    </div>
+  )
+}
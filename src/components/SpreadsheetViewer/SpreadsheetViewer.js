@@ -0,0 +1,104 @@
+import React, { useMemo, useState } from 'react'
+import { Dropdown, Table } from 'react-bootstrap'
+import classNames from 'classnames'
+import {
+  isValidCellRange,
+  readSpreadsheet,
+  spreadsheetToRows,
+} from '../../hooks/useDataLoaderUtils/parser'
+import S from './SpreadsheetViewer.module.scss'
+
+const PREVIEW_ROWS = 10
+
+const SpreadsheetViewer = ({ data, initialSheet, initialRange, onSelect }) => {
+  const workbook = useMemo(() => readSpreadsheet(data), [data])
+  const [sheet, setSheet] = useState(
+    workbook.SheetNames.includes(initialSheet)
+      ? initialSheet
+      : workbook.SheetNames[0]
+  )
+  const [range, setRange] = useState(initialRange ?? '')
+
+  const trimmedRange = range.trim()
+  const rangeIsValid = trimmedRange === '' || isValidCellRange(trimmedRange)
+
+  const previewRows = useMemo(() => {
+    if (!rangeIsValid) {
+      return []
+    }
+    return spreadsheetToRows(workbook, sheet, trimmedRange).slice(
+      0,
+      PREVIEW_ROWS
+    )
+  }, [workbook, sheet, trimmedRange, rangeIsValid])
+  const previewColumns = previewRows.length ? Object.keys(previewRows[0]) : []
+
+  return (
+    <div className={S['spreadsheet-viewer']}>
+      <div className="d-flex align-items-center">
+        <span>Sheet</span>
+        <Dropdown className="d-inline-block raw-dropdown ml-2 mr-4">
+          <Dropdown.Toggle variant="white" className="truncate-160px">
+            {sheet}
+          </Dropdown.Toggle>
+          <Dropdown.Menu>
+            {workbook.SheetNames.map((name) => (
+              <Dropdown.Item key={name} onSelect={() => setSheet(name)}>
+                {name}
+              </Dropdown.Item>
+            ))}
+          </Dropdown.Menu>
+        </Dropdown>
+        <span>Cell range</span>
+        <input
+          className={classNames('ml-2', S['range-input'], {
+            [S.invalid]: !rangeIsValid,
+          })}
+          placeholder="e.g. A1:F100 (optional)"
+          value={range}
+          onChange={(e) => setRange(e.target.value)}
+        />
+      </div>
+      <div className={S.preview}>
+        {previewRows.length > 0 && (
+          <Table size="sm" bordered>
+            <thead>
+              <tr>
+                {previewColumns.map((column) => (
+                  <th key={column}>{column}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {previewRows.map((row, i) => (
+                <tr key={i}>
+                  {previewColumns.map((column) => (
+                    <td key={column}>{row[column]}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+        {previewRows.length === 0 && (
+          <p className="text-muted">
+            {rangeIsValid
+              ? 'The selected sheet has no data.'
+              : 'The cell range is not valid.'}
+          </p>
+        )}
+      </div>
+      <div className="text-right">
+        <button
+          className="btn btn-sm btn-success mt-3"
+          disabled={previewRows.length === 0}
+          onClick={() => onSelect(sheet, trimmedRange || undefined)}
+        >
+          Load data
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default SpreadsheetViewer
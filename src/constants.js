@@ -106,6 +106,29 @@ export const AGGREGATIONS_LABELS = {
   "csvDistinct": "CSV (unique)",
 }
 
+export const TRANSFORMATIONS_LABELS = {
+  "filter": "Filter rows",
+  "derive": "Computed column",
+  "rename": "Rename column",
+  "drop": "Drop columns",
+  "aggregate": "Group and aggregate",
+  "pivot": "Pivot (long to wide)",
+  "unpivot": "Unpivot (wide to long)",
+}
+
+export const FILTER_OPERATORS_LABELS = {
+  "=": "equals",
+  "!=": "is not",
+  ">": "greater than",
+  ">=": "greater or equal",
+  "<": "less than",
+  "<=": "less or equal",
+  "contains": "contains",
+  "notContains": "doesn't contain",
+  "empty": "is empty",
+  "notEmpty": "is not empty",
+}
+
 export const SCALES_LABELS = {
   "sequential": "Sequential",
   "diverging": "Diverging",
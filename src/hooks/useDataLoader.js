@@ -1,21 +1,65 @@
-import { parseDataset } from '@rawgraphs/rawgraphs-core'
+import { inferTypes, parseDataset } from '@rawgraphs/rawgraphs-core'
 import { difference, get } from 'lodash'
-import { useCallback, useState } from 'react'
+import { useCallback, useMemo, useState } from 'react'
 import { DefaultSeparator, localeList, WEBWORKER_ACTIVE } from '../constants'
 import { parseDatasetInWorker } from '../worker'
 import {
+  LoadingWarning,
   normalizeJsonArray,
   parseAndCheckData,
+  SparqlTypes,
 } from './useDataLoaderUtils/parser'
-import { stackData } from './useDataLoaderUtils/stack'
+import { stackData, unstackData } from './useDataLoaderUtils/stack'
+import { applyJoins, joinData } from './useDataLoaderUtils/join'
+import {
+  applyPipeline,
+  getNumberReader,
+  getValuesAggregator,
+} from './useDataLoaderUtils/pipeline'
+import {
+  DEFAULT_SAMPLING,
+  isSampled,
+  sampleRows,
+} from './useDataLoaderUtils/sampling'
+import { DEFAULT_CSV_OPTIONS } from './useDataLoaderUtils/csv'
 
 export const DATA_LOADER_MODE = {
   DIRECT: 'direct',
   REPLACE: 'replace',
+  JOIN: 'join',
 }
 
 const __cache = {}
 
+/*
+ * Applies the stack or the unstack operation (only one of them can be set)
+ */
+function reshapeData(rows, stackDimension, unstackOptions, parsingOptions) {
+  if (stackDimension) {
+    return stackData(rows, stackDimension)
+  }
+  if (unstackOptions) {
+    const aggregate = getValuesAggregator(
+      unstackOptions.aggregation,
+      getNumberReader(parsingOptions)
+    )
+    return unstackData(rows, unstackOptions, aggregate)
+  }
+  return rows
+}
+
+/*
+ * Column types given by the loaded data itself (i.e. by the datatypes of
+ * SPARQL results), completed with the inferred types of the other columns
+ */
+function getSourceDataTypes(rows, loadedRows, parsingOptions) {
+  const sourceTypes = loadedRows?.[SparqlTypes]
+  if (!sourceTypes || Object.keys(sourceTypes).length === 0) {
+    return undefined
+  }
+  return { ...inferTypes(rows, parsingOptions), ...sourceTypes }
+}
+
 export default function useDataLoader() {
   /* Data to be plot in the chart */
   /* First stage: raw user input */
@@ -28,26 +72,62 @@ export default function useDataLoader() {
    * Instead, a JSON view is first shown asking the user to select an
    * array inside the JSON tree. The (parsed) content of the array will
    * be used to fill `userData`. In case of some error during parsing,
-   * the `parseError` state holds the error description
+   * the `parseError` state holds the error description.
+   * `loadingWarning` tells when the loaded rows may be incomplete
    */
   const [userData, setUserData] = useState(null)
   const [userDataType, setUserDataType] = useState(null)
   const [parseError, setParserError] = useState(null)
+  const [loadingWarning, setLoadingWarning] = useState(null)
   const [unstackedInfo, setUnstackedInfo] = useState([null, null])
+  const [transformInfo, setTransformInfo] = useState([null, null])
 
   /* Data Parsing Options */
   const [separator, setSeparator] = useState(DefaultSeparator)
+  /*
+   * Options of delimited texts, detected when data is loaded. `fileBytes`
+   * holds the bytes of an uploaded text file, to decode it again when the
+   * encoding is changed.
+   */
+  const [csvOptions, setCsvOptions] = useState(DEFAULT_CSV_OPTIONS)
+  const [fileBytes, setFileBytes] = useState(null)
   const [thousandsSeparator, setThousandsSeparator] = useState(',')
   const [decimalsSeparator, setDecimalsSeparator] = useState('.')
   const [locale, setLocale] = useState(navigator.language || 'en-US')
   const [stackDimension, setStackDimension] = useState()
+  const [unstackOptions, setUnstackOptions] = useState(null)
+  const [pipeline, setPipeline] = useState([])
 
   /* Third stage: data ready to become a chart */
   const [data, setData] = useState(null)
 
+  /* Data-size policy */
+  /*
+   * Datasets with more rows than the sample size of `samplingPolicy` are
+   * previewed with a sample of their rows: `previewData` is `data` with
+   * the sampled dataset (or `data` itself when it is small enough)
+   */
+  const [samplingPolicy, setSamplingPolicy] = useState(DEFAULT_SAMPLING)
+  const previewData = useMemo(() => {
+    if (!data || !isSampled(data.dataset, samplingPolicy)) {
+      return data
+    }
+    return { ...data, dataset: sampleRows(data.dataset, samplingPolicy) }
+  }, [data, samplingPolicy])
+
   /* Stack operations */
   const [unstackedData, unstackedColumns] = unstackedInfo
 
+  /* Transformation pipeline */
+  /*
+   * When the pipeline has steps, `userData` holds the transformed rows
+   * and `untransformedData` the rows as they were before the first step.
+   * In case some step fails, the `pipelineError` state holds the index
+   * of the step and the error description
+   */
+  const [untransformedData, untransformedColumns] = transformInfo
+  const [pipelineError, setPipelineError] = useState(null)
+
   /* Misc */
   const [loading, setLoading] = useState(false)
   const [mode, setMode] = useState(DATA_LOADER_MODE.DIRECT)
@@ -55,9 +135,11 @@ export default function useDataLoader() {
     replaceRequiresConfirmation,
     setReplaceRequiresConfirmation,
   ] = useState(undefined)
+  const [joinCandidate, setJoinCandidate] = useState(null)
 
   /* Unpacking */
-  const columnsTypes = unstackedColumns ?? data?.dataTypes
+  const columnsTypes =
+    unstackedColumns ?? untransformedColumns ?? data?.dataTypes
 
   //wrapper for async parse via web worker
   const parseDatasetAsyncAndSetData = useCallback(
@@ -119,15 +201,77 @@ export default function useDataLoader() {
     [parseDatasetAuto]
   )
 
+  /*
+   * Applies the transformation pipeline to rows and parses the result.
+   * When a step fails, rows are parsed untransformed.
+   */
+  const transformAndSetData = useCallback(
+    (rows, dataTypes, steps, parsingOptions) => {
+      if (steps.length === 0) {
+        setTransformInfo([null, null])
+        setPipelineError(null)
+        setUserData(rows)
+        return parseDatasetAndSetData(rows, dataTypes, parsingOptions)
+      }
+      let transformedRows = rows
+      try {
+        transformedRows = applyPipeline(rows, steps, parsingOptions)
+        setPipelineError(null)
+      } catch (e) {
+        setPipelineError({ step: e.step, message: e.message })
+      }
+      setTransformInfo([rows, dataTypes ?? inferTypes(rows, parsingOptions)])
+      setUserData(transformedRows)
+      return parseDatasetAndSetData(transformedRows, undefined, parsingOptions)
+    },
+    [parseDatasetAndSetData]
+  )
+
+  /*
+   * Applies the current stack or unstack operation to rows, then the
+   * transformation pipeline. The rows before the operation are kept as
+   * `unstackedData`, as the stack and unstack callbacks do.
+   */
+  const reshapeAndSetData = useCallback(
+    (rows, dataTypes, parsingOptions) => {
+      if (!stackDimension && !unstackOptions) {
+        setUnstackedInfo([null, null])
+        return transformAndSetData(rows, dataTypes, pipeline, parsingOptions)
+      }
+      setUnstackedInfo([rows, dataTypes ?? inferTypes(rows, parsingOptions)])
+      const reshapedRows = reshapeData(
+        rows,
+        stackDimension,
+        unstackOptions,
+        parsingOptions
+      )
+      return transformAndSetData(
+        reshapedRows,
+        undefined,
+        pipeline,
+        parsingOptions
+      )
+    },
+    [pipeline, stackDimension, transformAndSetData, unstackOptions]
+  )
+
   const reset = useCallback(() => {
     setData(null)
     setUserData(null)
     setUserDataType(null)
     setUserInput('')
+    setCsvOptions(DEFAULT_CSV_OPTIONS)
+    setFileBytes(null)
     setDataSource(null)
     setParserError(null)
+    setLoadingWarning(null)
     setStackDimension(null)
+    setUnstackOptions(null)
     setUnstackedInfo([null, null])
+    setPipeline([])
+    setTransformInfo([null, null])
+    setPipelineError(null)
+    setSamplingPolicy(DEFAULT_SAMPLING)
   }, [])
 
   const hydrateFromSavedProject = useCallback(
@@ -145,7 +289,12 @@ export default function useDataLoader() {
         decimalsSeparator,
         locale,
         stackDimension,
+        unstackOptions = null,
+        csvOptions = DEFAULT_CSV_OPTIONS,
         dataSource,
+        pipeline = [],
+        untransformedData = null,
+        untransformedColumns = null,
       } = project
       setUserInput(userInput)
       setUserDataType(userDataType)
@@ -154,10 +303,16 @@ export default function useDataLoader() {
       setDecimalsSeparator(decimalsSeparator)
       setLocale(locale)
       setStackDimension(stackDimension)
+      setUnstackOptions(unstackOptions)
+      setCsvOptions(csvOptions)
+      setFileBytes(null)
       setDataSource(dataSource)
       setUserData(userData)
       setParserError(parseError)
       setUnstackedInfo([unstackedData, unstackedColumns])
+      setPipeline(pipeline)
+      setTransformInfo([untransformedData, untransformedColumns])
+      setPipelineError(null)
       parseDatasetAndSetData(userData, dataTypes, {
         thousandsSeparator,
         decimalsSeparator,
@@ -201,19 +356,53 @@ export default function useDataLoader() {
                 // There was some error in type coercing, data cannot be replaced safely
                 __cache.replacedData = newDataInferred
                 setReplaceRequiresConfirmation('type-mismatch')
-              } else {
-                if (stackDimension) {
-                  setUnstackedInfo([userData, newData.dataTypes])
-                  const stackedData = stackData(userData, stackDimension)
-                  setUserData(stackedData)
-                  parseDatasetAuto(stackedData, data.dataTypes, {
+              } else if (
+                stackDimension ||
+                unstackOptions ||
+                pipeline.length > 0
+              ) {
+                const reshaped = stackDimension || unstackOptions
+                const stackedData = reshapeData(
+                  userData,
+                  stackDimension,
+                  unstackOptions,
+                  {
                     locale,
                     decimal: decimalsSeparator,
                     group: thousandsSeparator,
-                  }).then(data => setData(data))
-                } else {
-                  setData(newData)
+                  }
+                )
+                let transformedData = stackedData
+                if (pipeline.length > 0) {
+                  try {
+                    transformedData = applyPipeline(stackedData, pipeline, {
+                      locale,
+                      decimal: decimalsSeparator,
+                      group: thousandsSeparator,
+                    })
+                  } catch (e) {
+                    // Transformations cannot be replayed on the new data,
+                    // even when a column used by some step is missing
+                    __cache.replacedData = newDataInferred
+                    setReplaceRequiresConfirmation('pipeline-error')
+                    return
+                  }
+                  setTransformInfo([
+                    stackedData,
+                    reshaped ? untransformedColumns : newData.dataTypes,
+                  ])
                 }
+                if (reshaped) {
+                  setUnstackedInfo([userData, newData.dataTypes])
+                }
+                setUserData(transformedData)
+                parseDatasetAuto(transformedData, data.dataTypes, {
+                  locale,
+                  decimal: decimalsSeparator,
+                  group: thousandsSeparator,
+                }).then(data => setData(data))
+              } else {
+                setData(newData)
               }
             })
           }
@@ -226,22 +415,45 @@ export default function useDataLoader() {
       decimalsSeparator,
       locale,
       parseDatasetAuto,
+      pipeline,
       stackDimension,
       thousandsSeparator,
+      unstackOptions,
+      untransformedColumns,
     ]
   )
 
+  /*
+   * Data joined onto the loaded data are recorded in `source.joins`,
+   * so they are joined again when the same source is loaded again
+   * (i.e. when data is refreshed)
+   */
   const handleNewUserData = useCallback(
-    (nextUserData) => {
-      setUserData(nextUserData)
+    (nextUserData, source) => {
+      if (mode === DATA_LOADER_MODE.JOIN) {
+        setJoinCandidate({
+          rows: nextUserData,
+          source,
+          baseColumns: Object.keys(get(__cache, 'joinBaseData[0]', {})),
+        })
+        return
+      }
+      const joinedUserData = applyJoins(nextUserData, source?.joins)
+      setUserData(joinedUserData)
       if (mode === DATA_LOADER_MODE.DIRECT) {
-        parseDatasetAndSetData(nextUserData, undefined, {
+        const parsingOptions = {
           locale,
           decimal: decimalsSeparator,
           group: thousandsSeparator,
-        })
+        }
+        // Refreshed data are stacked or unstacked again
+        reshapeAndSetData(
+          joinedUserData,
+          getSourceDataTypes(joinedUserData, nextUserData, parsingOptions),
+          parsingOptions
+        )
       } else if (mode === DATA_LOADER_MODE.REPLACE) {
-        handleReplacingData(nextUserData)
+        handleReplacingData(joinedUserData)
       } else {
         console.error('Unknown data loader mode!')
       }
@@ -251,7 +463,7 @@ export default function useDataLoader() {
       handleReplacingData,
       locale,
       mode,
-      parseDatasetAndSetData,
+      reshapeAndSetData,
       thousandsSeparator,
     ]
   )
@@ -261,41 +473,121 @@ export default function useDataLoader() {
    * When user uploads some data (in any possible way), we store the raw user input at first
    * Then we try to read it using different parsers (notably json and csv)
    * Finally, if read is successful, we go inferring types using the raw-core library
+   * The parsing error, if any, is returned
    */
   function setUserDataAndDetect(str, source, options) {
     const [dataType, parsedUserData, error, extra] = parseAndCheckData(str, {
       separator: get(options, 'separator', null),
+      csvOptions: get(options, 'csvOptions', null),
+      sheet: dataSource?.sheet,
+      range: dataSource?.range,
     })
     setUserInput(str)
     setDataSource(source)
     setUserDataType(dataType)
     setParserError(error)
+    setLoadingWarning(str?.[LoadingWarning] ?? null)
     if (extra && typeof extra === "object" && "separator" in extra) {
       setSeparator(extra.separator)
     }
+    if (extra && typeof extra === 'object' && 'csvOptions' in extra) {
+      setCsvOptions({
+        ...DEFAULT_CSV_OPTIONS,
+        ...extra.csvOptions,
+        ...(options?.encoding ? { encoding: options.encoding } : {}),
+      })
+    }
+    setFileBytes(options?.bytes ?? null)
     // Data parsed ok set parent data
-    if (dataType !== 'json' && !error) {
-      handleNewUserData(parsedUserData)
+    if (dataType !== 'json' && dataType !== 'spreadsheet' && !error) {
+      handleNewUserData(parsedUserData, source)
     }
     const jsonPath = dataSource?.jsonPath ?? undefined
     if (dataType === 'json' && !error && jsonPath !== undefined) {
       const jsonData = get(parsedUserData, jsonPath, null)
       if (Array.isArray(jsonData)) {
-        handleNewUserData(jsonData)
+        const normalized = normalizeJsonArray(
+          jsonData,
+          dataSource.jsonFlattening
+        )
+        handleNewUserData(normalized, source)
       }
     }
+    const sheet = dataSource?.sheet ?? undefined
+    if (dataType === 'spreadsheet' && !error && extra.sheet === sheet) {
+      const nextSource = { ...source, sheet, range: dataSource.range }
+      setDataSource(nextSource)
+      handleNewUserData(parsedUserData, nextSource)
+    }
+    return error
   }
 
+  /*
+   * Callback to handle user picking an array of the JSON input, flattened
+   * as chosen (see `DEFAULT_JSON_FLATTENING`). The path and the flattening
+   * are kept in `dataSource` to load the same rows when data is parsed again.
+   */
   const setJsonData = useCallback(
-    (data, path) => {
-      const normalized = normalizeJsonArray(data)
+    (data, path, flattening) => {
+      const normalized = normalizeJsonArray(data, flattening)
+      const nextSource = {
+        ...dataSource,
+        jsonPath: path,
+        jsonFlattening: flattening,
+      }
       setUserData(normalized)
-      setDataSource({...dataSource, jsonPath: path })
-      handleNewUserData(normalized)
+      setDataSource(nextSource)
+      handleNewUserData(normalized, nextSource)
     },
     [dataSource, handleNewUserData]
   )
 
+  /*
+   * Callback to handle user picking a sheet (and optionally a cell range)
+   * of an uploaded spreadsheet. The choice is kept in `dataSource` so that
+   * the same sheet is used when data is parsed again.
+   */
+  const setSpreadsheetData = useCallback(
+    (sheet, range) => {
+      const [, parsedUserData, error] = parseAndCheckData(userInput, {
+        sheet,
+        range,
+      })
+      const nextSource = { ...dataSource, sheet, range }
+      setDataSource(nextSource)
+      setParserError(error)
+      if (!error) {
+        handleNewUserData(parsedUserData, nextSource)
+      }
+    },
+    [dataSource, handleNewUserData, userInput]
+  )
+
+  /*
+   * Parses the raw user input again, i.e. when a parsing option changes.
+   * Joins recorded in the data source are applied again to the new rows,
+   * then the stack or unstack operation and the transformation pipeline.
+   */
+  function reparseUserInput(input, readingOptions, parsingOptions) {
+    const [dataType, parsedUserData, error] = parseAndCheckData(input, {
+      separator,
+      csvOptions,
+      ...readingOptions,
+      sheet: dataSource?.sheet,
+      range: dataSource?.range,
+    })
+    setUserDataType(dataType)
+    setParserError(error)
+    if (dataType !== 'json' && !error) {
+      const joinedUserData = applyJoins(parsedUserData, dataSource?.joins)
+      reshapeAndSetData(
+        joinedUserData,
+        getSourceDataTypes(joinedUserData, parsedUserData, parsingOptions),
+        parsingOptions
+      )
+    }
+  }
+
   /*
    * Callback to handle user changing separator
    * When the separator is changed, a fresh parsing of raw user input is required for proper handling
@@ -303,20 +595,40 @@ export default function useDataLoader() {
    * fact that we take user input from state instead of from parameters
    */
   function handleChangeSeparator(newSeparator) {
-    const [dataType, parsedUserData, error] = parseAndCheckData(userInput, {
-      separator: newSeparator,
-    })
     setSeparator(newSeparator)
-    setUserDataType(dataType)
-    setParserError(error)
-    if (dataType !== 'json' && !error && newSeparator) {
-      setUserData(parsedUserData)
-      parseDatasetAndSetData(parsedUserData, undefined, {
+    if (newSeparator) {
+      reparseUserInput(
+        userInput,
+        { separator: newSeparator },
+        {
+          locale,
+          decimal: decimalsSeparator,
+          group: thousandsSeparator,
+        }
+      )
+    }
+  }
+
+  /*
+   * Callback to handle user changing the options of delimited texts.
+   * A new encoding decodes the uploaded file again, as the raw user input.
+   */
+  function handleChangeCsvOptions(nextCsvOptions) {
+    let input = userInput
+    if (nextCsvOptions.encoding !== csvOptions.encoding && fileBytes) {
+      input = new TextDecoder(nextCsvOptions.encoding).decode(fileBytes)
+      setUserInput(input)
+    }
+    setCsvOptions(nextCsvOptions)
+    reparseUserInput(
+      input,
+      { csvOptions: nextCsvOptions },
+      {
         locale,
         decimal: decimalsSeparator,
         group: thousandsSeparator,
-      })
-    }
+      }
+    )
   }
 
   function handleChangeLocale(newLocale) {
@@ -332,40 +644,29 @@ export default function useDataLoader() {
   }
 
   function handleChangeDecimalSeparator(newDecimalSeparator) {
-    const [dataType, parsedUserData, error] = parseAndCheckData(userInput, {
-      separator,
-    })
     setDecimalsSeparator(newDecimalSeparator)
-    setUserDataType(dataType)
-    setParserError(error)
-    if (dataType !== 'json' && !error) {
-      setUserData(parsedUserData)
-      setLoading(true)
-      parseDatasetAndSetData(parsedUserData, undefined, {
+    reparseUserInput(
+      userInput,
+      {},
+      {
         locale,
         decimal: newDecimalSeparator,
         group: thousandsSeparator,
-      })
-      //setData(parseDataset(parsedUserData, undefined, {locale, decimal: newDecimalSeparator, group:thousandsSeparator}));
-    }
+      }
+    )
   }
 
   function handleChangeThousandsSeparator(newThousandsSeparator) {
-    const [dataType, parsedUserData, error] = parseAndCheckData(userInput, {
-      separator,
-    })
     setThousandsSeparator(newThousandsSeparator)
-    setUserDataType(dataType)
-    setParserError(error)
-    if (dataType !== 'json' && !error) {
-      setUserData(parsedUserData)
-      parseDatasetAndSetData(parsedUserData, undefined, {
+    reparseUserInput(
+      userInput,
+      {},
+      {
         locale,
         decimal: decimalsSeparator,
         group: newThousandsSeparator,
-      })
-      // setData(parseDataset(parsedUserData, undefined, {locale, decimal: decimalsSeparator, group:newThousandsSeparator}));
-    }
+      }
+    )
   }
 
   /*
@@ -408,21 +709,27 @@ export default function useDataLoader() {
 
   function handleStackOperation(column) {
     setStackDimension(column)
+    setUnstackOptions(null)
     if (column !== null) {
       if (unstackedData === null) {
-        setUnstackedInfo([userData, data.dataTypes])
+        setUnstackedInfo([
+          untransformedData || userData,
+          untransformedColumns || data.dataTypes,
+        ])
       }
-      const stackedData = stackData(unstackedData || userData, column)
-      setUserData(stackedData)
-      parseDatasetAndSetData(stackedData, undefined, {
+      // Data are stacked before being transformed
+      const stackedData = stackData(
+        unstackedData || untransformedData || userData,
+        column
+      )
+      transformAndSetData(stackedData, undefined, pipeline, {
         locale,
         decimal: decimalsSeparator,
         group: thousandsSeparator,
       })
       // setData(parseDataset(stackedData, undefined, { locale }))
     } else {
-      setUserData(unstackedData)
-      parseDatasetAndSetData(unstackedData, unstackedColumns, {
+      transformAndSetData(unstackedData, unstackedColumns, pipeline, {
         locale,
         decimal: decimalsSeparator,
         group: thousandsSeparator,
@@ -431,6 +738,62 @@ export default function useDataLoader() {
     }
   }
 
+  /*
+   * Callback to handle user unstacking data (the inverse of the stack operation)
+   * `options` holds the row key column, the column giving names to the new
+   * columns, the value column and the aggregation used for repeated values
+   */
+  function handleUnstackOperation(options) {
+    const parsingOptions = {
+      locale,
+      decimal: decimalsSeparator,
+      group: thousandsSeparator,
+    }
+    setUnstackOptions(options)
+    setStackDimension(null)
+    if (options !== null) {
+      if (unstackedData === null) {
+        setUnstackedInfo([
+          untransformedData || userData,
+          untransformedColumns || data.dataTypes,
+        ])
+      }
+      const unstackedRows = reshapeData(
+        unstackedData || untransformedData || userData,
+        null,
+        options,
+        parsingOptions
+      )
+      transformAndSetData(unstackedRows, undefined, pipeline, parsingOptions)
+    } else {
+      transformAndSetData(
+        unstackedData,
+        unstackedColumns,
+        pipeline,
+        parsingOptions
+      )
+      setUnstackedInfo([null, null])
+    }
+  }
+
+  /*
+   * Callback to handle user editing the transformation pipeline
+   * Steps are always applied from the untransformed data
+   */
+  function handlePipelineChange(nextPipeline) {
+    setPipeline(nextPipeline)
+    transformAndSetData(
+      untransformedData ?? userData,
+      untransformedColumns ?? data.dataTypes,
+      nextPipeline,
+      {
+        locale,
+        decimal: decimalsSeparator,
+        group: thousandsSeparator,
+      }
+    )
+  }
+
   const startDataReplace = useCallback(() => {
     setMode(DATA_LOADER_MODE.REPLACE)
     __cache.userInput = userInput
@@ -457,19 +820,130 @@ export default function useDataLoader() {
     setData(__cache.replacedData)
     setParserError(null)
     setStackDimension(null)
+    setUnstackOptions(null)
     setUnstackedInfo([null, null])
+    setPipeline([])
+    setTransformInfo([null, null])
+    setPipelineError(null)
+  }, [])
+
+  /*
+   * Join flow: current data are kept aside while a second dataset is loaded
+   * through the usual loaders. The loaded dataset becomes a join candidate,
+   * and it is joined onto the current data once keys and join type are chosen.
+   */
+  const startDataJoin = useCallback(() => {
+    setMode(DATA_LOADER_MODE.JOIN)
+    __cache.userInput = userInput
+    __cache.userDataType = userDataType
+    __cache.dataSource = dataSource
+    __cache.userData = userData
+    // Joins are made on data as they were before any stack operation
+    // or transformation
+    __cache.joinBaseData = unstackedData ?? untransformedData ?? userData
+    // Loading the dataset to join sets the options it is read with, the
+    // ones of the current input are restored after the join
+    __cache.readingOptions = {
+      separator,
+      csvOptions,
+      fileBytes,
+      loadingWarning,
+    }
+    setUserInput(null)
+    setUserDataType(null)
+    setDataSource(null)
+    setUserData(null)
+  }, [
+    csvOptions,
+    dataSource,
+    fileBytes,
+    loadingWarning,
+    separator,
+    unstackedData,
+    untransformedData,
+    userData,
+    userDataType,
+    userInput,
+  ])
+
+  const restoreReadingOptions = useCallback(() => {
+    const { readingOptions } = __cache
+    setSeparator(readingOptions.separator)
+    setCsvOptions(readingOptions.csvOptions)
+    setFileBytes(readingOptions.fileBytes)
+    setLoadingWarning(readingOptions.loadingWarning)
   }, [])
 
+  const cancelDataJoin = useCallback(() => {
+    setJoinCandidate(null)
+    setMode(DATA_LOADER_MODE.DIRECT)
+    restoreReadingOptions()
+    setUserInput(__cache.userInput)
+    setUserDataType(__cache.userDataType)
+    setDataSource(__cache.dataSource)
+    setParserError(null)
+    setUserData(__cache.userData)
+  }, [restoreReadingOptions])
+
+  const commitDataJoin = useCallback(
+    ({ baseKey, joinKey, type }) => {
+      const join = {
+        source: joinCandidate.source,
+        rows: joinCandidate.rows,
+        baseKey,
+        joinKey,
+        type,
+      }
+      const joinedUserData = joinData(__cache.joinBaseData, join.rows, join)
+      setJoinCandidate(null)
+      setMode(DATA_LOADER_MODE.DIRECT)
+      restoreReadingOptions()
+      setUserInput(__cache.userInput)
+      setUserDataType(__cache.userDataType)
+      setDataSource({
+        ...__cache.dataSource,
+        joins: [...get(__cache.dataSource, 'joins', []), join],
+      })
+      setParserError(null)
+      setStackDimension(null)
+      setUnstackOptions(null)
+      setUnstackedInfo([null, null])
+      transformAndSetData(joinedUserData, undefined, pipeline, {
+        locale,
+        decimal: decimalsSeparator,
+        group: thousandsSeparator,
+      })
+    },
+    [
+      decimalsSeparator,
+      joinCandidate,
+      locale,
+      pipeline,
+      restoreReadingOptions,
+      thousandsSeparator,
+      transformAndSetData,
+    ]
+  )
+
   return {
     userInput,
     setUserInput: setUserDataAndDetect,
     userData,
     userDataType,
     parseError,
+    loadingWarning,
     unstackedData,
     unstackedColumns,
+    pipeline,
+    setPipeline: handlePipelineChange,
+    pipelineError,
+    untransformedData,
+    untransformedColumns,
     separator,
     setSeparator: handleChangeSeparator,
+    csvOptions,
+    setCsvOptions: handleChangeCsvOptions,
+    canChangeEncoding: fileBytes !== null,
     thousandsSeparator,
     setThousandsSeparator: handleChangeThousandsSeparator,
     decimalsSeparator,
@@ -477,14 +951,20 @@ export default function useDataLoader() {
     locale,
     setLocale: handleChangeLocale,
     stackDimension,
+    unstackOptions,
     dataSource,
     data,
+    previewData,
+    samplingPolicy,
+    setSamplingPolicy,
     loading,
     coerceTypes,
     loadSample,
     handleInlineEdit,
     handleStackOperation,
+    handleUnstackOperation,
     setJsonData,
+    setSpreadsheetData,
     resetDataLoader: reset,
     hydrateFromSavedProject,
     dataLoaderMode: mode,
@@ -492,5 +972,9 @@ export default function useDataLoader() {
     cancelDataReplace,
     commitDataReplace,
     replaceRequiresConfirmation,
+    joinCandidate,
+    startDataJoin,
+    cancelDataJoin,
+    commitDataJoin,
   }
 }
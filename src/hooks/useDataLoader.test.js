@@ -0,0 +1,83 @@
+import React from 'react'
+import { act, render } from '@testing-library/react'
+import useDataLoader from './useDataLoader'
+
+// Datasets are parsed in the page instead of the parsing worker
+jest.mock('../worker', () => {
+  const { parseDataset } = require('@rawgraphs/rawgraphs-core')
+  return {
+    parseDatasetInWorker: (data, dataTypes, parsingOptions) =>
+      Promise.resolve(parseDataset(data, dataTypes, parsingOptions)),
+  }
+})
+
+function renderDataLoader() {
+  const result = {}
+  function Probe() {
+    result.current = useDataLoader()
+    return null
+  }
+  render(<Probe />)
+  return result
+}
+
+// Runs a callback of the data loader and waits for the parsed data
+async function run(callback) {
+  await act(async () => {
+    callback()
+  })
+}
+
+test('cancelling a join keeps the options of the base input', async () => {
+  const loader = renderDataLoader()
+  await run(() =>
+    loader.current.setUserInput('a;b\n1;2,5\n3;4', { type: 'paste' })
+  )
+  expect(loader.current.separator).toBe(';')
+
+  await run(() => loader.current.startDataJoin())
+  await run(() =>
+    loader.current.setUserInput('key,other\n1,x', { type: 'paste' })
+  )
+  expect(loader.current.separator).toBe(',')
+  await run(() => loader.current.cancelDataJoin())
+  expect(loader.current.separator).toBe(';')
+
+  // The base input is parsed again with its own separator
+  await run(() => loader.current.setDecimalsSeparator(','))
+  expect(loader.current.parseError).toBe(null)
+  expect(Object.keys(loader.current.data.dataTypes)).toEqual(['a', 'b'])
+  expect(loader.current.data.dataset[0].b).toBe(2.5)
+})
+
+test('replacing data the transformations cannot be replayed on asks for confirmation', async () => {
+  const loader = renderDataLoader()
+  await run(() =>
+    loader.current.setUserInput('k,name,value\n1,x,10\n1,y,20', {
+      type: 'paste',
+    })
+  )
+  await run(() =>
+    loader.current.handleUnstackOperation({
+      key: 'k',
+      column: 'name',
+      value: 'value',
+      aggregation: 'sum',
+    })
+  )
+  await run(() =>
+    loader.current.setPipeline([
+      { type: 'derive', name: 'total', expression: 'x + y' },
+    ])
+  )
+  expect(loader.current.data.dataset[0].total).toBe(30)
+
+  // The new data have the same columns, but unstacked they have no `y`
+  await run(() => loader.current.startDataReplace())
+  await run(() =>
+    loader.current.setUserInput('k,name,value\n1,x,10\n1,z,20', {
+      type: 'paste',
+    })
+  )
+  expect(loader.current.replaceRequiresConfirmation).toBe('pipeline-error')
+})
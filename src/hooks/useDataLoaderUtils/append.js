@@ -0,0 +1,40 @@
+import { flatMap, union } from 'lodash'
+
+export const SOURCE_FILE_COLUMN = 'source file'
+
+export function getAppendedColumns(datasets) {
+  return union(...datasets.map(({ rows }) => Object.keys(rows[0] ?? {})))
+}
+
+/*
+ * Looks for the first column that is not present in every dataset.
+ * Returns the name of the dataset missing it and the column name,
+ * or null if all datasets share the same header.
+ */
+export function findHeaderMismatch(datasets) {
+  const columns = getAppendedColumns(datasets)
+  for (const { name, rows } of datasets) {
+    const datasetColumns = Object.keys(rows[0] ?? {})
+    const missing = columns.find((column) => !datasetColumns.includes(column))
+    if (missing !== undefined) {
+      return { name, column: missing }
+    }
+  }
+  return null
+}
+
+export function appendDatasets(datasets, sourceColumn = null) {
+  const columns = getAppendedColumns(datasets)
+  return flatMap(datasets, ({ name, rows }) =>
+    rows.map((record) => {
+      const appended = {}
+      for (const column of columns) {
+        appended[column] = record[column] ?? ''
+      }
+      if (sourceColumn) {
+        appended[sourceColumn] = name
+      }
+      return appended
+    })
+  )
+}
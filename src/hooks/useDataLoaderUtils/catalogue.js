@@ -0,0 +1,259 @@
+import { getMatchExpression, stringLiteral } from './sparqlEscape'
+
+/*
+ * Helpers to load the distributions of DCAT catalogue datasets
+ */
+
+// Media types that can be loaded, in order of preference
+export const DISTRIBUTION_MEDIA_TYPES = [
+  'text/csv',
+  'text/tab-separated-values',
+  'application/json',
+  'application/sparql-query',
+]
+
+// Short names used by dct:format and by file type vocabularies
+const FORMAT_MEDIA_TYPES = {
+  csv: 'text/csv',
+  tsv: 'text/tab-separated-values',
+  json: 'application/json',
+  sparql: 'application/sparql-query',
+}
+
+// Characters not allowed in IRIs written between angle brackets
+const INVALID_IRI_REGEX = /[\s<>"{}|\\^`]/
+
+export function isValidIri(iri) {
+  return typeof iri === 'string' && iri !== '' && !INVALID_IRI_REGEX.test(iri)
+}
+
+export function getDistributionsQuery(datasetIri, graph) {
+  if (!isValidIri(datasetIri)) {
+    throw new Error(`Invalid dataset IRI "${datasetIri}"`)
+  }
+  return `
+    PREFIX dcat: <http://www.w3.org/ns/dcat#>
+    PREFIX dct: <http://purl.org/dc/terms/>
+    PREFIX sd: <http://www.w3.org/ns/sparql-service-description#>
+
+    SELECT ?distribution ?title ?downloadURL ?accessURL ?mediaType ?format ?endpointURL ?graph
+    WHERE ${openGraph(graph)}
+      <${datasetIri}> dcat:distribution ?distribution .
+      OPTIONAL { ?distribution dct:title ?title . }
+      OPTIONAL { ?distribution dcat:downloadURL ?downloadURL . }
+      OPTIONAL { ?distribution dcat:accessURL ?accessURL . }
+      OPTIONAL { ?distribution dcat:mediaType ?mediaType . }
+      OPTIONAL { ?distribution dct:format ?format . }
+      OPTIONAL {
+        ?distribution dcat:accessService ?service .
+        ?service dcat:endpointURL ?endpointURL .
+      }
+      OPTIONAL { ?distribution sd:name ?graph . }
+    ${closeGraph(graph)}
+  `
+}
+
+/*
+ * Query loading all the triples of a SPARQL distribution,
+ * restricted to its named graph when it has one
+ */
+export function getDistributionDataQuery(distribution) {
+  if (!distribution.graph) {
+    return 'SELECT ?s ?p ?o WHERE { ?s ?p ?o }'
+  }
+  if (!isValidIri(distribution.graph)) {
+    throw new Error(`Invalid graph IRI "${distribution.graph}"`)
+  }
+  return `SELECT ?s ?p ?o WHERE { GRAPH <${distribution.graph}> { ?s ?p ?o } }`
+}
+
+function lastSegment(value) {
+  return value.replace(/[/#]$/, '').split(/[/#]/).pop()
+}
+
+/*
+ * Media type of a distribution, read from dcat:mediaType (plain or as an
+ * IANA IRI) or dct:format. Distributions served by a SPARQL endpoint are
+ * reported as `application/sparql-query`.
+ */
+export function getMediaType(distribution) {
+  if (distribution.endpointURL) {
+    return 'application/sparql-query'
+  }
+  const { mediaType, format } = distribution
+  if (mediaType) {
+    const match = mediaType.match(/media-types\/(.+)$/)
+    return (match ? match[1] : mediaType).toLowerCase()
+  }
+  if (format) {
+    const name = lastSegment(format).toLowerCase()
+    return FORMAT_MEDIA_TYPES[name] ?? name
+  }
+  return null
+}
+
+export function isSupportedDistribution(distribution) {
+  const mediaType = getMediaType(distribution)
+  if (mediaType === 'application/sparql-query') {
+    return !!distribution.endpointURL
+  }
+  return (
+    DISTRIBUTION_MEDIA_TYPES.includes(mediaType) &&
+    !!(distribution.downloadURL || distribution.accessURL)
+  )
+}
+
+/*
+ * The supported distribution with the preferred media type, or null
+ */
+export function chooseDistribution(distributions) {
+  const supported = distributions.filter(isSupportedDistribution)
+  const rank = (d) => DISTRIBUTION_MEDIA_TYPES.indexOf(getMediaType(d))
+  return supported.sort((a, b) => rank(a) - rank(b))[0] ?? null
+}
+
+/*
+ * Catalogue browsing: full-text search, facets, sorting and paging
+ */
+
+export const CATALOGUE_PAGE_SIZE = 10
+
+export const CATALOGUE_FACETS = {
+  keyword: { label: 'Keyword', property: 'dcat:keyword' },
+  license: { label: 'License', property: 'dct:license' },
+  publisher: { label: 'Publisher', property: 'dct:publisher' },
+  theme: { label: 'Theme', property: 'dcat:theme' },
+}
+
+export const CATALOGUE_SORTS = {
+  title: { label: 'Title (A-Z)', orderBy: 'ASC(LCASE(STR(?title)))' },
+  titleDesc: { label: 'Title (Z-A)', orderBy: 'DESC(LCASE(STR(?title)))' },
+  modified: { label: 'Recently modified', orderBy: 'DESC(MAX(?mod))' },
+}
+
+const CATALOGUE_PREFIXES = `
+    PREFIX dcat: <http://www.w3.org/ns/dcat#>
+    PREFIX dct: <http://purl.org/dc/terms/>
+    PREFIX foaf: <http://xmlns.com/foaf/0.1/>
+    PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+    PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+`
+
+/*
+ * Opens the WHERE clause of catalogue queries, restricted to the named graph
+ * of the endpoint profile when it has one
+ */
+function openGraph(graph) {
+  if (!graph) {
+    return '{'
+  }
+  if (!isValidIri(graph)) {
+    throw new Error(`Invalid graph IRI "${graph}"`)
+  }
+  return `{ GRAPH <${graph}> {`
+}
+
+function closeGraph(graph) {
+  return graph ? '} }' : '}'
+}
+
+/*
+ * Graph patterns restricting datasets to the ones matching the search term
+ * (in title, description or keywords) and the selected facet values.
+ * The term is matched as text or as a regular expression (see `MATCH_MODES`).
+ * Values of the same facet are alternatives, different facets must all match.
+ */
+function getCatalogueFilters(
+  { searchTerm = '', matchMode = 'literal', facets = {} },
+  exceptFacet
+) {
+  const filters = []
+  const term = searchTerm.trim()
+  if (term) {
+    const match = (variable) => getMatchExpression(variable, term, matchMode)
+    filters.push(`FILTER (
+          ${match('title')} ||
+          EXISTS {
+            ?dataset dct:description ?searchDescription .
+            FILTER (${match('searchDescription')})
+          } ||
+          EXISTS {
+            ?dataset dcat:keyword ?searchKeyword .
+            FILTER (${match('searchKeyword')})
+          }
+        )`)
+  }
+  for (const facet of Object.keys(CATALOGUE_FACETS)) {
+    const values = facets[facet] ?? []
+    if (facet !== exceptFacet && values.length > 0) {
+      const { property } = CATALOGUE_FACETS[facet]
+      const literals = values.map(stringLiteral).join(', ')
+      filters.push(`?dataset ${property} ?${facet}Filter .
+        FILTER (STR(?${facet}Filter) IN (${literals}))`)
+    }
+  }
+  return filters.join('\n        ')
+}
+
+export function getCatalogueSearchQuery(
+  { sort = 'title', page = 0, ...search },
+  graph
+) {
+  return `${CATALOGUE_PREFIXES}
+    SELECT ?dataset ?title
+           (SAMPLE(?desc) AS ?description)
+           (SAMPLE(?dlURL) AS ?downloadURL)
+           (SAMPLE(?lic) AS ?license)
+           (MAX(?mod) AS ?modified)
+           (GROUP_CONCAT(DISTINCT STR(?kw); SEPARATOR=", ") AS ?keywords)
+    WHERE ${openGraph(graph)}
+        ?dataset a dcat:Dataset .
+        ?dataset dct:title ?title .
+        OPTIONAL { ?dataset dct:description ?desc . }
+        OPTIONAL {
+          ?dataset dcat:distribution ?distribution .
+          ?distribution dcat:downloadURL ?dlURL .
+        }
+        OPTIONAL { ?dataset dcat:keyword ?kw . }
+        OPTIONAL { ?dataset dct:license ?lic . }
+        OPTIONAL { ?dataset dct:modified ?mod . }
+        ${getCatalogueFilters(search)}
+    ${closeGraph(graph)}
+    GROUP BY ?dataset ?title
+    ORDER BY ${CATALOGUE_SORTS[sort].orderBy} ?dataset
+    LIMIT ${CATALOGUE_PAGE_SIZE}
+    OFFSET ${page * CATALOGUE_PAGE_SIZE}
+  `
+}
+
+export function getCatalogueCountQuery(search, graph) {
+  return `${CATALOGUE_PREFIXES}
+    SELECT (COUNT(DISTINCT ?dataset) AS ?total)
+    WHERE ${openGraph(graph)}
+        ?dataset a dcat:Dataset .
+        ?dataset dct:title ?title .
+        ${getCatalogueFilters(search)}
+    ${closeGraph(graph)}
+  `
+}
+
+/*
+ * Values of a facet with the number of datasets having them.
+ * Selections of the facet itself are ignored, so that other values
+ * can still be added to the selection.
+ */
+export function getCatalogueFacetQuery(facet, search, graph) {
+  return `${CATALOGUE_PREFIXES}
+    SELECT ?value (SAMPLE(?name) AS ?label) (COUNT(DISTINCT ?dataset) AS ?count)
+    WHERE ${openGraph(graph)}
+        ?dataset a dcat:Dataset .
+        ?dataset dct:title ?title .
+        ?dataset ${CATALOGUE_FACETS[facet].property} ?value .
+        OPTIONAL { ?value foaf:name|skos:prefLabel|rdfs:label|dct:title ?name . }
+        ${getCatalogueFilters(search, facet)}
+    ${closeGraph(graph)}
+    GROUP BY ?value
+    ORDER BY DESC(?count)
+    LIMIT 20
+  `
+}
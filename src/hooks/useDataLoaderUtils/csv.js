@@ -0,0 +1,406 @@
+import { dsvFormat } from 'd3'
+import { DefaultSeparator, separatorsList } from '../../constants'
+
+/*
+ * Delimited texts (CSV, TSV...): the options they are read with, guessed
+ * from a sample of the text, and parsers of texts given at once or in
+ * chunks, as large files are streamed to the parsing worker
+ */
+
+export const QUOTE_CHARACTERS = {
+  '"': 'Double quote',
+  "'": 'Single quote',
+  '': 'None',
+}
+
+export const ENCODINGS = {
+  'utf-8': 'UTF-8',
+  'windows-1252': 'Windows-1252',
+  'iso-8859-1': 'ISO-8859-1',
+  'iso-8859-15': 'ISO-8859-15',
+  'utf-16le': 'UTF-16 LE',
+  'utf-16be': 'UTF-16 BE',
+}
+
+/*
+ * Options of delimited texts but the separator: the `quote` character
+ * enclosing values, whether the first row is a `header`, the number of
+ * rows to skip before it and the prefix of comment lines. The `encoding`
+ * is the one of the file the text was read from.
+ */
+export const DEFAULT_CSV_OPTIONS = {
+  quote: '"',
+  header: true,
+  skipRows: 0,
+  commentPrefix: '',
+  encoding: 'utf-8',
+}
+
+// Characters of the text looked at to guess the options
+export const SNIFF_SAMPLE_LENGTH = 64 * 1024
+
+// Lines of the sample compared with the header
+const SNIFF_SAMPLE_LINES = 50
+
+// Bytes of a file looked at to guess its encoding
+const ENCODING_SAMPLE_LENGTH = 1024 * 1024
+
+const COMMENT_PREFIXES = ['#', '//']
+
+const NEWLINE = 10
+const CARRIAGE_RETURN = 13
+
+function unescapeSeparator(separator) {
+  return separator
+    .replace(/\\r/g, '\r')
+    .replace(/\\n/g, '\n')
+    .replace(/\\t/g, '\t')
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function isBlankRecord(values) {
+  return values.length === 1 && values[0].trim() === ''
+}
+
+function isComment(values, commentPrefix) {
+  return commentPrefix !== '' && values[0].trimStart().startsWith(commentPrefix)
+}
+
+function isNumeric(value) {
+  return value.trim() !== '' && !isNaN(Number(value))
+}
+
+// Start of a text, without its last line when it is cut
+function getSample(text) {
+  const sample = text.slice(0, SNIFF_SAMPLE_LENGTH)
+  if (text.length > SNIFF_SAMPLE_LENGTH && sample.lastIndexOf('\n') > 0) {
+    return sample.slice(0, sample.lastIndexOf('\n'))
+  }
+  return sample
+}
+
+// Records of a text quoted with a character other than the double quote
+function parseQuotedRecords(text, separator, quote) {
+  const records = []
+  let record = []
+  let value = ''
+  let inQuotes = false
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (inQuotes) {
+      if (char !== quote) {
+        value += char
+      } else if (text[i + 1] === quote) {
+        value += quote
+        i++
+      } else {
+        inQuotes = false
+      }
+    } else if (char === quote && value === '') {
+      inQuotes = true
+    } else if (char === separator) {
+      record.push(value)
+      value = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++
+      }
+      record.push(value)
+      records.push(record)
+      record = []
+      value = ''
+    } else {
+      value += char
+    }
+  }
+  if (value !== '' || record.length > 0) {
+    record.push(value)
+    records.push(record)
+  }
+  return records
+}
+
+/*
+ * Records (arrays of values) of a delimited text. Values may be enclosed
+ * in `quote`, doubled inside them; an empty `quote` disables quoting.
+ */
+export function parseRecords(text, separator, quote = '"') {
+  if (quote === '"') {
+    return dsvFormat(separator).parseRows(text)
+  }
+  return parseQuotedRecords(text, separator, quote)
+}
+
+/*
+ * Separator of a CSV text, guessed from its first lines: the one splitting
+ * the header in the most columns, preferring the separators that give the
+ * lines below as many values as the header. Comment lines are ignored.
+ */
+export function sniffSeparator(text) {
+  const sample = getSample(text)
+    .split('\n')
+    .filter((line) => {
+      const start = line.trimStart()
+      return !COMMENT_PREFIXES.some((prefix) => start.startsWith(prefix))
+    })
+    .join('\n')
+  let best = { separator: DefaultSeparator, consistent: false, score: 1 }
+  for (const _separator of separatorsList) {
+    const separator = unescapeSeparator(_separator)
+    const records = dsvFormat(separator)
+      .parseRows(sample)
+      .filter((values) => !isBlankRecord(values))
+      .slice(0, SNIFF_SAMPLE_LINES)
+    if (records.length === 0) {
+      continue
+    }
+    const score = records[0].length
+    const consistent = records.every((values) => values.length === score)
+    if (
+      score > 1 &&
+      (consistent > best.consistent ||
+        (consistent === best.consistent && score > best.score))
+    ) {
+      best = { separator, consistent, score }
+    }
+  }
+  return best.separator
+}
+
+// The quote character found the most next to separators and line ends
+function sniffQuote(sample, separator) {
+  const counts = ['"', "'"].map((quote) => {
+    const s = escapeRegExp(separator)
+    const q = escapeRegExp(quote)
+    const regex = new RegExp(`(^|${s})${q}|${q}(${s}|\\r?$)`, 'gm')
+    return (sample.match(regex) ?? []).length
+  })
+  return counts[1] > counts[0] ? "'" : '"'
+}
+
+// A prefix starting records which do not have as many values as the others
+function sniffCommentPrefix(records) {
+  return (
+    COMMENT_PREFIXES.find((prefix) => {
+      const data = records.filter((values) => !isComment(values, prefix))
+      return (
+        data.length > 0 &&
+        data.length < records.length &&
+        records.some(
+          (values) =>
+            isComment(values, prefix) && values.length !== data[0].length
+        )
+      )
+    }) ?? ''
+  )
+}
+
+/*
+ * The first record is taken as a header unless its values are numbers
+ * where the records below have numbers
+ */
+function sniffHeader(records) {
+  if (records.length < 2) {
+    return true
+  }
+  const [first, ...rest] = records
+  let votes = 0
+  first.forEach((value, i) => {
+    const column = rest
+      .map((values) => values[i])
+      .filter((d) => d !== undefined && d.trim() !== '')
+    if (column.length > 0 && column.every(isNumeric)) {
+      votes += isNumeric(value) ? -1 : 1
+    }
+  })
+  return votes >= 0
+}
+
+/*
+ * Separator (unless given) and options (but the encoding) of a delimited
+ * text, guessed from its first lines
+ */
+export function sniffCsvOptions(text, separator = null) {
+  const sample = getSample(text)
+  separator = separator || sniffSeparator(sample)
+  const quote = sniffQuote(sample, separator)
+  const records = parseRecords(sample, separator, quote)
+    .filter((values) => !isBlankRecord(values))
+    .slice(0, SNIFF_SAMPLE_LINES)
+  const commentPrefix = sniffCommentPrefix(records)
+  const header = sniffHeader(
+    records.filter((values) => !isComment(values, commentPrefix))
+  )
+  return { separator, quote, header, skipRows: 0, commentPrefix }
+}
+
+/*
+ * Encoding of the bytes of a text file: UTF-16 when it starts with a byte
+ * order mark, UTF-8 when the bytes are valid UTF-8 and Windows-1252
+ * otherwise, as files exported on Windows often are
+ */
+export function sniffEncoding(bytes) {
+  const sample = new Uint8Array(
+    bytes,
+    0,
+    Math.min(bytes.byteLength, ENCODING_SAMPLE_LENGTH)
+  )
+  if (sample[0] === 0xff && sample[1] === 0xfe) {
+    return 'utf-16le'
+  }
+  if (sample[0] === 0xfe && sample[1] === 0xff) {
+    return 'utf-16be'
+  }
+  try {
+    // Streaming allows a character cut at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, {
+      stream: sample.length < bytes.byteLength,
+    })
+    return 'utf-8'
+  } catch (e) {
+    return 'windows-1252'
+  }
+}
+
+/*
+ * Reader of the rows (objects) of the records of a delimited text, given
+ * at once or in batches. The first `skipRows` records and the comments are
+ * left out; columns are named by the header or, without one, `Column 1`,
+ * `Column 2`... Blank lines are skipped and the spaces around lines
+ * trimmed.
+ */
+export function createRowReader({ header, skipRows, commentPrefix }) {
+  let skipped = 0
+  let columns = null
+  const rows = []
+  return {
+    rows,
+    getColumns() {
+      return columns ?? []
+    },
+    read(records) {
+      for (const values of records) {
+        if (isBlankRecord(values)) {
+          continue
+        }
+        if (skipped < skipRows) {
+          skipped++
+          continue
+        }
+        if (isComment(values, commentPrefix)) {
+          continue
+        }
+        values[0] = values[0].trimStart()
+        values[values.length - 1] = values[values.length - 1].trimEnd()
+        if (!columns && header) {
+          columns = values
+          continue
+        }
+        if (!header) {
+          columns = columns ?? []
+          for (let i = columns.length; i < values.length; i++) {
+            columns.push(`Column ${i + 1}`)
+          }
+        }
+        const row = {}
+        columns.forEach((column, i) => {
+          row[column] = values[i] || ''
+        })
+        rows.push(row)
+      }
+      return rows.length
+    },
+  }
+}
+
+/*
+ * Parser of a CSV text given in chunks, which may cut records (even
+ * quoted values) anywhere. Records are parsed as soon as they are
+ * complete. Options not given (see `sniffCsvOptions`) are guessed from the
+ * start of the text.
+ */
+export function createCsvChunkParser(options = {}) {
+  let settings = null
+  let reader = null
+  let quoteCode = -1
+  let separatorCode = -1
+  // Text of the records not complete yet, and the part of it scanned
+  let pending = ''
+  let scanned = 0
+  // As the parsers do, quotes only open quoted values at the start of a
+  // field; in quoted values, a doubled quote is an escaped quote
+  let inQuotes = false
+  let atFieldStart = true
+  let quoteClosed = false
+
+  function setup() {
+    const given = Object.fromEntries(
+      Object.entries(options).filter(([key, value]) => value != null)
+    )
+    settings = { ...sniffCsvOptions(pending, given.separator), ...given }
+    reader = createRowReader(settings)
+    quoteCode = settings.quote ? settings.quote.charCodeAt(0) : -1
+    separatorCode = settings.separator.charCodeAt(0)
+  }
+
+  return {
+    push(chunk) {
+      pending += chunk
+      if (!settings) {
+        // Waits for a sample long enough
+        if (pending.length < SNIFF_SAMPLE_LENGTH) {
+          return 0
+        }
+        setup()
+      }
+      // Records end at the last line break out of quotes
+      let boundary = -1
+      for (let i = scanned; i < pending.length; i++) {
+        const code = pending.charCodeAt(i)
+        if (inQuotes) {
+          if (code === quoteCode) {
+            inQuotes = false
+            quoteClosed = true
+          }
+        } else if (quoteClosed && code === quoteCode) {
+          inQuotes = true
+          quoteClosed = false
+        } else {
+          quoteClosed = false
+          if (code === quoteCode && atFieldStart) {
+            inQuotes = true
+            atFieldStart = false
+          } else if (code === NEWLINE) {
+            boundary = i
+            atFieldStart = true
+          } else {
+            atFieldStart = code === separatorCode || code === CARRIAGE_RETURN
+          }
+        }
+      }
+      if (boundary >= 0) {
+        const text = pending.slice(0, boundary)
+        reader.read(parseRecords(text, settings.separator, settings.quote))
+        pending = pending.slice(boundary + 1)
+      }
+      scanned = pending.length
+      return reader.rows.length
+    },
+    end() {
+      if (!settings) {
+        setup()
+      }
+      reader.read(parseRecords(pending, settings.separator, settings.quote))
+      const { separator, ...csvOptions } = settings
+      return {
+        rows: reader.rows,
+        columns: reader.getColumns(),
+        separator,
+        csvOptions,
+      }
+    },
+  }
+}
@@ -0,0 +1,109 @@
+import { createCsvChunkParser, SNIFF_SAMPLE_LENGTH } from './csv'
+import { parseData } from './parser'
+
+// Rows long enough for the parser to guess the options before the end
+const HEADER = 'name,value\n'
+const PREFIX_ROWS = Math.ceil(SNIFF_SAMPLE_LENGTH / 'row0000,0\n'.length)
+const PREFIX =
+  HEADER +
+  Array.from({ length: PREFIX_ROWS }, (_, i) => `row${i},${i}\n`).join('')
+
+function parseChunks(chunks, options) {
+  const parser = createCsvChunkParser(options)
+  const counts = chunks.map((chunk) => parser.push(chunk))
+  return { ...parser.end(), counts }
+}
+
+// Rows after the prefix, parsing the tail cut at each position
+function expectTailRows(tail, expected, options) {
+  for (let i = 1; i < tail.length; i++) {
+    const { rows } = parseChunks(
+      [PREFIX + tail.slice(0, i), tail.slice(i)],
+      options
+    )
+    expect({ cut: i, rows: rows.slice(PREFIX_ROWS) }).toEqual({
+      cut: i,
+      rows: expected,
+    })
+  }
+}
+
+test('guesses the options from the first chunks', () => {
+  const { separator, csvOptions, counts } = parseChunks([PREFIX, 'a,1\n'])
+  expect(separator).toBe(',')
+  expect(csvOptions).toMatchObject({ quote: '"', header: true })
+  // Complete records are parsed as soon as they are pushed
+  expect(counts).toEqual([PREFIX_ROWS, PREFIX_ROWS + 1])
+})
+
+test('keeps quoted line breaks cut between chunks', () => {
+  expectTailRows('a,"one\ntwo"\nb,"x\n\ny"\n', [
+    { name: 'a', value: 'one\ntwo' },
+    { name: 'b', value: 'x\n\ny' },
+  ])
+})
+
+test('reads doubled quotes cut between chunks', () => {
+  expectTailRows('a,"say ""hi"""\nb,""""\n', [
+    { name: 'a', value: 'say "hi"' },
+    { name: 'b', value: '"' },
+  ])
+})
+
+test('reads quotes inside unquoted values as text', () => {
+  expectTailRows('a,5" long\nb,2\n', [
+    { name: 'a', value: '5" long' },
+    { name: 'b', value: '2' },
+  ])
+})
+
+test('reads \\r\\n line breaks cut between chunks', () => {
+  expectTailRows('a,1\r\nb,"2\r\n3"\r\nc,4\r\n', [
+    { name: 'a', value: '1' },
+    { name: 'b', value: '2\r\n3' },
+    { name: 'c', value: '4' },
+  ])
+})
+
+test('reads values quoted by other characters', () => {
+  expectTailRows(
+    "a,'x,\"y\"\nz'\nb,'it''s'\n",
+    [
+      { name: 'a', value: 'x,"y"\nz' },
+      { name: 'b', value: "it's" },
+    ],
+    { quote: "'" }
+  )
+})
+
+test('parses texts shorter than the sample when they end', () => {
+  const text = 'a;b\n1;"x\ny"\n2;3'
+  const chunks = text.match(/[\s\S]{1,3}/g)
+  const { rows, separator, counts } = parseChunks(chunks)
+  expect(counts.every((count) => count === 0)).toBe(true)
+  expect(separator).toBe(';')
+  expect(rows).toEqual([
+    { a: '1', b: 'x\ny' },
+    { a: '2', b: '3' },
+  ])
+})
+
+test('parses as the CSV parser of pasted texts', () => {
+  const texts = [
+    'id;label;note\n1;"a;b";x\n2;"say ""hi""";\n# comment\n3;c;"multi\nline"',
+    '1,2,3\n4,5,6\n7,8,9',
+    'a\tb\n"x\ty"\t1\n2\t3',
+    PREFIX + 'a,"one\ntwo"\nb,"x""y"\n',
+  ]
+  for (const text of texts) {
+    const [dataType, rows, { separator, csvOptions }] = parseData(text, {})
+    expect(dataType).toBe('csv')
+    for (const size of [1, 7, 4096]) {
+      const chunks = text.match(new RegExp(`[\\s\\S]{1,${size}}`, 'g'))
+      const streamed = parseChunks(chunks)
+      expect(streamed.rows).toEqual(rows)
+      expect(streamed.separator).toBe(separator)
+      expect(streamed.csvOptions).toEqual(csvOptions)
+    }
+  }
+})
@@ -0,0 +1,160 @@
+/*
+ * SPARQL endpoint profiles, defined in `src/endpointProfiles.json`.
+ * A profile has an `id`, a display `name`, the endpoint `url`, an optional
+ * default named `graph` and the `auth` method the endpoint expects
+ * (one of AUTH_METHODS). Profiles using "bearer" send the
+ * REACT_APP_SPARQL_BEARER_TOKEN token of the build, unless credentials
+ * were entered for them.
+ * `defaults` tells which profile each loader (catalogue, terminology, sparql)
+ * starts with.
+ */
+import config from '../../endpointProfiles.json'
+
+export const ENDPOINT_PROFILES = config.profiles
+
+export const CUSTOM_ENDPOINT = {
+  id: null,
+  name: 'Custom endpoint',
+  url: '',
+  graph: null,
+  auth: 'none',
+}
+
+export const AUTH_METHODS = {
+  none: 'None',
+  bearer: 'Bearer token',
+  basic: 'User and password',
+  header: 'Custom header',
+}
+
+// Credentials are kept for the browser session only and never exported
+const STORE_NS = 'rawEndpointAuth'
+
+export function getEndpointProfile(id) {
+  return ENDPOINT_PROFILES.find((profile) => profile.id === id) ?? null
+}
+
+/*
+ * Endpoint used by a loader when it is opened: the profile saved in its
+ * previous data source, a profile or a custom endpoint with the saved url
+ * (sources saved before profiles), or the default profile of the loader
+ */
+export function getInitialEndpoint(loader, initialState) {
+  const profile = getEndpointProfile(initialState?.profile)
+  if (profile) {
+    return profile
+  }
+  const url = initialState?.url ?? initialState?.endpoint
+  if (url) {
+    return (
+      ENDPOINT_PROFILES.find((p) => p.url === url) ?? {
+        ...CUSTOM_ENDPOINT,
+        url,
+      }
+    )
+  }
+  return (
+    getEndpointProfile(config.defaults?.[loader]) ??
+    ENDPOINT_PROFILES[0] ??
+    CUSTOM_ENDPOINT
+  )
+}
+
+// Credentials are shared by urls differing only in query string or hash
+function getAuthKey(url) {
+  return url.trim().split(/[?#]/)[0]
+}
+
+function readAuthStore() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORE_NS) ?? '{}')
+  } catch (e) {
+    return {}
+  }
+}
+
+/*
+ * Authentication settings entered for an endpoint or a data url:
+ * `{ method, token, user, password, header, value }`, or null
+ */
+export function getEndpointAuth(url) {
+  return (url && readAuthStore()[getAuthKey(url)]) || null
+}
+
+export function setEndpointAuth(url, auth) {
+  const store = readAuthStore()
+  if (auth && auth.method !== 'none') {
+    store[getAuthKey(url)] = auth
+  } else {
+    delete store[getAuthKey(url)]
+  }
+  sessionStorage.setItem(STORE_NS, JSON.stringify(store))
+}
+
+// btoa only accepts latin1 characters
+function encodeBase64(value) {
+  return btoa(unescape(encodeURIComponent(value)))
+}
+
+// Credentials given by the build for profiles using bearer tokens
+function getBuildAuth(profile) {
+  const token = process.env.REACT_APP_SPARQL_BEARER_TOKEN
+  return profile?.auth === 'bearer' && token
+    ? { method: 'bearer', token }
+    : null
+}
+
+/*
+ * Credentials of a data source: the ones entered for its url, or else the
+ * ones of the build when the source queries the endpoint of its profile.
+ * Credentials are never sent to urls they were not given for.
+ */
+function getSourceAuth(source) {
+  const sourceAuth = getEndpointAuth(source.url)
+  if (sourceAuth) {
+    return sourceAuth
+  }
+  const profile = getEndpointProfile(source.profile)
+  if (!profile || !source.url || !profile.url) {
+    return null
+  }
+  if (getAuthKey(source.url) !== getAuthKey(profile.url)) {
+    return null
+  }
+  return getBuildAuth(profile)
+}
+
+/*
+ * HTTP headers with the credentials entered for a data source
+ */
+export function getEndpointAuthHeaders(source) {
+  const auth = getSourceAuth(source)
+  switch (auth?.method) {
+    case 'bearer':
+      return { Authorization: `Bearer ${auth.token ?? ''}` }
+    case 'basic':
+      return {
+        Authorization: `Basic ${encodeBase64(
+          `${auth.user ?? ''}:${auth.password ?? ''}`
+        )}`,
+      }
+    case 'header':
+      return auth.header ? { [auth.header]: auth.value ?? '' } : {}
+    default:
+      return {}
+  }
+}
+
+/*
+ * Restricts a parsed query to a named graph, unless it already has
+ * its own FROM clauses
+ */
+export function withDefaultGraph(query, graph) {
+  if (!graph || query.from) {
+    return query
+  }
+  return {
+    ...query,
+    from: { default: [{ termType: 'NamedNode', value: graph }], named: [] },
+  }
+}
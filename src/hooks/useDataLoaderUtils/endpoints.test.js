@@ -0,0 +1,45 @@
+import {
+  ENDPOINT_PROFILES,
+  getEndpointAuthHeaders,
+  setEndpointAuth,
+} from './endpoints'
+
+const profile = ENDPOINT_PROFILES.find((p) => p.auth === 'bearer')
+const otherUrl = 'https://example.org/sparql'
+
+beforeEach(() => {
+  sessionStorage.clear()
+  process.env.REACT_APP_SPARQL_BEARER_TOKEN = 'build-token'
+})
+
+afterEach(() => {
+  delete process.env.REACT_APP_SPARQL_BEARER_TOKEN
+})
+
+test('sends the token of the build to the endpoint of the profile', () => {
+  expect(
+    getEndpointAuthHeaders({ url: profile.url, profile: profile.id })
+  ).toEqual({ Authorization: 'Bearer build-token' })
+})
+
+test('prefers the credentials entered for the url', () => {
+  setEndpointAuth(profile.url, { method: 'bearer', token: 'entered' })
+  expect(
+    getEndpointAuthHeaders({ url: `${profile.url}?x=1`, profile: profile.id })
+  ).toEqual({ Authorization: 'Bearer entered' })
+})
+
+test('never sends the credentials of a profile to other urls', () => {
+  setEndpointAuth(profile.url, { method: 'bearer', token: 'entered' })
+  expect(
+    getEndpointAuthHeaders({ url: otherUrl, profile: profile.id })
+  ).toEqual({})
+  expect(getEndpointAuthHeaders({ url: otherUrl })).toEqual({})
+})
+
+test('sends the credentials entered for other urls', () => {
+  setEndpointAuth(otherUrl, { method: 'basic', user: 'u', password: 'p' })
+  expect(
+    getEndpointAuthHeaders({ url: otherUrl, profile: profile.id })
+  ).toEqual({ Authorization: `Basic ${btoa('u:p')}` })
+})
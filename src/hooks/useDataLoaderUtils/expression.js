@@ -0,0 +1,309 @@
+/*
+ * Minimal expression language used by computed columns.
+ * Expressions are parsed and evaluated here instead of using `eval`, so that
+ * a project loaded from an url cannot run arbitrary code.
+ *
+ * Supported syntax:
+ *  - numbers (1, 2.5) and strings ("text" or 'text')
+ *  - column references: [Column name], or bare names for simple columns
+ *  - arithmetic: + - * / % and parentheses (+ joins text when an operand is
+ *    not a number), & always joins text
+ *  - comparisons: = != < <= > >= and logic: and, or, not
+ *  - functions: see FUNCTIONS below
+ */
+
+const FUNCTIONS = {
+  abs: (x) => Math.abs(x),
+  ceil: (x) => Math.ceil(x),
+  floor: (x) => Math.floor(x),
+  round: (x, digits = 0) => {
+    const factor = Math.pow(10, digits)
+    return Math.round(x * factor) / factor
+  },
+  sqrt: (x) => Math.sqrt(x),
+  log: (x) => Math.log(x),
+  pow: (x, y) => Math.pow(x, y),
+  min: (...args) => Math.min(...args),
+  max: (...args) => Math.max(...args),
+  lower: (s) => String(s).toLowerCase(),
+  upper: (s) => String(s).toUpperCase(),
+  trim: (s) => String(s).trim(),
+  length: (s) => String(s).length,
+  concat: (...args) => args.join(''),
+  if: (condition, a, b) => (condition ? a : b),
+}
+
+// Functions whose arguments are numbers
+const NUMERIC_FUNCTIONS = [
+  'abs',
+  'ceil',
+  'floor',
+  'round',
+  'sqrt',
+  'log',
+  'pow',
+  'min',
+  'max',
+]
+
+const TOKEN_REGEX = /\s*(?:(\d+(?:\.\d+)?)|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|\[([^\]]+)\]|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|!=|<>|==|[-+*/%&=<>(),]))/y
+
+function tokenize(expression) {
+  const tokens = []
+  TOKEN_REGEX.lastIndex = 0
+  while (TOKEN_REGEX.lastIndex < expression.length) {
+    if (expression.slice(TOKEN_REGEX.lastIndex).trim() === '') {
+      break
+    }
+    const position = TOKEN_REGEX.lastIndex
+    const match = TOKEN_REGEX.exec(expression)
+    if (!match) {
+      throw new Error(`Unexpected character at position ${position + 1}`)
+    }
+    const [, number, dqString, sqString, column, name, operator] = match
+    if (number !== undefined) {
+      tokens.push({ type: 'number', value: +number })
+    } else if (dqString !== undefined || sqString !== undefined) {
+      tokens.push({
+        type: 'string',
+        value: (dqString ?? sqString).replace(/\\(.)/g, '$1'),
+      })
+    } else if (column !== undefined) {
+      tokens.push({ type: 'column', value: column })
+    } else if (name !== undefined) {
+      tokens.push({ type: 'name', value: name })
+    } else {
+      tokens.push({ type: 'operator', value: operator })
+    }
+  }
+  return tokens
+}
+
+const BINARY_PRECEDENCE = {
+  or: 1,
+  and: 2,
+  '=': 3,
+  '==': 3,
+  '!=': 3,
+  '<>': 3,
+  '<': 4,
+  '<=': 4,
+  '>': 4,
+  '>=': 4,
+  '&': 5,
+  '+': 6,
+  '-': 6,
+  '*': 7,
+  '/': 7,
+  '%': 7,
+}
+
+function parse(tokens) {
+  let index = 0
+  const peek = () => tokens[index]
+  const next = () => tokens[index++]
+  const expectOperator = (value) => {
+    const token = next()
+    if (!token || token.type !== 'operator' || token.value !== value) {
+      throw new Error(`Expected "${value}"`)
+    }
+  }
+  const binaryOperatorOf = (token) => {
+    if (!token) {
+      return null
+    }
+    if (token.type === 'operator' && token.value in BINARY_PRECEDENCE) {
+      return token.value
+    }
+    if (token.type === 'name' && ['and', 'or'].includes(token.value)) {
+      return token.value
+    }
+    return null
+  }
+
+  function parsePrimary() {
+    const token = next()
+    if (!token) {
+      throw new Error('Unexpected end of expression')
+    }
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value }
+    }
+    if (token.type === 'column') {
+      return { type: 'column', name: token.value }
+    }
+    if (token.type === 'name') {
+      if (token.value === 'not') {
+        return { type: 'not', argument: parseBinary(2) }
+      }
+      if (token.value === 'true' || token.value === 'false') {
+        return { type: 'literal', value: token.value === 'true' }
+      }
+      const following = peek()
+      if (
+        following &&
+        following.type === 'operator' &&
+        following.value === '('
+      ) {
+        const fn = token.value.toLowerCase()
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, fn)) {
+          throw new Error(`Unknown function "${token.value}"`)
+        }
+        next()
+        const args = []
+        if (!(peek()?.type === 'operator' && peek().value === ')')) {
+          args.push(parseBinary(0))
+          while (peek()?.type === 'operator' && peek().value === ',') {
+            next()
+            args.push(parseBinary(0))
+          }
+        }
+        expectOperator(')')
+        return { type: 'call', fn, args }
+      }
+      return { type: 'column', name: token.value }
+    }
+    if (token.type === 'operator' && token.value === '(') {
+      const inner = parseBinary(0)
+      expectOperator(')')
+      return inner
+    }
+    if (token.type === 'operator' && token.value === '-') {
+      return { type: 'negate', argument: parsePrimary() }
+    }
+    throw new Error(`Unexpected "${token.value}"`)
+  }
+
+  function parseBinary(minPrecedence) {
+    let left = parsePrimary()
+    let operator = binaryOperatorOf(peek())
+    while (operator && BINARY_PRECEDENCE[operator] > minPrecedence) {
+      next()
+      const right = parseBinary(BINARY_PRECEDENCE[operator])
+      left = { type: 'binary', operator, left, right }
+      operator = binaryOperatorOf(peek())
+    }
+    return left
+  }
+
+  const ast = parseBinary(0)
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${tokens[index].value}"`)
+  }
+  return ast
+}
+
+export function getExpressionColumns(ast) {
+  switch (ast.type) {
+    case 'column':
+      return [ast.name]
+    case 'binary':
+      return [
+        ...getExpressionColumns(ast.left),
+        ...getExpressionColumns(ast.right),
+      ]
+    case 'not':
+    case 'negate':
+      return getExpressionColumns(ast.argument)
+    case 'call':
+      return ast.args.flatMap(getExpressionColumns)
+    default:
+      return []
+  }
+}
+
+export function parseExpression(expression) {
+  return parse(tokenize(expression))
+}
+
+/*
+ * Evaluates a parsed expression on a row.
+ * `toNumber` converts a value to a number (NaN when the value is not numeric)
+ * and it's used to read numbers according to the current parsing options.
+ * Columns missing in the row throw an error with their name in `error.column`.
+ */
+export function evaluateExpression(ast, row, toNumber) {
+  const evaluate = (node) => evaluateExpression(node, row, toNumber)
+  switch (ast.type) {
+    case 'literal':
+      return ast.value
+    case 'column':
+      if (!(ast.name in row)) {
+        const error = new Error(`Unknown column "${ast.name}"`)
+        error.column = ast.name
+        throw error
+      }
+      return row[ast.name] ?? ''
+    case 'not':
+      return !evaluate(ast.argument)
+    case 'negate':
+      return -toNumber(evaluate(ast.argument))
+    case 'call': {
+      const args = ast.args.map(evaluate)
+      return FUNCTIONS[ast.fn](
+        ...(NUMERIC_FUNCTIONS.includes(ast.fn) ? args.map(toNumber) : args)
+      )
+    }
+    case 'binary': {
+      const left = evaluate(ast.left)
+      if (ast.operator === 'and') {
+        return left && evaluate(ast.right)
+      }
+      if (ast.operator === 'or') {
+        return left || evaluate(ast.right)
+      }
+      const right = evaluate(ast.right)
+      return evaluateBinary(ast.operator, left, right, toNumber)
+    }
+    default:
+      throw new Error(`Unknown expression node "${ast.type}"`)
+  }
+}
+
+export function compareValues(left, right, toNumber) {
+  const leftNumber = toNumber(left)
+  const rightNumber = toNumber(right)
+  if (!isNaN(leftNumber) && !isNaN(rightNumber)) {
+    return leftNumber - rightNumber
+  }
+  return String(left).localeCompare(String(right))
+}
+
+function evaluateBinary(operator, left, right, toNumber) {
+  switch (operator) {
+    case '&':
+      return `${left}${right}`
+    case '+': {
+      // Text is joined, while empty cells leave the sum empty
+      const sum = toNumber(left) + toNumber(right)
+      const isText = (value) => value !== '' && isNaN(toNumber(value))
+      return isNaN(sum) && (isText(left) || isText(right))
+        ? `${left}${right}`
+        : sum
+    }
+    case '-':
+      return toNumber(left) - toNumber(right)
+    case '*':
+      return toNumber(left) * toNumber(right)
+    case '/':
+      return toNumber(left) / toNumber(right)
+    case '%':
+      return toNumber(left) % toNumber(right)
+    case '=':
+    case '==':
+      return compareValues(left, right, toNumber) === 0
+    case '!=':
+    case '<>':
+      return compareValues(left, right, toNumber) !== 0
+    case '<':
+      return compareValues(left, right, toNumber) < 0
+    case '<=':
+      return compareValues(left, right, toNumber) <= 0
+    case '>':
+      return compareValues(left, right, toNumber) > 0
+    case '>=':
+      return compareValues(left, right, toNumber) >= 0
+    default:
+      throw new Error(`Unknown operator "${operator}"`)
+  }
+}
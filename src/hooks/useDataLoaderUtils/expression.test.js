@@ -0,0 +1,72 @@
+import { evaluateExpression, parseExpression } from './expression'
+import { getNumberReader } from './pipeline'
+
+const toNumber = getNumberReader({ locale: 'en-US', decimal: '.', group: ',' })
+
+function evaluate(expression, row = {}) {
+  return evaluateExpression(parseExpression(expression), row, toNumber)
+}
+
+test('applies operators by precedence', () => {
+  expect(evaluate('1 + 2 * 3')).toBe(7)
+  expect(evaluate('(1 + 2) * 3')).toBe(9)
+  expect(evaluate('10 - 4 - 3')).toBe(3)
+  expect(evaluate('2 * 3 % 4')).toBe(2)
+  expect(evaluate('-2 * 3')).toBe(-6)
+  expect(evaluate('1 + 1 = 2 and 3 > 2')).toBe(true)
+  expect(evaluate('1 = 2 or 2 = 2 and 1 = 3')).toBe(false)
+  expect(evaluate('not 1 = 2')).toBe(true)
+  expect(evaluate('"a" & 1 + 2')).toBe('a3')
+})
+
+test('reads escaped characters in strings', () => {
+  expect(evaluate('"say \\"hi\\""')).toBe('say "hi"')
+  expect(evaluate("'it\\'s'")).toBe("it's")
+  expect(evaluate('"back\\\\slash"')).toBe('back\\slash')
+})
+
+test('reads columns by name', () => {
+  const row = { price: '2.5', 'unit count': '4' }
+  expect(evaluate('price * [unit count]', row)).toBe(10)
+  expect(evaluate('upper(concat("x", price))', row)).toBe('X2.5')
+})
+
+test('throws on unknown functions and columns', () => {
+  expect(() => parseExpression('unknown(1)')).toThrow(
+    'Unknown function "unknown"'
+  )
+  expect(() => evaluate('price * 2', { cost: 1 })).toThrow(
+    'Unknown column "price"'
+  )
+  let error
+  try {
+    evaluate('[unit count] + 1', {})
+  } catch (e) {
+    error = e
+  }
+  expect(error.column).toBe('unit count')
+})
+
+test('throws on malformed expressions', () => {
+  expect(() => parseExpression('1 +')).toThrow('Unexpected end of expression')
+  expect(() => parseExpression('(1 + 2')).toThrow('Expected ")"')
+  expect(() => parseExpression('1 2')).toThrow('Unexpected "2"')
+  expect(() => parseExpression('1 $ 2')).toThrow('Unexpected character')
+})
+
+test('divides by zero without throwing', () => {
+  expect(evaluate('1 / 0')).toBe(Infinity)
+  expect(evaluate('0 / 0')).toBeNaN()
+  expect(evaluate('5 % 0')).toBeNaN()
+})
+
+test('reads empty cells as missing numbers', () => {
+  const row = { a: '', b: '3', name: 'x' }
+  expect(evaluate('a + 1', row)).toBeNaN()
+  expect(evaluate('a * b', row)).toBeNaN()
+  expect(evaluate('name + a', row)).toBe('x')
+  expect(evaluate('a & b', row)).toBe('3')
+  expect(evaluate('a = ""', row)).toBe(true)
+  expect(evaluate('length(a)', row)).toBe(0)
+  expect(evaluate('a + 1', { a: null })).toBeNaN()
+})
@@ -0,0 +1,148 @@
+import { uniq } from 'lodash'
+import { Parser as RdfParser } from 'n3'
+import { SparqlMarker, SparqlTypes } from './parser'
+import { selectLanguages, termToValue } from './sparqlResults'
+
+/*
+ * Tables made from the RDF graphs returned by CONSTRUCT and DESCRIBE queries
+ */
+
+export const GRAPH_TABLES = {
+  edges: 'Edges (subject, predicate, object)',
+  'edges-nodes': 'Edges with the types and labels of their nodes',
+  nodes: 'Nodes (with types and labels)',
+}
+
+// Media types of the RDF graphs asked to endpoints
+export const GRAPH_ACCEPT = 'application/n-triples, text/turtle;q=0.9'
+
+// Columns of the edges table
+export const GRAPH_VARIABLES = ['subject', 'predicate', 'object']
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type'
+const LABEL_PREDICATES = [
+  'http://www.w3.org/2000/01/rdf-schema#label',
+  'http://www.w3.org/2004/02/skos/core#prefLabel',
+]
+
+export function isGraphQuery(query) {
+  return query?.queryType === 'CONSTRUCT' || query?.queryType === 'DESCRIBE'
+}
+
+/*
+ * Quads of an N-Triples or Turtle document
+ */
+export function parseRdf(text, contentType = '') {
+  if (contentType.includes('rdf+xml')) {
+    throw new Error('RDF/XML graphs are not supported')
+  }
+  const format = contentType.includes('n-triples') ? 'N-Triples' : 'Turtle'
+  return new RdfParser({ format }).parse(text)
+}
+
+const XSD_STRING = 'http://www.w3.org/2001/XMLSchema#string'
+
+// RDF/JS terms in the shape of SPARQL JSON results (simple literals
+// have no datatype there)
+function toBindingTerm(term) {
+  switch (term.termType) {
+    case 'NamedNode':
+      return { type: 'uri', value: term.value }
+    case 'BlankNode':
+      return { type: 'bnode', value: term.value }
+    default:
+      if (term.language) {
+        return { type: 'literal', value: term.value, 'xml:lang': term.language }
+      }
+      return term.datatype.value === XSD_STRING
+        ? { type: 'literal', value: term.value }
+        : { type: 'literal', value: term.value, datatype: term.datatype.value }
+  }
+}
+
+/*
+ * The graph as SPARQL JSON results with `subject`, `predicate` and `object`
+ * variables, to be read as the results of SELECT queries
+ */
+export function quadsToSparqlJson(quads) {
+  return {
+    head: { vars: GRAPH_VARIABLES },
+    results: {
+      bindings: quads.map((quad) => ({
+        subject: toBindingTerm(quad.subject),
+        predicate: toBindingTerm(quad.predicate),
+        object: toBindingTerm(quad.object),
+      })),
+    },
+  }
+}
+
+/*
+ * One row per node (subjects and IRI or blank node objects) with the
+ * types and the label given by the graph.
+ * Options are the ones of sparqlJsonToRows, `language` picks labels.
+ */
+export function quadsToNodes(quads, options = {}) {
+  const nodes = new Map()
+  const getNode = (term) => {
+    const key = `${term.termType}:${term.value}`
+    if (!nodes.has(key)) {
+      nodes.set(key, { id: toBindingTerm(term), types: [], labels: [] })
+    }
+    return nodes.get(key)
+  }
+  for (const { subject, predicate, object } of quads) {
+    const node = getNode(subject)
+    if (object.termType === 'NamedNode' || object.termType === 'BlankNode') {
+      getNode(object)
+    }
+    if (predicate.value === RDF_TYPE) {
+      node.types.push(toBindingTerm(object))
+    } else if (
+      LABEL_PREDICATES.includes(predicate.value) &&
+      object.termType === 'Literal'
+    ) {
+      node.labels.push({ label: toBindingTerm(object) })
+    }
+  }
+  const rows = [...nodes.values()].map((node) => {
+    const [label] = selectLanguages(node.labels, options.language)
+    return {
+      id: termToValue(node.id, options),
+      type: uniq(node.types.map((t) => termToValue(t, options))).join(', '),
+      label: label ? label.label.value : '',
+    }
+  })
+  rows[SparqlMarker] = true
+  rows[SparqlTypes] = { id: 'string', type: 'string', label: 'string' }
+  return rows
+}
+
+/*
+ * Rows of the edges of a graph completed with the type and the label of
+ * their subject and object, as given by the nodes of the same graph
+ * (see quadsToNodes)
+ */
+export function addNodeColumns(edges, nodes) {
+  const nodesById = new Map(nodes.map((node) => [node.id, node]))
+  const rows = edges.map((edge) => {
+    const subject = nodesById.get(edge.subject)
+    const object = nodesById.get(edge.object)
+    return {
+      ...edge,
+      'subject type': subject?.type ?? '',
+      'subject label': subject?.label ?? '',
+      'object type': object?.type ?? '',
+      'object label': object?.label ?? '',
+    }
+  })
+  rows[SparqlMarker] = true
+  rows[SparqlTypes] = {
+    ...edges[SparqlTypes],
+    'subject type': 'string',
+    'subject label': 'string',
+    'object type': 'string',
+    'object label': 'string',
+  }
+  return rows
+}
@@ -0,0 +1,76 @@
+import { getLabelColumn } from './labels'
+import { SparqlMarker } from './parser'
+
+// Name of the column of the n-th level (starting from 1) of the hierarchy
+export function getLevelColumn(level) {
+  return `level${level}`
+}
+
+/*
+ * Converts rows of (child, parent) bindings to a table with one row per
+ * leaf of the hierarchy and the path from the root in the `level1`,
+ * `level2`, ... columns, as expected by the hierarchical charts (treemap,
+ * sunburst, circle packing, dendrogram). The leaf and its parent are kept
+ * in the `child` and `parent` columns.
+ * Rows without parent are the roots. A node with several parents is placed
+ * below the first one. When nodes have a label column (see labels.js),
+ * labels are used in place of their IRIs.
+ */
+export function hierarchyToTable(rows, { child, parent }) {
+  const parents = new Map()
+  const names = new Map()
+  const setName = (node, label) => {
+    if (!names.has(node) || (label && names.get(node) === node)) {
+      names.set(node, label || node)
+    }
+  }
+
+  for (const row of rows) {
+    const node = row[child]
+    if (!node) {
+      continue
+    }
+    setName(node, row[getLabelColumn(child)])
+    if (row[parent] && row[parent] !== node) {
+      setName(row[parent], row[getLabelColumn(parent)])
+      if (!parents.has(node)) {
+        parents.set(node, row[parent])
+      }
+    }
+  }
+
+  const hasChildren = new Set(parents.values())
+  const paths = []
+  for (const node of names.keys()) {
+    if (hasChildren.has(node)) {
+      continue
+    }
+    // Path from the root, cycles stop at the first repeated node
+    const path = [node]
+    const visited = new Set(path)
+    let current = parents.get(node)
+    while (current && !visited.has(current)) {
+      path.unshift(current)
+      visited.add(current)
+      current = parents.get(current)
+    }
+    paths.push(path)
+  }
+
+  const depth = Math.max(0, ...paths.map((path) => path.length))
+  const table = paths.map((path) => {
+    const row = {}
+    for (let level = 1; level <= depth; level++) {
+      const node = path[level - 1]
+      row[getLevelColumn(level)] = node ? names.get(node) : ''
+    }
+    const node = path[path.length - 1]
+    row[child] = names.get(node)
+    row[parent] = parents.has(node) ? names.get(parents.get(node)) : ''
+    return row
+  })
+  if (rows[SparqlMarker] === true) {
+    table[SparqlMarker] = true
+  }
+  return table
+}
@@ -0,0 +1,86 @@
+import { Parser } from 'sparqljs'
+import { formatIri } from './sparqlResults'
+
+/*
+ * Vocabulary used by the data of an endpoint: named graphs and the most
+ * used classes and predicates, to be inserted in queries
+ */
+
+export const INTROSPECTION_KINDS = {
+  classes: 'Classes',
+  predicates: 'Predicates',
+  graphs: 'Named graphs',
+}
+
+// Items listed for each kind
+const INTROSPECTION_LIMIT = 50
+
+const INTROSPECTION_QUERIES = {
+  classes: `SELECT ?item (COUNT(?s) AS ?count)
+    WHERE { ?s a ?item }
+    GROUP BY ?item
+    ORDER BY DESC(?count)
+    LIMIT ${INTROSPECTION_LIMIT}`,
+  predicates: `SELECT ?item (COUNT(?s) AS ?count)
+    WHERE { ?s ?item ?o }
+    GROUP BY ?item
+    ORDER BY DESC(?count)
+    LIMIT ${INTROSPECTION_LIMIT}`,
+  graphs: `SELECT DISTINCT ?item
+    WHERE { GRAPH ?item { } }
+    ORDER BY ?item
+    LIMIT ${INTROSPECTION_LIMIT}`,
+}
+
+/*
+ * Source of the query listing the items of a kind on an endpoint.
+ * Rows have the `item` IRI, its `itemLabel` and (but for graphs) the
+ * `count` of its uses. Graphs are listed without the default graph
+ * of the endpoint, which would hide them.
+ */
+export function getIntrospectionSource(endpoint, kind) {
+  return {
+    type: 'sparql',
+    url: endpoint.url,
+    profile: endpoint.id,
+    graph: kind === 'graphs' ? null : endpoint.graph,
+    query: new Parser().parse(INTROSPECTION_QUERIES[kind]),
+    labels: { columns: ['item'], profile: null },
+  }
+}
+
+// Local names written without escapes in prefixed names
+const SIMPLE_LOCAL_NAME_REGEX = /^[\w-]+$/
+
+/*
+ * An IRI as a prefixed name when one of the prefixes applies,
+ * `prefix` is then the one used
+ */
+export function getIriText(iri, prefixes) {
+  const prefixed = formatIri(iri, 'prefixed', prefixes)
+  if (prefixed !== iri) {
+    const [prefix, ...local] = prefixed.split(':')
+    if (SIMPLE_LOCAL_NAME_REGEX.test(local.join(':'))) {
+      return { text: prefixed, prefix }
+    }
+  }
+  return { text: `<${iri}>`, prefix: null }
+}
+
+/*
+ * Triple pattern using an item: a class is the type of the subject,
+ * a predicate links subject and object, a graph holds the triples
+ */
+export function getItemPattern(kind, iri, prefixes) {
+  const { text, prefix } = getIriText(iri, prefixes)
+  const patterns = {
+    classes: `?s a ${text} .`,
+    predicates: `?s ${text} ?o .`,
+    graphs: `GRAPH ${text} { ?s ?p ?o }`,
+  }
+  return { pattern: patterns[kind], prefix }
+}
+
+export function hasPrefixDeclaration(queryText, prefix) {
+  return new RegExp(`PREFIX\\s+${prefix}:`, 'i').test(queryText)
+}
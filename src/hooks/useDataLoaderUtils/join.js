@@ -0,0 +1,82 @@
+export const JOIN_TYPES = {
+  inner: 'Inner join',
+  left: 'Left join',
+  full: 'Full join',
+}
+
+function emptyRecord(columns) {
+  const record = {}
+  for (const column of columns) {
+    record[column] = ''
+  }
+  return record
+}
+
+/*
+ * Joins `joinRows` onto `baseRows` matching `baseKey` with `joinKey`.
+ * The key column of the joined dataset is dropped, other columns already
+ * present in the base dataset get a " (joined)" suffix.
+ */
+export function joinData(baseRows, joinRows, { baseKey, joinKey, type }) {
+  const baseColumns = Object.keys(baseRows[0] ?? {})
+  const joinColumns = Object.keys(joinRows[0] ?? {})
+    .filter((column) => column !== joinKey)
+    .map((column) => [
+      column,
+      baseColumns.includes(column) ? `${column} (joined)` : column,
+    ])
+
+  const pickJoinColumns = (record) => {
+    const picked = {}
+    for (const [column, name] of joinColumns) {
+      picked[name] = record[column] ?? ''
+    }
+    return picked
+  }
+
+  const joinIndex = new Map()
+  for (const record of joinRows) {
+    const key = String(record[joinKey])
+    if (!joinIndex.has(key)) {
+      joinIndex.set(key, [])
+    }
+    joinIndex.get(key).push(record)
+  }
+
+  const matchedKeys = new Set()
+  const emptyJoin = emptyRecord(joinColumns.map(([, name]) => name))
+  const joined = []
+  for (const record of baseRows) {
+    const key = String(record[baseKey])
+    const matches = joinIndex.get(key)
+    if (matches) {
+      matchedKeys.add(key)
+      for (const match of matches) {
+        joined.push({ ...record, ...pickJoinColumns(match) })
+      }
+    } else if (type !== 'inner') {
+      joined.push({ ...record, ...emptyJoin })
+    }
+  }
+
+  if (type === 'full') {
+    const emptyBase = emptyRecord(baseColumns)
+    for (const [key, records] of joinIndex) {
+      if (!matchedKeys.has(key)) {
+        for (const record of records) {
+          joined.push({
+            ...emptyBase,
+            [baseKey]: record[joinKey],
+            ...pickJoinColumns(record),
+          })
+        }
+      }
+    }
+  }
+
+  return joined
+}
+
+export function applyJoins(rows, joins = []) {
+  return joins.reduce((acc, join) => joinData(acc, join.rows, join), rows)
+}
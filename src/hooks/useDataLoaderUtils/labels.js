@@ -0,0 +1,162 @@
+import { uniq } from 'lodash'
+import { isValidIri } from './catalogue'
+
+// IRIs resolved by a single query
+export const LABELS_BATCH_SIZE = 50
+
+// Labels already fetched, by endpoint, language preference and IRI
+const labelsCache = new Map()
+
+/*
+ * Name of the column holding the labels of an IRI column,
+ * as named by the Wikidata label service
+ */
+export function getLabelColumn(column) {
+  return `${column}Label`
+}
+
+/*
+ * IRIs bound to some variables in SPARQL JSON results
+ */
+export function getResultsIris(sparqlJson, variables) {
+  const iris = []
+  for (const binding of sparqlJson?.results?.bindings ?? []) {
+    for (const variable of variables) {
+      if (binding[variable]?.type === 'uri') {
+        iris.push(binding[variable].value)
+      }
+    }
+  }
+  return uniq(iris)
+}
+
+/*
+ * Query of the labels of IRIs, restricted to a named graph when given
+ */
+export function getLabelsQuery(iris, graph) {
+  if (graph && !isValidIri(graph)) {
+    throw new Error(`Invalid graph IRI "${graph}"`)
+  }
+  const values = iris.map((iri) => `<${iri}>`).join(' ')
+  return `
+    PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+    PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+
+    SELECT ?iri ?label (LANG(?label) AS ?lang)
+    ${graph ? `FROM <${graph}>` : ''}
+    WHERE {
+      VALUES ?iri { ${values} }
+      ?iri rdfs:label|skos:prefLabel ?label .
+    }
+  `
+}
+
+// Entities of Wikidata, whose labels are given by its API when the
+// endpoint has none
+const WIKIDATA_ENTITY_REGEX = /^https?:\/\/www\.wikidata\.org\/(?:entity|wiki)\/(Q\d+)$/
+const WIKIDATA_API_URL = 'https://www.wikidata.org/w/api.php'
+
+// Labels in preferred languages first, then untagged ones, then the others
+function labelRank(lang, languages) {
+  const tag = (lang ?? '').toLowerCase()
+  if (!tag) {
+    return languages.length
+  }
+  const index = languages.findIndex((l) => tag === l || tag.startsWith(`${l}-`))
+  return index === -1 ? languages.length + 1 : index
+}
+
+/*
+ * Labels of Wikidata entities, by IRI, in the first available language
+ * among the preferred ones (English when none is given)
+ */
+async function fetchWikidataLabels(iris, languages) {
+  const ids = {}
+  for (const iri of iris) {
+    ids[iri.match(WIKIDATA_ENTITY_REGEX)[1]] = iri
+  }
+  const preferred = languages.length > 0 ? languages : ['en']
+  const params = new URLSearchParams({
+    action: 'wbgetentities',
+    ids: Object.keys(ids).join('|'),
+    props: 'labels',
+    languages: preferred.join('|'),
+    format: 'json',
+    origin: '*',
+  })
+  const labels = {}
+  try {
+    const response = await fetch(`${WIKIDATA_API_URL}?${params}`)
+    if (!response.ok) {
+      throw new Error(`Wikidata API error: ${response.status}`)
+    }
+    const { entities = {} } = await response.json()
+    for (const id in entities) {
+      const language = preferred.find((l) => entities[id].labels?.[l]?.value)
+      if (ids[id] && language) {
+        labels[ids[id]] = entities[id].labels[language].value
+      }
+    }
+  } catch (e) {
+    // Entities are left without labels
+    console.warn('Failed to fetch Wikidata labels', e)
+  }
+  return labels
+}
+
+/*
+ * Labels of IRIs as a Map, IRIs without label are left out.
+ * `runQuery` runs a SPARQL query on the endpoint holding the labels and
+ * returns the result rows, `endpoint` identifies it in the cache and
+ * `graph` is the named graph holding the labels, if any.
+ * `language` is a comma separated list of preferred languages.
+ * Wikidata entities without labels on the endpoint are labelled by the
+ * Wikidata API.
+ */
+export async function resolveLabels(
+  iris,
+  { runQuery, endpoint, graph = null, language = '' }
+) {
+  const languages = language
+    .split(',')
+    .map((l) => l.trim().toLowerCase())
+    .filter(Boolean)
+  const cacheKey = (iri) =>
+    `${endpoint}\n${graph ?? ''}\n${languages.join(',')}\n${iri}`
+  const missing = iris.filter(
+    (iri) => isValidIri(iri) && !labelsCache.has(cacheKey(iri))
+  )
+
+  for (let i = 0; i < missing.length; i += LABELS_BATCH_SIZE) {
+    const batch = missing.slice(i, i + LABELS_BATCH_SIZE)
+    const rows = await runQuery(getLabelsQuery(batch, graph))
+    const best = {}
+    for (const row of rows) {
+      const rank = labelRank(row.lang, languages)
+      if (row.label !== '' && (!best[row.iri] || rank < best[row.iri].rank)) {
+        best[row.iri] = { rank, label: String(row.label) }
+      }
+    }
+    const wikidataIris = batch.filter(
+      (iri) => !best[iri] && WIKIDATA_ENTITY_REGEX.test(iri)
+    )
+    if (wikidataIris.length > 0) {
+      const wikidataLabels = await fetchWikidataLabels(wikidataIris, languages)
+      for (const iri in wikidataLabels) {
+        best[iri] = { label: wikidataLabels[iri] }
+      }
+    }
+    for (const iri of batch) {
+      labelsCache.set(cacheKey(iri), best[iri]?.label ?? null)
+    }
+  }
+
+  const labels = new Map()
+  for (const iri of iris) {
+    const label = labelsCache.get(cacheKey(iri))
+    if (label) {
+      labels.set(iri, label)
+    }
+  }
+  return labels
+}
@@ -0,0 +1,74 @@
+import { getLabelsQuery, resolveLabels } from './labels'
+
+const iri = (name) => `http://example.org/${name}`
+
+afterEach(() => {
+  delete global.fetch
+})
+
+test('restricts the labels query to a graph', () => {
+  expect(getLabelsQuery([iri('a')], 'http://example.org/graph')).toContain(
+    'FROM <http://example.org/graph>'
+  )
+  expect(getLabelsQuery([iri('a')])).not.toContain('FROM')
+  expect(() => getLabelsQuery([iri('a')], 'http://x> } <y')).toThrow(
+    'Invalid graph IRI'
+  )
+})
+
+test('picks labels in the preferred languages', async () => {
+  const runQuery = jest.fn(async () => [
+    { iri: iri('a'), label: 'Cane', lang: 'it' },
+    { iri: iri('a'), label: 'Dog', lang: 'en' },
+    { iri: iri('b'), label: 'Cat', lang: '' },
+  ])
+  const labels = await resolveLabels([iri('a'), iri('b'), iri('c')], {
+    runQuery,
+    endpoint: 'languages',
+    language: 'en, it',
+  })
+  expect(labels).toEqual(
+    new Map([
+      [iri('a'), 'Dog'],
+      [iri('b'), 'Cat'],
+    ])
+  )
+
+  // Labels are cached by endpoint, graph and languages
+  await resolveLabels([iri('a')], {
+    runQuery,
+    endpoint: 'languages',
+    language: 'en, it',
+  })
+  expect(runQuery).toHaveBeenCalledTimes(1)
+  await resolveLabels([iri('a')], {
+    runQuery,
+    endpoint: 'languages',
+    graph: 'http://example.org/graph',
+    language: 'en, it',
+  })
+  expect(runQuery).toHaveBeenCalledTimes(2)
+  expect(runQuery.mock.calls[1][0]).toContain('FROM <http://example.org/graph>')
+})
+
+test('labels Wikidata entities missing on the endpoint', async () => {
+  const entity = 'http://www.wikidata.org/entity/Q42'
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    json: async () => ({
+      entities: {
+        Q42: { id: 'Q42', labels: { it: { value: 'Douglas Adams' } } },
+      },
+    }),
+  }))
+  const labels = await resolveLabels([entity, iri('d')], {
+    runQuery: async () => [],
+    endpoint: 'wikidata',
+    language: 'en,it',
+  })
+  expect(labels).toEqual(new Map([[entity, 'Douglas Adams']]))
+  expect(global.fetch).toHaveBeenCalledTimes(1)
+  const url = new URL(global.fetch.mock.calls[0][0])
+  expect(url.searchParams.get('ids')).toBe('Q42')
+  expect(url.searchParams.get('languages')).toBe('en|it')
+})
@@ -0,0 +1,94 @@
+/*
+ * Fetching of SELECT results page by page, with LIMIT and OFFSET
+ */
+
+export const DEFAULT_PAGING = { pageSize: 10000, maxRows: 100000 }
+
+// Endpoints usually cap their responses at a round number of rows
+function isRoundCount(count) {
+  return count > 0 && count % 1000 === 0
+}
+
+function abortError() {
+  return new DOMException('Fetching was cancelled', 'AbortError')
+}
+
+/*
+ * Warning for results of a single request that look truncated by the
+ * endpoint: a round number of rows, below the LIMIT of the query
+ */
+export function getResultsCapWarning(sparqlJson, query) {
+  const count = sparqlJson?.results?.bindings?.length ?? 0
+  if (!isRoundCount(count) || (query.limit ?? Infinity) <= count) {
+    return null
+  }
+  return `The endpoint returned exactly ${count} rows, which may be its limit: results may be truncated. Fetch them in pages to load them all.`
+}
+
+/*
+ * SPARQL JSON results of a SELECT query fetched in pages of `pageSize`
+ * rows, starting from the OFFSET of the query, until a page is empty or
+ * `maxRows` rows (or the LIMIT of the query) are loaded.
+ * A page shorter than asked may be the endpoint cap rather than the end of
+ * the results, so the next page is always asked.
+ * `runPage` runs a query and resolves to its SPARQL JSON results,
+ * `onProgress` is called with the rows and pages loaded after each page.
+ * Resolves to `{ results, warning }`, where the warning tells when the
+ * results may be incomplete or the endpoint capped the pages.
+ */
+export async function fetchPages(
+  query,
+  { pageSize, maxRows },
+  { runPage, onProgress, signal }
+) {
+  const offset = query.offset ?? 0
+  const total = Math.min(maxRows, query.limit ?? Infinity)
+  const bindings = []
+  let head = null
+  let pages = 0
+  let shortPage = null
+  let endpointCap = null
+
+  while (bindings.length < total) {
+    if (signal?.aborted) {
+      throw abortError()
+    }
+    const limit = Math.min(pageSize, total - bindings.length)
+    const page = await runPage({
+      ...query,
+      limit,
+      offset: offset + bindings.length,
+    })
+    const pageBindings = page?.results?.bindings ?? []
+    head = head ?? page?.head
+    pages += 1
+    if (pageBindings.length === 0) {
+      break
+    }
+    if (shortPage !== null) {
+      // Results went on after a short page: it was the endpoint cap
+      endpointCap = Math.max(endpointCap ?? 0, shortPage)
+    }
+    shortPage = pageBindings.length < limit ? pageBindings.length : null
+    for (const binding of pageBindings) {
+      bindings.push(binding)
+    }
+    onProgress?.({ rows: bindings.length, pages })
+  }
+
+  const warnings = []
+  if (endpointCap !== null) {
+    warnings.push(
+      `The endpoint returned at most ${endpointCap} rows per request, pages were fetched in smaller chunks.`
+    )
+  }
+  if (bindings.length >= maxRows && maxRows < (query.limit ?? Infinity)) {
+    warnings.push(
+      `Loading stopped at the cap of ${maxRows} rows, more results may be available.`
+    )
+  }
+  return {
+    results: { head, results: { bindings } },
+    warning: warnings.length > 0 ? warnings.join(' ') : null,
+  }
+}
@@ -1,5 +1,5 @@
-import { dsvFormat } from 'd3'
-import { DefaultSeparator, separatorsList } from '../../constants'
+import { read as readWorkbook, utils as sheetUtils } from 'xlsx'
+import { createRowReader, parseRecords, sniffCsvOptions } from './csv'
 
 function JsonParser(dataString) {
   //Removing white lines (useful when pasting from sheets, ecc)
@@ -16,43 +16,41 @@ function CsvParser(dataString, opts) {
     .trim()
     .replace(/^(?=\n)$|^\s*|\s*$|\n\n+/gm, '')
   
-  // Use the separator the user gives me, if any
-  if (opts.separator) {
-    return [
-      dsvFormat(opts.separator).parse(trimmedDataString),
-      {
-        separator: opts.separator,
-      },
-    ]
-  }
-  // Otherwise, try to infer it
-  const candidates = []
-  for (const _separator of separatorsList) {
-    const separator = _separator
-      .replace(/\\r/g, '\r')
-      .replace(/\\n/g, '\n')
-      .replace(/\\t/g, '\t')
-    try {
-      const parser = dsvFormat(separator)
-      const parsed = parser.parse(trimmedDataString)
-      if (
-        (parsed.length > 0 && Object.keys(parsed[0]).length > 1) ||
-        separator === DefaultSeparator
-      ) {
-        candidates.push({
-          separator,
-          score: Object.keys(parsed[0]).length,
-          parsed,
-        })
-      }
-    } catch (e) {}
-  }
-  candidates.sort((a, b) => b.score - a.score)
-  return [candidates[0].parsed, { separator: candidates[0].separator }]
+  // Use the separator and the options the user gives me, if any.
+  // Otherwise, infer them from the first lines
+  const detected =
+    opts.separator && opts.csvOptions
+      ? null
+      : sniffCsvOptions(trimmedDataString, opts.separator)
+  const separator = opts.separator || detected.separator
+  const { quote, header, skipRows, commentPrefix } =
+    opts.csvOptions ?? detected
+  const csvOptions = { quote, header, skipRows, commentPrefix }
+  const reader = createRowReader(csvOptions)
+  reader.read(parseRecords(trimmedDataString, separator, quote))
+  return [reader.rows, { separator, csvOptions }]
 }
 
 export const SparqlMarker = Symbol("RawgraphsSparqlMarker")
 
+// Column types given by the datatypes of SPARQL results
+export const SparqlTypes = Symbol('RawgraphsSparqlTypes')
+
+// Warning about loaded rows that may be incomplete (i.e. capped results)
+export const LoadingWarning = Symbol('RawgraphsLoadingWarning')
+
+// Rows of a CSV file parsed in the parsing worker, its value is the
+// separator and the options used
+export const ParsedCsvMarker = Symbol('RawgraphsParsedCsvMarker')
+
+function ParsedCsvParser(data, opts) {
+  if (data[ParsedCsvMarker]) {
+    const { separator, csvOptions } = data[ParsedCsvMarker]
+    return [data, { separator, csvOptions }]
+  }
+  throw new Error('Not a parsed CSV')
+}
+
 function SparqlParser(data, opts) {
   if (data[SparqlMarker] === true) {
     return [data, {}]
@@ -60,8 +58,57 @@ function SparqlParser(data, opts) {
   throw new Error("Not a sparql result")
 }
 
+const CELL_RANGE_REGEX = /^[A-Z]+[1-9][0-9]*(:[A-Z]+[1-9][0-9]*)?$/i
+
+export function isValidCellRange(range) {
+  return CELL_RANGE_REGEX.test(range)
+}
+
+export function readSpreadsheet(data) {
+  return readWorkbook(data, { type: 'array' })
+}
+
+/*
+ * Reads the rows of a sheet as objects, using the first row of the given
+ * range (or of the whole sheet) as header. Cells are read as the text
+ * displayed by the spreadsheet app, as a CSV export would do.
+ */
+export function spreadsheetToRows(workbook, sheet, range) {
+  const sheetName = sheet ?? workbook.SheetNames[0]
+  const worksheet = workbook.Sheets[sheetName]
+  if (!worksheet) {
+    throw new Error(`Sheet "${sheetName}" not found`)
+  }
+  if (range && !isValidCellRange(range)) {
+    throw new Error(`Invalid cell range "${range}"`)
+  }
+  return sheetUtils.sheet_to_json(worksheet, {
+    range: range ? range.toUpperCase() : undefined,
+    defval: '',
+    raw: false,
+  })
+}
+
+function SpreadsheetParser(data, opts) {
+  if (!(data instanceof ArrayBuffer)) {
+    throw new Error('Not a spreadsheet')
+  }
+  const workbook = readSpreadsheet(data)
+  // Fall back to the first sheet when the requested one is not there
+  const sheet = workbook.SheetNames.includes(opts.sheet)
+    ? opts.sheet
+    : workbook.SheetNames[0]
+  const range = sheet === opts.sheet ? opts.range : undefined
+  return [
+    spreadsheetToRows(workbook, sheet, range),
+    { sheet, sheetNames: workbook.SheetNames },
+  ]
+}
+
 const PARSERS = [
   { dataType: 'sparql', parse: SparqlParser },
+  { dataType: 'csv', parse: ParsedCsvParser },
+  { dataType: 'spreadsheet', parse: SpreadsheetParser },
   { dataType: 'json', parse: JsonParser },
   { dataType: 'csv', parse: CsvParser },
 ]
@@ -91,6 +138,9 @@ export function parseAndCheckData(dataString, opts) {
   } else {
     if (dataType === 'json') {
       return ['json', data, null, extra]
+    } else if (dataType === 'spreadsheet' && opts.sheet === undefined) {
+      // No sheet chosen yet, the first one may be empty
+      return ['spreadsheet', data, null, extra]
     } else if (data.length > 0) {
       return [dataType, data, null, extra]
     } else {
@@ -103,38 +153,164 @@ function isScalarType(item) {
   return ['string', 'number', 'boolean'].includes(typeof item)
 }
 
-export function normalizeJsonArray(jsonArray) {
-  return jsonArray
-    .map((element) => {
-      let iterateElement = element
-      if (Array.isArray(iterateElement)) {
-        const tmp = {}
-        iterateElement.forEach((item, i) => {
-          tmp[`Column ${i + 1}`] = item
-        })
-        iterateElement = tmp
-      }
-      if (isScalarType(iterateElement) || iterateElement === null) {
-        iterateElement = { value: iterateElement }
-      }
-      const outElement = {}
-      for (const property in iterateElement) {
-        const value = iterateElement[property]
-        const valueType = typeof value
-        if (Array.isArray(value)) {
-          outElement[property] = value.filter(isScalarType).join(' ')
-        } else if (valueType === 'object' && valueType !== null) {
-          for (const nestedProperty in value) {
-            const nestedValue = value[nestedProperty]
-            if (isScalarType(nestedValue)) {
-              outElement[`${property}.${nestedProperty}`] = nestedValue
-            }
-          }
-        } else if (isScalarType(value)) {
-          outElement[property] = value
-        }
-      }
-      return outElement
+export const JSON_ARRAY_HANDLING = {
+  join: 'Join values',
+  explode: 'One row per item',
+  first: 'First item',
+  count: 'Count items',
+}
+
+/*
+ * How nested values of JSON items become columns: objects are flattened
+ * in `prop.nested` columns up to `depth` levels (all of them when `null`),
+ * deeper ones are kept as JSON text; `arrays` is a key of
+ * `JSON_ARRAY_HANDLING`. Only the array whose column is `explode` is
+ * exploded into rows, the other ones are joined.
+ */
+export const DEFAULT_JSON_FLATTENING = {
+  depth: 1,
+  arrays: 'join',
+  explode: null,
+}
+
+// Rows of an object with the rows of the exploded array of a property
+function combineRows(rows, valueRows) {
+  return rows.flatMap((row) => valueRows.map((d) => ({ ...row, ...d })))
+}
+
+function flattenValue(value, name, level, flattening) {
+  if (Array.isArray(value)) {
+    return flattenArray(value, name, level, flattening)
+  } else if (value !== null && typeof value === 'object') {
+    if (flattening.depth !== null && level >= flattening.depth) {
+      return [{ [name]: JSON.stringify(value) }]
+    }
+    return flattenObject(value, `${name}.`, level + 1, flattening)
+  } else if (isScalarType(value)) {
+    return [{ [name]: value }]
+  }
+  return [{}]
+}
+
+function flattenArray(items, name, level, flattening) {
+  const values = items.filter((item) => item !== null && item !== undefined)
+  const handling =
+    flattening.arrays === 'explode' && name !== flattening.explode
+      ? 'join'
+      : flattening.arrays
+  switch (handling) {
+    case 'count':
+      return [{ [name]: values.length }]
+    case 'first':
+      return values.length > 0
+        ? flattenItem(values[0], name, level, flattening)
+        : [{ [name]: '' }]
+    case 'explode':
+      return values.length > 0
+        ? values.flatMap((item) => flattenItem(item, name, level, flattening))
+        : [{ [name]: '' }]
+    default:
+      return [
+        {
+          [name]: values
+            .map((item) => (isScalarType(item) ? item : JSON.stringify(item)))
+            .join(' '),
+        },
+      ]
+  }
+}
+
+// Arrays nested in arrays are not handled again, but kept as JSON text
+function flattenItem(item, name, level, flattening) {
+  if (Array.isArray(item)) {
+    return [{ [name]: JSON.stringify(item) }]
+  }
+  return flattenValue(item, name, level, flattening)
+}
+
+function flattenObject(object, prefix, level, flattening) {
+  let rows = [{}]
+  for (const property in object) {
+    rows = combineRows(
+      rows,
+      flattenValue(object[property], `${prefix}${property}`, level, flattening)
+    )
+  }
+  return rows
+}
+
+// Items that are arrays give `Column 1`, `Column 2`... and scalar items a
+// `value` column
+function toJsonObject(element) {
+  let iterateElement = element
+  if (Array.isArray(iterateElement)) {
+    const tmp = {}
+    iterateElement.forEach((item, i) => {
+      tmp[`Column ${i + 1}`] = item
     })
-    .filter((item) => item !== null)
+    iterateElement = tmp
+  }
+  if (isScalarType(iterateElement) || iterateElement === null) {
+    iterateElement = { value: iterateElement }
+  }
+  return iterateElement
+}
+
+/*
+ * Rows of the items of a JSON array, flattened as described by
+ * `flattening` (see `DEFAULT_JSON_FLATTENING`). The exploded array gives
+ * an item as many rows as its values. Empty arrays give empty cells, as
+ * joined arrays do.
+ */
+export function normalizeJsonArray(
+  jsonArray,
+  flattening = DEFAULT_JSON_FLATTENING
+) {
+  return jsonArray.flatMap((element) =>
+    flattenObject(toJsonObject(element), '', 0, flattening)
+  )
+}
+
+function addArrayColumns(value, name, level, depth, columns) {
+  if (Array.isArray(value)) {
+    columns.add(name)
+  } else if (
+    value !== null &&
+    typeof value === 'object' &&
+    (depth === null || level < depth)
+  ) {
+    for (const property in value) {
+      addArrayColumns(
+        value[property],
+        `${name}.${property}`,
+        level + 1,
+        depth,
+        columns
+      )
+    }
+  }
+}
+
+/*
+ * Columns of the arrays of JSON items flattened down to `depth` levels,
+ * which can be exploded
+ */
+export function getJsonArrayColumns(jsonArray, depth) {
+  const columns = new Set()
+  for (const element of jsonArray) {
+    const object = toJsonObject(element)
+    for (const property in object) {
+      addArrayColumns(object[property], property, 0, depth, columns)
+    }
+  }
+  return [...columns]
+}
+
+// Columns of flattened rows, in the order they are first found
+export function getJsonColumns(rows) {
+  const columns = new Set()
+  for (const row of rows) {
+    Object.keys(row).forEach((column) => columns.add(column))
+  }
+  return [...columns]
 }
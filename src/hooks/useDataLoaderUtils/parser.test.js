@@ -0,0 +1,109 @@
+import {
+  DEFAULT_JSON_FLATTENING,
+  getJsonArrayColumns,
+  getJsonColumns,
+  normalizeJsonArray,
+} from './parser'
+
+const items = [
+  {
+    id: 1,
+    tags: ['a', 'b'],
+    author: { name: 'Ann', address: { city: 'Milan' } },
+  },
+  { id: 2, tags: [], author: { name: 'Bob', address: null } },
+]
+
+function flatten(jsonArray, flattening) {
+  return normalizeJsonArray(jsonArray, {
+    ...DEFAULT_JSON_FLATTENING,
+    ...flattening,
+  })
+}
+
+test('flattens objects down to the given depth', () => {
+  expect(flatten(items, { depth: 1 })).toEqual([
+    {
+      id: 1,
+      tags: 'a b',
+      'author.name': 'Ann',
+      'author.address': '{"city":"Milan"}',
+    },
+    { id: 2, tags: '', 'author.name': 'Bob' },
+  ])
+  expect(flatten(items, { depth: null })[0]).toEqual({
+    id: 1,
+    tags: 'a b',
+    'author.name': 'Ann',
+    'author.address.city': 'Milan',
+  })
+  expect(flatten(items, { depth: 0 })[0]).toEqual({
+    id: 1,
+    tags: 'a b',
+    author: '{"name":"Ann","address":{"city":"Milan"}}',
+  })
+})
+
+test('handles arrays as chosen', () => {
+  const tags = (arrays) =>
+    flatten(items, { arrays, explode: 'tags' }).map((row) => row.tags)
+  expect(tags('join')).toEqual(['a b', ''])
+  expect(tags('count')).toEqual([2, 0])
+  expect(tags('first')).toEqual(['a', ''])
+  expect(tags('explode')).toEqual(['a', 'b', ''])
+})
+
+test('keeps the columns of empty arrays', () => {
+  for (const arrays of ['join', 'count', 'first', 'explode']) {
+    const rows = flatten([{ id: 1, tags: [] }], { arrays, explode: 'tags' })
+    expect(getJsonColumns(rows)).toEqual(['id', 'tags'])
+  }
+})
+
+test('explodes only the chosen array', () => {
+  const rows = flatten([{ id: 1, tags: ['a', 'b'], colors: ['red', 'blue'] }], {
+    arrays: 'explode',
+    explode: 'tags',
+  })
+  expect(rows).toEqual([
+    { id: 1, tags: 'a', colors: 'red blue' },
+    { id: 1, tags: 'b', colors: 'red blue' },
+  ])
+})
+
+test('explodes arrays nested in objects', () => {
+  const nested = [
+    {
+      id: 1,
+      a: { b: [{ x: 1 }, { x: 2 }], c: 'k' },
+    },
+  ]
+  expect(getJsonArrayColumns(nested, 0)).toEqual([])
+  expect(getJsonArrayColumns(nested, 1)).toEqual(['a.b'])
+  expect(
+    flatten(nested, { depth: 1, arrays: 'explode', explode: 'a.b' })
+  ).toEqual([
+    { id: 1, 'a.b': '{"x":1}', 'a.c': 'k' },
+    { id: 1, 'a.b': '{"x":2}', 'a.c': 'k' },
+  ])
+  expect(
+    flatten(nested, { depth: null, arrays: 'explode', explode: 'a.b' })
+  ).toEqual([
+    { id: 1, 'a.b.x': 1, 'a.c': 'k' },
+    { id: 1, 'a.b.x': 2, 'a.c': 'k' },
+  ])
+})
+
+test('finds the arrays that can be exploded', () => {
+  expect(getJsonArrayColumns(items, 1)).toEqual(['tags'])
+  expect(
+    getJsonArrayColumns([{ a: { b: [1], c: { d: [2] } } }], null)
+  ).toEqual(['a.b', 'a.c.d'])
+})
+
+test('reads arrays and scalars as items', () => {
+  expect(normalizeJsonArray([[1, 'x'], 5])).toEqual([
+    { 'Column 1': 1, 'Column 2': 'x' },
+    { value: 5 },
+  ])
+})
@@ -0,0 +1,225 @@
+import { getAggregator, NumberParser } from '@rawgraphs/rawgraphs-core'
+import { omit, pick } from 'lodash'
+import {
+  AGGREGATIONS_LABELS,
+  FILTER_OPERATORS_LABELS,
+  TRANSFORMATIONS_LABELS,
+} from '../../constants'
+import {
+  compareValues,
+  evaluateExpression,
+  getExpressionColumns,
+  parseExpression,
+} from './expression'
+import { pivotData, unpivotData } from './stack'
+
+const NUMERIC_AGGREGATIONS = ['mean', 'median', 'max', 'min', 'sum']
+
+/*
+ * Returns a function reading numbers from user data according to
+ * the current parsing options. Non numeric values are read as NaN.
+ */
+export function getNumberReader({ locale, decimal, group }) {
+  const parser = new NumberParser({ locale, decimal, group })
+  return (value) => {
+    if (typeof value === 'number') {
+      return value
+    }
+    if (value === null || value === undefined || String(value).trim() === '') {
+      return NaN
+    }
+    return parser.parse(String(value))
+  }
+}
+
+export function getValuesAggregator(aggregation, toNumber) {
+  const aggregator = getAggregator(aggregation)
+  if (NUMERIC_AGGREGATIONS.includes(aggregation)) {
+    return (values) =>
+      aggregator(values.map(toNumber).filter((v) => !isNaN(v))) ?? ''
+  }
+  return (values) => aggregator(values) ?? ''
+}
+
+function missingColumnError(column) {
+  const error = new Error(`Column "${column}" not found`)
+  error.column = column
+  return error
+}
+
+function checkColumns(rows, columns) {
+  if (rows.length === 0) {
+    return
+  }
+  for (const column of columns) {
+    // Rows of JSON data may lack some of the columns
+    if (!(column in rows[0]) && !rows.some((row) => column in row)) {
+      throw missingColumnError(column)
+    }
+  }
+}
+
+function toCellValue(value) {
+  if (typeof value === 'number') {
+    return isFinite(value) ? value : ''
+  }
+  if (typeof value === 'boolean') {
+    return String(value)
+  }
+  return value ?? ''
+}
+
+function matchesFilter({ operator, value }, cell, toNumber) {
+  switch (operator) {
+    case 'contains':
+      return String(cell).toLowerCase().includes(String(value).toLowerCase())
+    case 'notContains':
+      return !String(cell).toLowerCase().includes(String(value).toLowerCase())
+    case 'empty':
+      return cell === '' || cell === null || cell === undefined
+    case 'notEmpty':
+      return !(cell === '' || cell === null || cell === undefined)
+    default: {
+      const comparison = compareValues(cell, value, toNumber)
+      switch (operator) {
+        case '=':
+          return comparison === 0
+        case '!=':
+          return comparison !== 0
+        case '>':
+          return comparison > 0
+        case '>=':
+          return comparison >= 0
+        case '<':
+          return comparison < 0
+        case '<=':
+          return comparison <= 0
+        default:
+          throw new Error(`Unknown filter operator "${operator}"`)
+      }
+    }
+  }
+}
+
+function applyStep(rows, step, toNumber) {
+  switch (step.type) {
+    case 'filter':
+      checkColumns(rows, [step.column])
+      return rows.filter((row) =>
+        matchesFilter(step, row[step.column], toNumber)
+      )
+    case 'derive': {
+      const ast = parseExpression(step.expression)
+      const columns = getExpressionColumns(ast)
+      checkColumns(rows, columns)
+      // Columns missing in some rows are read as empty cells
+      const emptyCells = Object.fromEntries(columns.map((c) => [c, '']))
+      return rows.map((row) => ({
+        ...row,
+        [step.name]: toCellValue(
+          evaluateExpression(ast, { ...emptyCells, ...row }, toNumber)
+        ),
+      }))
+    }
+    case 'rename':
+      checkColumns(rows, [step.column])
+      return rows.map((row) => {
+        // Rebuild the record to keep the column order
+        const renamed = {}
+        for (const column in row) {
+          renamed[column === step.column ? step.name : column] = row[column]
+        }
+        return renamed
+      })
+    case 'drop':
+      checkColumns(rows, step.columns)
+      return rows.map((row) => omit(row, step.columns))
+    case 'aggregate': {
+      checkColumns(rows, [
+        ...step.groupBy,
+        ...step.aggregations.map((a) => a.column),
+      ])
+      const aggregators = step.aggregations.map((a) =>
+        getValuesAggregator(a.aggregation, toNumber)
+      )
+      const groups = new Map()
+      for (const row of rows) {
+        const key = JSON.stringify(step.groupBy.map((column) => row[column]))
+        if (!groups.has(key)) {
+          groups.set(key, [])
+        }
+        groups.get(key).push(row)
+      }
+      return Array.from(groups.values()).map((groupRows) => {
+        const aggregated = pick(groupRows[0], step.groupBy)
+        step.aggregations.forEach(({ column, name }, i) => {
+          aggregated[name] = aggregators[i](groupRows.map((row) => row[column]))
+        })
+        return aggregated
+      })
+    }
+    case 'pivot':
+      checkColumns(rows, [...step.keys, step.column, step.value])
+      return pivotData(
+        rows,
+        step.keys,
+        step.column,
+        step.value,
+        getValuesAggregator(step.aggregation, toNumber)
+      )
+    case 'unpivot':
+      checkColumns(rows, step.idColumns)
+      return unpivotData(
+        rows,
+        step.idColumns,
+        step.nameColumn,
+        step.valueColumn
+      )
+    default:
+      throw new Error(`Unknown transformation "${step.type}"`)
+  }
+}
+
+/*
+ * Applies the transformation steps in order.
+ * When a step fails, the thrown error has the index of the failing step
+ * in `error.step` and, when a column is missing, its name in `error.column`.
+ */
+export function applyPipeline(rows, steps, parsingOptions) {
+  const toNumber = getNumberReader(parsingOptions)
+  return steps.reduce((transformed, step, i) => {
+    try {
+      return applyStep(transformed, step, toNumber)
+    } catch (e) {
+      e.step = i
+      throw e
+    }
+  }, rows)
+}
+
+export function describeStep(step) {
+  switch (step.type) {
+    case 'filter':
+      return `${step.column} ${FILTER_OPERATORS_LABELS[step.operator]}${
+        ['empty', 'notEmpty'].includes(step.operator) ? '' : ` ${step.value}`
+      }`
+    case 'derive':
+      return `${step.name} = ${step.expression}`
+    case 'rename':
+      return `${step.column} → ${step.name}`
+    case 'drop':
+      return step.columns.join(', ')
+    case 'aggregate':
+      return `by ${
+        step.groupBy.join(', ') || 'all rows'
+      }: ${step.aggregations.map((a) => a.name).join(', ')}`
+    case 'pivot':
+      return `${step.column} as columns, ${AGGREGATIONS_LABELS[
+        step.aggregation
+      ].toLowerCase()} of ${step.value}`
+    case 'unpivot':
+      return `keep ${step.idColumns.join(', ')}`
+    default:
+      return TRANSFORMATIONS_LABELS[step.type] ?? step.type
+  }
+}
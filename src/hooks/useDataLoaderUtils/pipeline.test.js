@@ -0,0 +1,56 @@
+import { applyPipeline } from './pipeline'
+
+const parsingOptions = { locale: 'en-US', decimal: '.', group: ',' }
+
+const rows = [
+  { city: 'Milan', year: '2020', sales: '10' },
+  { city: 'Milan', year: '2021', sales: '' },
+  { city: 'Rome', year: '2020', sales: '4' },
+]
+
+test('applies the steps in order', () => {
+  const steps = [
+    { type: 'derive', name: 'double', expression: 'sales * 2' },
+    { type: 'filter', column: 'double', operator: 'notEmpty' },
+    { type: 'rename', column: 'city', name: 'place' },
+    { type: 'drop', columns: ['year'] },
+  ]
+  expect(applyPipeline(rows, steps, parsingOptions)).toEqual([
+    { place: 'Milan', sales: '10', double: 20 },
+    { place: 'Rome', sales: '4', double: 8 },
+  ])
+})
+
+test('leaves empty the cells of divisions by zero', () => {
+  const steps = [{ type: 'derive', name: 'ratio', expression: 'sales / 0' }]
+  expect(
+    applyPipeline(rows, steps, parsingOptions).map((row) => row.ratio)
+  ).toEqual(['', '', ''])
+})
+
+test('reads columns missing in some rows as empty cells', () => {
+  const sparseRows = [{ a: '1' }, { a: '2', b: '3' }]
+  const steps = [{ type: 'derive', name: 'c', expression: 'a & b' }]
+  expect(
+    applyPipeline(sparseRows, steps, parsingOptions).map((row) => row.c)
+  ).toEqual(['1', '23'])
+})
+
+test('reports the failing step when replayed on changed columns', () => {
+  const steps = [
+    { type: 'rename', column: 'city', name: 'place' },
+    { type: 'derive', name: 'double', expression: 'sales * 2' },
+  ]
+  const changedRows = rows.map(({ sales, ...row }) => ({
+    ...row,
+    amount: sales,
+  }))
+  let error
+  try {
+    applyPipeline(changedRows, steps, parsingOptions)
+  } catch (e) {
+    error = e
+  }
+  expect(error.step).toBe(1)
+  expect(error.column).toBe('sales')
+})
@@ -0,0 +1,90 @@
+import {
+  deserializeProject as deserializeCoreProject,
+  serializeProject as serializeCoreProject,
+} from '@rawgraphs/rawgraphs-core'
+import { pick } from 'lodash'
+import { ParsedCsvMarker } from './parser'
+
+/*
+ * rawgraphs-core serializers only keep a fixed set of parse options.
+ * Parse options handled by the app itself are stored next to them.
+ */
+export const EXTRA_PARSE_OPTIONS = [
+  'unstackOptions',
+  'pipeline',
+  'untransformedData',
+  'untransformedColumns',
+  'csvOptions',
+]
+
+// Bytes encoded in base64 at a time, as arguments of `fromCharCode`
+const BASE64_CHUNK_LENGTH = 0x8000
+
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer)
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK_LENGTH) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK_LENGTH))
+  }
+  return window.btoa(binary)
+}
+
+function base64ToArrayBuffer(base64) {
+  const binary = window.atob(base64)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes.buffer
+}
+
+/*
+ * Spreadsheets are kept as an ArrayBuffer, which JSON cannot hold: their
+ * bytes are written in base64, so that saved projects can parse them again
+ * (i.e. when another sheet or separator is chosen).
+ * Rows of streamed CSV files are written with the options they were parsed
+ * with, which are tagged on them again when the project is opened.
+ */
+function serializeUserInput(userInput) {
+  if (userInput instanceof ArrayBuffer) {
+    return { base64: arrayBufferToBase64(userInput) }
+  }
+  if (Array.isArray(userInput) && userInput[ParsedCsvMarker]) {
+    return { parsedCsv: userInput[ParsedCsvMarker], rows: userInput }
+  }
+  return userInput
+}
+
+function deserializeUserInput(userInput) {
+  if (typeof userInput?.base64 === 'string') {
+    return base64ToArrayBuffer(userInput.base64)
+  }
+  if (userInput?.parsedCsv && Array.isArray(userInput.rows)) {
+    const rows = userInput.rows
+    rows[ParsedCsvMarker] = userInput.parsedCsv
+    return rows
+  }
+  return userInput
+}
+
+export function serializeProject(project) {
+  const serialized = serializeCoreProject(project)
+  return {
+    ...serialized,
+    userInput: serializeUserInput(serialized.userInput),
+    parseOptions: {
+      ...serialized.parseOptions,
+      ...pick(project, EXTRA_PARSE_OPTIONS),
+    },
+  }
+}
+
+export function deserializeProject(serializedProject, charts) {
+  const project = deserializeCoreProject(serializedProject, charts)
+  const { parseOptions } = JSON.parse(serializedProject)
+  return {
+    ...project,
+    userInput: deserializeUserInput(project.userInput),
+    ...pick(parseOptions, EXTRA_PARSE_OPTIONS),
+  }
+}
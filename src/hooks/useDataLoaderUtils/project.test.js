@@ -0,0 +1,58 @@
+import { parseData, ParsedCsvMarker } from './parser'
+import { deserializeProject, serializeProject } from './project'
+
+const charts = [{ metadata: { id: 'chart' } }]
+
+function saveAndOpen(userInput, userDataType = 'csv') {
+  const userData = [{ a: '1', b: '2' }]
+  const project = serializeProject({
+    userInput,
+    userData,
+    userDataType,
+    parseError: null,
+    unstackedData: null,
+    unstackedColumns: null,
+    data: { dataTypes: { a: 'number', b: 'number' } },
+    separator: ';',
+    thousandsSeparator: ',',
+    decimalsSeparator: '.',
+    locale: 'en-US',
+    stackDimension: null,
+    dataSource: { type: 'file' },
+    currentChart: charts[0],
+    mapping: {},
+    visualOptions: {},
+  })
+  return deserializeProject(JSON.stringify(project), charts)
+}
+
+test('keeps the parsing options of streamed CSV rows', () => {
+  const rows = [{ a: '1', b: '2' }]
+  const csvOptions = {
+    quote: "'",
+    header: true,
+    skipRows: 0,
+    commentPrefix: '',
+  }
+  rows[ParsedCsvMarker] = { separator: ';', csvOptions }
+
+  const { userInput } = saveAndOpen(rows)
+  expect(userInput).toEqual(rows)
+  expect(userInput[ParsedCsvMarker]).toEqual({ separator: ';', csvOptions })
+  expect(parseData(userInput, {})).toEqual([
+    'csv',
+    rows,
+    { separator: ';', csvOptions },
+  ])
+})
+
+test('keeps the bytes of spreadsheets', () => {
+  const bytes = new ArrayBuffer(4)
+  new Uint8Array(bytes).set([0, 255, 80, 75])
+  const { userInput } = saveAndOpen(bytes, 'spreadsheet')
+  expect(Array.from(new Uint8Array(userInput))).toEqual([0, 255, 80, 75])
+})
+
+test('keeps texts as they are', () => {
+  expect(saveAndOpen('a;b\n1;2').userInput).toBe('a;b\n1;2')
+})
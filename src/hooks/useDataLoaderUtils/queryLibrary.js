@@ -0,0 +1,119 @@
+import { uniq } from 'lodash'
+import { getTemplateParameters } from './templates'
+
+/*
+ * Library of SPARQL queries saved by the user in the local storage of the
+ * browser. Entries are `{ id, title, description, tags, query, endpoint }`,
+ * where `query` is the query text (or template) and `endpoint` is
+ * `{ profile, url }`.
+ */
+
+const STORE_NS = 'rawSparqlQueries'
+
+// Version of the exported library files
+const LIBRARY_VERSION = 1
+
+function makeId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+}
+
+/*
+ * Tags written as a comma separated list
+ */
+export function parseTags(text) {
+  return uniq(
+    text
+      .split(',')
+      .map((tag) => tag.trim())
+      .filter(Boolean)
+  )
+}
+
+function normalizeEntry(entry) {
+  if (
+    !entry ||
+    typeof entry.title !== 'string' ||
+    entry.title.trim() === '' ||
+    typeof entry.query !== 'string'
+  ) {
+    throw new Error('Every query of the library needs a title and a query')
+  }
+  // Throws on templates with unknown parameter types
+  getTemplateParameters(entry.query)
+  const tags = Array.isArray(entry.tags) ? entry.tags : []
+  return {
+    id: typeof entry.id === 'string' && entry.id ? entry.id : makeId(),
+    title: entry.title.trim(),
+    description: typeof entry.description === 'string' ? entry.description : '',
+    tags: uniq(tags.filter((t) => typeof t === 'string' && t)),
+    query: entry.query,
+    endpoint: {
+      profile: entry.endpoint?.profile ?? null,
+      url: entry.endpoint?.url ?? '',
+    },
+  }
+}
+
+export function getQueryLibrary() {
+  try {
+    return JSON.parse(localStorage.getItem(STORE_NS) ?? '[]')
+  } catch (e) {
+    return []
+  }
+}
+
+function storeQueryLibrary(queries) {
+  localStorage.setItem(STORE_NS, JSON.stringify(queries))
+  return queries
+}
+
+/*
+ * Adds a query to the library, or replaces the one with the same id.
+ * Returns the updated library.
+ */
+export function saveLibraryQuery(entry) {
+  const query = normalizeEntry(entry)
+  const queries = getQueryLibrary()
+  const index = queries.findIndex((q) => q.id === query.id)
+  if (index === -1) {
+    queries.push(query)
+  } else {
+    queries[index] = query
+  }
+  return storeQueryLibrary(queries)
+}
+
+export function deleteLibraryQuery(id) {
+  return storeQueryLibrary(getQueryLibrary().filter((q) => q.id !== id))
+}
+
+export function getLibraryTags(queries) {
+  return uniq(queries.flatMap((q) => q.tags)).sort()
+}
+
+export function exportQueryLibrary(queries) {
+  return JSON.stringify({ version: LIBRARY_VERSION, queries }, null, 2)
+}
+
+/*
+ * Adds the queries of an exported library file to the library, replacing
+ * the ones with the same id. Throws when the file is not a library.
+ * Returns the updated library.
+ */
+export function importQueryLibrary(text) {
+  let content
+  try {
+    content = JSON.parse(text)
+  } catch (e) {
+    throw new Error('The file is not a query library')
+  }
+  if (!Array.isArray(content?.queries)) {
+    throw new Error('The file is not a query library')
+  }
+  const imported = content.queries.map(normalizeEntry)
+  const importedIds = imported.map((q) => q.id)
+  return storeQueryLibrary([
+    ...getQueryLibrary().filter((q) => !importedIds.includes(q.id)),
+    ...imported,
+  ])
+}
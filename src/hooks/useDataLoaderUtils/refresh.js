@@ -0,0 +1,78 @@
+import { getTypeName } from '@rawgraphs/rawgraphs-core'
+import { difference, intersection } from 'lodash'
+
+/*
+ * Refreshing the data of live sources: the schedules of automatic
+ * refreshes and the changes found between two fetches
+ */
+
+// Automatic refresh intervals, in minutes
+export const REFRESH_INTERVALS = {
+  0: 'Off',
+  1: '1 min',
+  5: '5 min',
+  15: '15 min',
+  60: '1 hour',
+}
+
+// Refreshes kept in the history
+export const REFRESH_HISTORY_LENGTH = 10
+
+/*
+ * Row count and column types of parsed data, as compared between
+ * refreshes
+ */
+export function getDataSnapshot(data) {
+  if (!data) {
+    return null
+  }
+  const columns = {}
+  for (const [name, type] of Object.entries(data.dataTypes)) {
+    columns[name] = getTypeName(type)
+  }
+  return { rows: data.dataset.length, columns }
+}
+
+/*
+ * Changes between the snapshots of the data before and after a refresh:
+ * the difference in rows, the columns added and removed and the columns
+ * whose type changed
+ */
+export function getSnapshotChanges(previous, next) {
+  const previousColumns = Object.keys(previous.columns)
+  const nextColumns = Object.keys(next.columns)
+  return {
+    rows: next.rows,
+    rowsDelta: next.rows - previous.rows,
+    addedColumns: difference(nextColumns, previousColumns),
+    removedColumns: difference(previousColumns, nextColumns),
+    changedTypes: intersection(previousColumns, nextColumns)
+      .filter((name) => previous.columns[name] !== next.columns[name])
+      .map((name) => ({
+        name,
+        from: previous.columns[name],
+        to: next.columns[name],
+      })),
+  }
+}
+
+// Short descriptions of the changes, one for each kind
+export function describeSnapshotChanges(changes) {
+  const descriptions = [
+    changes.rowsDelta === 0
+      ? `${changes.rows} rows, unchanged`
+      : `${changes.rows} rows (${changes.rowsDelta > 0 ? '+' : ''}${
+          changes.rowsDelta
+        })`,
+  ]
+  if (changes.addedColumns.length > 0) {
+    descriptions.push(`Added columns: ${changes.addedColumns.join(', ')}`)
+  }
+  if (changes.removedColumns.length > 0) {
+    descriptions.push(`Removed columns: ${changes.removedColumns.join(', ')}`)
+  }
+  for (const { name, from, to } of changes.changedTypes) {
+    descriptions.push(`Column ${name}: ${from} → ${to}`)
+  }
+  return descriptions
+}
@@ -0,0 +1,205 @@
+import { csvParseRows } from 'd3'
+
+/*
+ * SPARQL results of SELECT queries in the JSON, XML, TSV and CSV formats,
+ * read as SPARQL JSON results
+ */
+
+// Media types asked to endpoints, JSON preferred, CSV last as it loses
+// the types and languages of literals
+export const SELECT_ACCEPT = [
+  'application/sparql-results+json',
+  'application/sparql-results+xml;q=0.9',
+  'text/tab-separated-values;q=0.8',
+  'text/csv;q=0.7',
+].join(', ')
+
+export const UNSUPPORTED_FORMATS_MESSAGE =
+  'The endpoint does not support any of the SPARQL results formats: JSON, XML, TSV or CSV'
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#'
+const XML_NS = 'http://www.w3.org/XML/1998/namespace'
+
+function getChildElements(node, name) {
+  return [...node.children].filter((child) => child.localName === name)
+}
+
+function parseXmlResults(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  const root = doc.documentElement
+  if (!root || root.localName !== 'sparql') {
+    throw new Error('Invalid SPARQL XML results')
+  }
+  const [head] = getChildElements(root, 'head')
+  const [results] = getChildElements(root, 'results')
+  const vars = head
+    ? getChildElements(head, 'variable').map((v) => v.getAttribute('name'))
+    : []
+  const bindings = (results ? getChildElements(results, 'result') : []).map(
+    (result) => {
+      const binding = {}
+      for (const node of getChildElements(result, 'binding')) {
+        const [termNode] = node.children
+        if (!termNode) {
+          continue
+        }
+        const term = { type: termNode.localName, value: termNode.textContent }
+        if (term.type === 'literal') {
+          const lang =
+            termNode.getAttributeNS(XML_NS, 'lang') ||
+            termNode.getAttribute('xml:lang')
+          const datatype = termNode.getAttribute('datatype')
+          if (lang) {
+            term['xml:lang'] = lang
+          } else if (datatype) {
+            term.datatype = datatype
+          }
+        }
+        binding[node.getAttribute('name')] = term
+      }
+      return binding
+    }
+  )
+  return { head: { vars }, results: { bindings } }
+}
+
+const ESCAPES = { t: '\t', b: '\b', n: '\n', r: '\r', f: '\f' }
+
+function unescapeString(text) {
+  return text.replace(
+    /\\(u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g,
+    (match, escape) =>
+      escape.length > 1
+        ? String.fromCodePoint(parseInt(escape.slice(1), 16))
+        : ESCAPES[escape] ?? escape
+  )
+}
+
+const TSV_LITERAL_REGEX = /^(["'])((?:(?!\1)[^\\]|\\.)*)\1(?:@([a-zA-Z]+(?:-[a-zA-Z0-9]+)*)|\^\^<([^>]*)>)?$/
+
+// Turtle shorthands of numbers and booleans
+const TSV_SHORTHANDS = [
+  [/^[+-]?\d+$/, 'integer'],
+  [/^[+-]?\d*\.\d+$/, 'decimal'],
+  [/^[+-]?(\d+\.?\d*|\.\d+)[eE][+-]?\d+$/, 'double'],
+  [/^(true|false)$/, 'boolean'],
+]
+
+// A term written in Turtle syntax, undefined for unbound variables
+function parseTsvTerm(text) {
+  if (text === '') {
+    return undefined
+  }
+  if (text.startsWith('<') && text.endsWith('>')) {
+    return { type: 'uri', value: unescapeString(text.slice(1, -1)) }
+  }
+  if (text.startsWith('_:')) {
+    return { type: 'bnode', value: text.slice(2) }
+  }
+  const literal = text.match(TSV_LITERAL_REGEX)
+  if (literal) {
+    const [, , value, lang, datatype] = literal
+    const term = { type: 'literal', value: unescapeString(value) }
+    if (lang) {
+      term['xml:lang'] = lang
+    } else if (datatype) {
+      term.datatype = unescapeString(datatype)
+    }
+    return term
+  }
+  const shorthand = TSV_SHORTHANDS.find(([regex]) => regex.test(text))
+  if (shorthand) {
+    return { type: 'literal', value: text, datatype: XSD + shorthand[1] }
+  }
+  return { type: 'literal', value: text }
+}
+
+function parseTsvResults(text) {
+  const [header = '', ...lines] = text.split(/\r?\n/)
+  // Fields keep their positions, even under an empty header field
+  const columns = header.split('\t').map((v) => v.replace(/^[?$]/, ''))
+  const bindings = lines
+    .filter((line) => line !== '')
+    .map((line) => {
+      const fields = line.split('\t')
+      const binding = {}
+      columns.forEach((v, i) => {
+        const term = v !== '' && parseTsvTerm(fields[i] ?? '')
+        if (term) {
+          binding[v] = term
+        }
+      })
+      return binding
+    })
+  return {
+    head: { vars: columns.filter(Boolean) },
+    results: { bindings },
+  }
+}
+
+// CSV results have no syntax for IRIs, values looking like absolute
+// IRIs are taken as such
+const CSV_IRI_REGEX = /^(?:[a-z][a-z0-9+.-]*:\/\/|urn:|mailto:)\S+$/i
+
+function parseCsvTerm(text) {
+  if (text === '') {
+    return undefined
+  }
+  if (text.startsWith('_:')) {
+    return { type: 'bnode', value: text.slice(2) }
+  }
+  if (CSV_IRI_REGEX.test(text)) {
+    return { type: 'uri', value: text }
+  }
+  return { type: 'literal', value: text }
+}
+
+function parseCsvResults(text) {
+  const [vars = [], ...rows] = csvParseRows(text)
+  const bindings = rows.map((row) => {
+    const binding = {}
+    vars.forEach((v, i) => {
+      const term = parseCsvTerm(row[i] ?? '')
+      if (term) {
+        binding[v] = term
+      }
+    })
+    return binding
+  })
+  return { head: { vars }, results: { bindings } }
+}
+
+const RESULTS_PARSERS = {
+  'application/sparql-results+json': JSON.parse,
+  'application/json': JSON.parse,
+  'application/sparql-results+xml': parseXmlResults,
+  'application/xml': parseXmlResults,
+  'text/xml': parseXmlResults,
+  'text/tab-separated-values': parseTsvResults,
+  'text/csv': parseCsvResults,
+}
+
+/*
+ * SPARQL JSON results of a response body, read according to its media
+ * type. Bodies of unknown media types (e.g. text/plain) are read when they
+ * look like JSON or XML, other formats are an error.
+ */
+export function parseSparqlResults(text, contentType = '') {
+  const mediaType = contentType.split(';')[0].trim().toLowerCase()
+  let parse = RESULTS_PARSERS[mediaType]
+  if (!parse) {
+    const start = text.trimStart()[0]
+    if (start === '{') {
+      parse = JSON.parse
+    } else if (start === '<') {
+      parse = parseXmlResults
+    } else {
+      throw new Error(
+        `The endpoint answered in an unsupported format (${
+          mediaType || 'unknown media type'
+        }), SPARQL results are read as JSON, XML, TSV or CSV`
+      )
+    }
+  }
+  return parse(text)
+}
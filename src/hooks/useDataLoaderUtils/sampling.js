@@ -0,0 +1,118 @@
+import { groupBy } from 'lodash'
+
+/*
+ * Samples of the rows of datasets too big to be charted interactively,
+ * used for the chart preview
+ */
+
+export const SAMPLING_METHODS = {
+  random: 'Random rows',
+  stratified: 'Stratified by column',
+  first: 'First rows',
+  none: 'All rows',
+}
+
+// Datasets with more rows are sampled by default
+export const SAMPLING_THRESHOLD = 10000
+
+export const DEFAULT_SAMPLING = {
+  method: 'random',
+  size: SAMPLING_THRESHOLD,
+  column: null,
+}
+
+// Samples do not change between renders, as long as the policy is the same
+const SAMPLING_SEED = 1
+
+// Pseudo random numbers in [0, 1) (mulberry32)
+function getRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// `size` indices out of `count`, chosen at random and sorted
+function getRandomIndices(count, size, random) {
+  const indices = Array.from({ length: count }, (d, i) => i)
+  for (let i = 0; i < size; i++) {
+    const j = i + Math.floor(random() * (count - i))
+    ;[indices[i], indices[j]] = [indices[j], indices[i]]
+  }
+  return indices.slice(0, size).sort((a, b) => a - b)
+}
+
+/*
+ * Sizes of the samples of groups, proportional to the size of each
+ * group. Each group is given at least one row, the biggest ones first
+ * when there are more groups than rows in the sample.
+ */
+function getStrataSizes(groups, size) {
+  const total = groups.reduce((sum, group) => sum + group.length, 0)
+  const quotas = groups.map((group) => (group.length * size) / total)
+  const sizes = quotas.map(Math.floor)
+  const left = size - sizes.reduce((sum, groupSize) => sum + groupSize, 0)
+  // Rows left by roundings go to the largest remainders
+  const byRemainder = groups
+    .map((group, i) => i)
+    .sort(
+      (a, b) =>
+        quotas[b] - sizes[b] - (quotas[a] - sizes[a]) ||
+        groups[b].length - groups[a].length
+    )
+  for (const i of byRemainder.slice(0, left)) {
+    sizes[i]++
+  }
+  // Groups left out take a row of the biggest samples
+  const bySize = groups
+    .map((group, i) => i)
+    .sort((a, b) => groups[b].length - groups[a].length)
+  for (const i of bySize) {
+    if (sizes[i] > 0) {
+      continue
+    }
+    const donor = bySize.reduce((a, b) => (sizes[b] > sizes[a] ? b : a))
+    if (sizes[donor] <= 1) {
+      break
+    }
+    sizes[donor]--
+    sizes[i]++
+  }
+  return sizes
+}
+
+/*
+ * Rows of a dataset sampled according to a policy (see `DEFAULT_SAMPLING`):
+ * `size` rows taken at random, at random within each value of `column`
+ * (keeping the share of each value), or from the start. Rows keep their
+ * order. Datasets not bigger than the sample are returned as they are.
+ */
+export function sampleRows(rows, { method, size, column }) {
+  if (method === 'none' || rows.length <= size) {
+    return rows
+  }
+  if (method === 'first') {
+    return rows.slice(0, size)
+  }
+  const random = getRandom(SAMPLING_SEED)
+  if (method === 'stratified' && column !== null) {
+    const indices = rows.map((d, i) => i)
+    const groups = Object.values(groupBy(indices, (i) => rows[i][column]))
+    const sizes = getStrataSizes(groups, size)
+    return groups
+      .flatMap((group, i) =>
+        getRandomIndices(group.length, sizes[i], random).map((j) => group[j])
+      )
+      .sort((a, b) => a - b)
+      .map((i) => rows[i])
+  }
+  return getRandomIndices(rows.length, size, random).map((i) => rows[i])
+}
+
+export function isSampled(rows, policy) {
+  return policy.method !== 'none' && rows.length > policy.size
+}
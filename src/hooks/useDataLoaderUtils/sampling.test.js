@@ -0,0 +1,57 @@
+import { countBy } from 'lodash'
+import { isSampled, sampleRows } from './sampling'
+
+const rows = Array.from({ length: 100 }, (d, i) => ({
+  id: i,
+  group: i < 80 ? 'big' : i < 95 ? 'medium' : 'small',
+}))
+
+test('samples only datasets bigger than the sample', () => {
+  const policy = { method: 'random', size: 100, column: null }
+  expect(isSampled(rows, policy)).toBe(false)
+  expect(sampleRows(rows, policy)).toBe(rows)
+  expect(isSampled(rows, { ...policy, size: 10 })).toBe(true)
+  expect(isSampled(rows, { method: 'none', size: 10, column: null })).toBe(
+    false
+  )
+  expect(sampleRows(rows, { method: 'none', size: 10, column: null })).toBe(
+    rows
+  )
+})
+
+test('takes the first rows', () => {
+  expect(sampleRows(rows, { method: 'first', size: 3, column: null })).toEqual(
+    rows.slice(0, 3)
+  )
+})
+
+test('takes the same random rows in their order', () => {
+  const policy = { method: 'random', size: 10, column: null }
+  const sample = sampleRows(rows, policy)
+  expect(sample).toHaveLength(10)
+  expect(new Set(sample).size).toBe(10)
+  const ids = sample.map((row) => row.id)
+  expect(ids).toEqual([...ids].sort((a, b) => a - b))
+  expect(sampleRows(rows, policy)).toEqual(sample)
+})
+
+test('keeps the share of each value of the stratifying column', () => {
+  const sample = sampleRows(rows, {
+    method: 'stratified',
+    size: 20,
+    column: 'group',
+  })
+  expect(sample).toHaveLength(20)
+  expect(countBy(sample, 'group')).toEqual({ big: 16, medium: 3, small: 1 })
+  const ids = sample.map((row) => row.id)
+  expect(ids).toEqual([...ids].sort((a, b) => a - b))
+})
+
+test('gives a row to the biggest groups first when they are too many', () => {
+  const sample = sampleRows(rows, {
+    method: 'stratified',
+    size: 2,
+    column: 'group',
+  })
+  expect(countBy(sample, 'group')).toEqual({ big: 1, medium: 1 })
+})
@@ -0,0 +1,55 @@
+/*
+ * Escaping of user input written into generated SPARQL queries
+ */
+
+// How search terms are matched
+export const MATCH_MODES = {
+  literal: 'Contains the text',
+  regex: 'Regular expression',
+}
+
+const VARIABLE_NAME_REGEX = /^[A-Za-z_]\w*$/
+
+/*
+ * A value as a SPARQL string literal.
+ * Backslashes are escaped first: codepoint escapes (such as \u0022) that some
+ * endpoints decode before parsing are then always preceded by an escaping
+ * backslash, so they can not end the literal.
+ */
+export function stringLiteral(value) {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+  return `"${escaped}"`
+}
+
+export function isValidRegex(pattern) {
+  try {
+    new RegExp(pattern)
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
+/*
+ * SPARQL expression telling whether the string value of a variable matches
+ * a search term, ignoring case: in `literal` mode the value contains the
+ * text of the term, in `regex` mode it matches the term as a regular
+ * expression. Throws on invalid regular expressions.
+ */
+export function getMatchExpression(variable, term, mode = 'literal') {
+  if (!VARIABLE_NAME_REGEX.test(variable)) {
+    throw new Error(`Invalid variable name "${variable}"`)
+  }
+  const value = `STR(?${variable})`
+  if (mode === 'regex') {
+    if (!isValidRegex(term)) {
+      throw new Error(`Invalid regular expression "${term}"`)
+    }
+    return `REGEX(${value}, ${stringLiteral(term)}, "i")`
+  }
+  return `CONTAINS(LCASE(${value}), LCASE(${stringLiteral(term)}))`
+}
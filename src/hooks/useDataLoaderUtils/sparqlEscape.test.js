@@ -0,0 +1,105 @@
+import { Parser } from 'sparqljs'
+import { getMatchExpression, isValidRegex, stringLiteral } from './sparqlEscape'
+import { getCatalogueSearchQuery } from './catalogue'
+import { getTermSearchQuery } from './terminology'
+
+const HOSTILE_TERMS = [
+  '"',
+  '\\',
+  '\\"',
+  "'",
+  'a"b',
+  '") } DROP ALL #',
+  '")) || true || ("',
+  '\\u0022) || true #',
+  '}} SELECT * WHERE { ?s ?p ?o } #',
+  'line\nbreak',
+  'carriage\rreturn',
+  '# not a comment',
+  '.*',
+  '(',
+  '[a-',
+  '$^|?+{2}',
+  '<http://example.org/>',
+  'ünïcödé 🐝',
+]
+
+// String values of the literals of a parsed query
+function getLiterals(node, literals = []) {
+  if (Array.isArray(node)) {
+    node.forEach((d) => getLiterals(d, literals))
+  } else if (node && typeof node === 'object') {
+    if (node.termType === 'Literal') {
+      literals.push(node.value)
+    }
+    Object.values(node).forEach((d) => getLiterals(d, literals))
+  }
+  return literals
+}
+
+function parseExpression(expression) {
+  return new Parser().parse(
+    `SELECT * WHERE { ?s ?p ?x FILTER (${expression}) }`
+  )
+}
+
+describe('stringLiteral', () => {
+  test.each(HOSTILE_TERMS)('keeps %j as a single literal', (term) => {
+    const query = new Parser().parse(
+      `SELECT * WHERE { BIND(${stringLiteral(term)} AS ?x) }`
+    )
+    expect(query.where).toHaveLength(1)
+    expect(query.where[0].expression.value).toBe(term)
+  })
+})
+
+describe('getMatchExpression', () => {
+  test.each(HOSTILE_TERMS)('matches %j as text', (term) => {
+    const query = parseExpression(getMatchExpression('x', term))
+    const [filter] = query.where.filter((d) => d.type === 'filter')
+    expect(filter.expression.operator).toBe('contains')
+    expect(getLiterals(filter)).toEqual([term])
+  })
+
+  test.each(HOSTILE_TERMS.filter(isValidRegex))(
+    'matches %j as a regular expression',
+    (term) => {
+      const query = parseExpression(getMatchExpression('x', term, 'regex'))
+      const [filter] = query.where.filter((d) => d.type === 'filter')
+      expect(filter.expression.operator).toBe('regex')
+      expect(getLiterals(filter)).toEqual([term, 'i'])
+    }
+  )
+
+  test('rejects invalid regular expressions', () => {
+    expect(() => getMatchExpression('x', '[a-', 'regex')).toThrow(
+      'Invalid regular expression'
+    )
+    expect(() => getMatchExpression('x', '(', 'regex')).toThrow()
+  })
+
+  test('rejects invalid variable names', () => {
+    expect(() => getMatchExpression('x) || true || (?y', 'a')).toThrow(
+      'Invalid variable name'
+    )
+  })
+})
+
+describe('search queries', () => {
+  test.each(HOSTILE_TERMS)('catalogue search for %j stays valid', (term) => {
+    const query = new Parser().parse(
+      getCatalogueSearchQuery({ searchTerm: term })
+    )
+    expect(query.queryType).toBe('SELECT')
+    expect(
+      getLiterals(query.where).filter((d) => d === term.trim())
+    ).toHaveLength(3)
+  })
+
+  test.each(HOSTILE_TERMS)('terminology search for %j stays valid', (term) => {
+    const query = new Parser().parse(getTermSearchQuery(term))
+    expect(query.queryType).toBe('SELECT')
+    expect(query.limit).toBe(20)
+    expect(getLiterals(query.where).filter((d) => d === term)).toHaveLength(4)
+  })
+})
@@ -0,0 +1,257 @@
+import {
+  fromRdf,
+  TypeHandlerNumberDouble,
+  TypeHandlerNumberInteger,
+} from 'rdf-literal'
+import { getLabelColumn } from './labels'
+import { SparqlMarker, SparqlTypes } from './parser'
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#'
+const RDF_LANG_STRING = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#langString'
+
+const NUMBER_DATATYPES = [
+  ...TypeHandlerNumberInteger.TYPES,
+  ...TypeHandlerNumberDouble.TYPES,
+]
+
+// Date formats (as named by rawgraphs-core) of the values of date literals
+const DATE_FORMATS = {
+  [`${XSD}dateTime`]: 'YYYY-MM-DDTHH:mm:ss',
+  [`${XSD}date`]: 'YYYY-MM-DD',
+  [`${XSD}gYearMonth`]: 'YYYY-MM',
+  [`${XSD}gYear`]: 'YYYY',
+}
+
+export const IRI_FORMATS = {
+  iri: 'Full IRI',
+  prefixed: 'Prefixed name',
+  local: 'Local name',
+}
+
+function localName(iri) {
+  return iri.replace(/[/#]$/, '').split(/[/#]/).pop() || iri
+}
+
+/*
+ * Renders an IRI as it is, with the longest matching prefix
+ * (full IRI when none matches) or as the part after its last "/" or "#"
+ */
+export function formatIri(iri, iriFormat = 'iri', prefixes = {}) {
+  if (iriFormat === 'local') {
+    return localName(iri)
+  }
+  if (iriFormat === 'prefixed') {
+    let best = null
+    for (const prefix of Object.keys(prefixes)) {
+      const namespace = prefixes[prefix]
+      if (
+        iri.startsWith(namespace) &&
+        (best === null || namespace.length > prefixes[best].length)
+      ) {
+        best = prefix
+      }
+    }
+    return best === null ? iri : `${best}:${iri.slice(prefixes[best].length)}`
+  }
+  return iri
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0')
+}
+
+// Local time, as dates are parsed in local time too
+function formatDateTime(date) {
+  return `${pad(date.getFullYear(), 4)}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(
+    date.getSeconds()
+  )}`
+}
+
+/*
+ * Kind of the values of an RDF term: "number", the date format of
+ * date literals, "string" for IRIs, blank nodes and language or xsd:string
+ * literals, null when it cannot be told (untyped literals often hold
+ * numbers or dates written as text)
+ */
+function getTermKind(term) {
+  if (term.type !== 'literal' && term.type !== 'typed-literal') {
+    return 'string'
+  }
+  if (term['xml:lang'] || term.datatype === RDF_LANG_STRING) {
+    return 'string'
+  }
+  if (!term.datatype) {
+    return null
+  }
+  if (NUMBER_DATATYPES.includes(term.datatype)) {
+    return 'number'
+  }
+  if (term.datatype === `${XSD}string`) {
+    return 'string'
+  }
+  return DATE_FORMATS[term.datatype] ?? null
+}
+
+function toLiteral(term) {
+  return {
+    termType: 'Literal',
+    value: term.value,
+    datatype: { termType: 'NamedNode', value: term.datatype },
+  }
+}
+
+/*
+ * Value of an RDF term in a row: numbers for numeric literals, text in the
+ * date format of the column for date literals, formatted IRIs.
+ * Values that cannot be read are kept as written.
+ */
+export function termToValue(term, { iriFormat, prefixes } = {}) {
+  if (!term) {
+    return ''
+  }
+  if (term.type === 'uri') {
+    return formatIri(term.value, iriFormat, prefixes)
+  }
+  const kind = getTermKind(term)
+  if (kind === 'number') {
+    const number = fromRdf(toLiteral(term))
+    return Number.isFinite(number) ? number : term.value
+  }
+  if (kind === DATE_FORMATS[`${XSD}dateTime`]) {
+    const date = fromRdf(toLiteral(term))
+    return isNaN(date) ? term.value : formatDateTime(date)
+  }
+  if (kind === DATE_FORMATS[`${XSD}date`]) {
+    return term.value.slice(0, 10)
+  }
+  if (kind === DATE_FORMATS[`${XSD}gYearMonth`]) {
+    return term.value.slice(0, 7)
+  }
+  if (kind === DATE_FORMATS[`${XSD}gYear`]) {
+    return term.value.slice(0, 4)
+  }
+  return term.value
+}
+
+/*
+ * Column types of the results, for the variables whose bound values
+ * are all of the same kind
+ */
+export function getBindingsDataTypes(variables, bindings) {
+  const dataTypes = {}
+  for (const variable of variables) {
+    const kinds = new Set(
+      bindings.filter((b) => b[variable]).map((b) => getTermKind(b[variable]))
+    )
+    if (kinds.size !== 1 || kinds.has(null)) {
+      continue
+    }
+    const [kind] = kinds
+    dataTypes[variable] =
+      kind === 'number' || kind === 'string'
+        ? kind
+        : { type: 'date', dateFormat: kind }
+  }
+  return dataTypes
+}
+
+// Plain literals, with or without language tag
+function isTextLiteral(term) {
+  return term.type === 'literal' && (!!term['xml:lang'] || !term.datatype)
+}
+
+// Preferred languages score more than untagged literals, other languages less
+function languageScore(binding, languages) {
+  let score = 0
+  for (const term of Object.values(binding)) {
+    const lang = term['xml:lang']?.toLowerCase()
+    if (lang) {
+      const index = languages.findIndex(
+        (l) => lang === l || lang.startsWith(`${l}-`)
+      )
+      score += index === -1 ? -1 : languages.length - index
+    }
+  }
+  return score
+}
+
+/*
+ * Keeps, among bindings differing only by their plain literals,
+ * the ones in the most preferred language.
+ * `language` is a comma separated list of language tags, in order of
+ * preference; literals in other languages come after untagged ones.
+ */
+export function selectLanguages(bindings, language) {
+  const languages = (language ?? '')
+    .split(',')
+    .map((l) => l.trim().toLowerCase())
+    .filter(Boolean)
+  if (languages.length === 0) {
+    return bindings
+  }
+  const groups = new Map()
+  for (const binding of bindings) {
+    const key = JSON.stringify(
+      Object.keys(binding)
+        .sort()
+        .map((v) => [v, isTextLiteral(binding[v]) ? null : binding[v].value])
+    )
+    const score = languageScore(binding, languages)
+    const group = groups.get(key)
+    if (!group || score > group.score) {
+      groups.set(key, { score, bindings: [binding] })
+    } else if (score === group.score) {
+      group.bindings.push(binding)
+    }
+  }
+  const selected = new Set()
+  groups.forEach((group) => group.bindings.forEach((b) => selected.add(b)))
+  return bindings.filter((b) => selected.has(b))
+}
+
+/*
+ * Rows of SPARQL JSON results, marked as SPARQL results and carrying
+ * the column types given by the datatypes of their literals.
+ * Options:
+ * - language: preferred languages of literals (see selectLanguages)
+ * - iriFormat: one of IRI_FORMATS
+ * - prefixes: prefixes used by prefixed names
+ * - labelColumns: variables followed by a column with the labels of their IRIs
+ * - labels: Map of the labels of IRIs (see resolveLabels)
+ */
+export function sparqlJsonToRows(sparqlJson, options = {}) {
+  if (!sparqlJson?.head || !sparqlJson.results?.bindings) {
+    throw new Error('Invalid SPARQL JSON results')
+  }
+  const variables = sparqlJson.head.vars ?? []
+  const { labelColumns = [], labels = new Map() } = options
+  // Existing variables are not overwritten by label columns
+  const labelled = labelColumns.filter(
+    (v) => variables.includes(v) && !variables.includes(getLabelColumn(v))
+  )
+  const bindings = selectLanguages(
+    sparqlJson.results.bindings,
+    options.language
+  )
+  const rows = bindings.map((binding) => {
+    const row = {}
+    for (const variable of variables) {
+      const term = binding[variable]
+      row[variable] = termToValue(term, options)
+      if (labelled.includes(variable)) {
+        row[getLabelColumn(variable)] =
+          term?.type === 'uri' ? labels.get(term.value) ?? '' : ''
+      }
+    }
+    return row
+  })
+  const dataTypes = getBindingsDataTypes(variables, bindings)
+  for (const variable of labelled) {
+    dataTypes[getLabelColumn(variable)] = 'string'
+  }
+  rows[SparqlMarker] = true
+  rows[SparqlTypes] = dataTypes
+  return rows
+}
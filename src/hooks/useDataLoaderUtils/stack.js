@@ -1,4 +1,4 @@
-import { flatMap, omit, map } from 'lodash'
+import { flatMap, omit, map, pick } from 'lodash'
 
 export function stackData(data, column) {
   return flatMap(data, (record) => {
@@ -13,3 +13,71 @@ export function stackData(data, column) {
     })
   })
 }
+
+/*
+ * Generalization of stackData: every column not in `idColumns` becomes a row,
+ * with the column name in `nameColumn` and its value in `valueColumn`
+ */
+export function unpivotData(
+  data,
+  idColumns,
+  nameColumn = 'column',
+  valueColumn = 'value'
+) {
+  return flatMap(data, (record) => {
+    const ids = pick(record, idColumns)
+    const others = omit(record, idColumns)
+    return map(others, (value, prop) => {
+      return {
+        ...ids,
+        [nameColumn]: prop,
+        [valueColumn]: value,
+      }
+    })
+  })
+}
+
+/*
+ * Inverse of unpivotData: one row for each distinct combination of
+ * `keyColumns`, one column for each distinct value of `nameColumn`.
+ * Values falling in the same cell are reduced with `aggregate`
+ * (by default the first one is kept), cells without values are empty.
+ */
+export function pivotData(
+  data,
+  keyColumns,
+  nameColumn,
+  valueColumn,
+  aggregate = (values) => values[0]
+) {
+  const rows = new Map()
+  const names = []
+  for (const record of data) {
+    const rowKey = JSON.stringify(keyColumns.map((column) => record[column]))
+    if (!rows.has(rowKey)) {
+      rows.set(rowKey, { keys: pick(record, keyColumns), cells: {} })
+    }
+    const name = record[nameColumn]
+    if (!names.includes(name)) {
+      names.push(name)
+    }
+    const cells = rows.get(rowKey).cells
+    cells[name] = cells[name] || []
+    cells[name].push(record[valueColumn])
+  }
+  return Array.from(rows.values()).map(({ keys, cells }) => {
+    const pivoted = { ...keys }
+    for (const name of names) {
+      pivoted[name] = cells[name] ? aggregate(cells[name]) ?? '' : ''
+    }
+    return pivoted
+  })
+}
+
+/*
+ * Inverse of stackData: one row for each value of `key`, with a column
+ * for each value of `column` holding the related values of `value`.
+ */
+export function unstackData(data, { key, column, value }, aggregate) {
+  return pivotData(data, [key], column, value, aggregate)
+}
@@ -0,0 +1,76 @@
+import { pivotData, stackData, unpivotData, unstackData } from './stack'
+
+const wide = [
+  { country: 'Italy', year: '2020', gdp: '10', population: '60' },
+  { country: 'France', year: '2020', gdp: '12', population: '67' },
+]
+
+test('unpivots the columns not used as ids', () => {
+  expect(unpivotData(wide, ['country', 'year'], 'indicator', 'amount')).toEqual(
+    [
+      { country: 'Italy', year: '2020', indicator: 'gdp', amount: '10' },
+      { country: 'Italy', year: '2020', indicator: 'population', amount: '60' },
+      { country: 'France', year: '2020', indicator: 'gdp', amount: '12' },
+      {
+        country: 'France',
+        year: '2020',
+        indicator: 'population',
+        amount: '67',
+      },
+    ]
+  )
+})
+
+test('pivots back unpivoted data', () => {
+  const long = unpivotData(wide, ['country', 'year'])
+  expect(pivotData(long, ['country', 'year'], 'column', 'value')).toEqual(wide)
+})
+
+test('stacks and unstacks a single column', () => {
+  const rows = [
+    { name: 'a', x: '1', y: '2' },
+    { name: 'b', x: '3', y: '4' },
+  ]
+  const stacked = stackData(rows, 'name')
+  expect(stacked).toEqual([
+    { name: 'a', column: 'x', value: '1' },
+    { name: 'a', column: 'y', value: '2' },
+    { name: 'b', column: 'x', value: '3' },
+    { name: 'b', column: 'y', value: '4' },
+  ])
+  expect(
+    unstackData(stacked, { key: 'name', column: 'column', value: 'value' })
+  ).toEqual(rows)
+})
+
+test('reduces the values of duplicate keys', () => {
+  const long = [
+    { key: 'a', name: 'x', value: 1 },
+    { key: 'a', name: 'x', value: 2 },
+    { key: 'b', name: 'x', value: 3 },
+  ]
+  expect(pivotData(long, ['key'], 'name', 'value')).toEqual([
+    { key: 'a', x: 1 },
+    { key: 'b', x: 3 },
+  ])
+  const sum = (values) => values.reduce((a, b) => a + b, 0)
+  expect(pivotData(long, ['key'], 'name', 'value', sum)).toEqual([
+    { key: 'a', x: 3 },
+    { key: 'b', x: 3 },
+  ])
+})
+
+test('leaves empty the cells without values', () => {
+  const long = [
+    { key: 'a', name: 'x', value: '1' },
+    { key: 'b', name: 'y', value: '2' },
+    { key: 'c', name: 'y', value: undefined },
+  ]
+  expect(
+    unstackData(long, { key: 'key', column: 'name', value: 'value' })
+  ).toEqual([
+    { key: 'a', x: '1', y: '' },
+    { key: 'b', x: '', y: '2' },
+    { key: 'c', x: '', y: '' },
+  ])
+})
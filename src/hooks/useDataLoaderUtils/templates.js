@@ -0,0 +1,127 @@
+import { isValidIri } from './catalogue'
+import { stringLiteral } from './sparqlEscape'
+
+/*
+ * SPARQL query templates.
+ * A placeholder `{{name:type=default}}` is replaced by the value chosen for
+ * the parameter `name`, written as a SPARQL term of the given type.
+ * `{{name:type=first|second|third}}` only allows the listed values, the
+ * first one being the default. Type and values can be declared once,
+ * the other placeholders of the same parameter are just `{{name}}`.
+ */
+
+export const PARAMETER_TYPES = {
+  string: 'Text',
+  number: 'Number',
+  iri: 'IRI',
+  date: 'Date',
+}
+
+const PLACEHOLDER_REGEX = /\{\{\s*([A-Za-z_]\w*)\s*(?::\s*(\w+)\s*)?(?:=([^}]*))?\}\}/g
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/
+
+const XSD_DATE = 'http://www.w3.org/2001/XMLSchema#date'
+
+/*
+ * Parameters of a template, in order of appearance, as
+ * `{ name, type, defaultValue, values }` (values is null when any value
+ * is allowed)
+ */
+export function getTemplateParameters(template) {
+  const parameters = new Map()
+  for (const [, name, type, declared] of template.matchAll(PLACEHOLDER_REGEX)) {
+    if (type && !PARAMETER_TYPES[type]) {
+      throw new Error(`Unknown type "${type}" of parameter "${name}"`)
+    }
+    const parameter = parameters.get(name) ?? {
+      name,
+      type: 'string',
+      defaultValue: '',
+      values: null,
+    }
+    if (type) {
+      parameter.type = type
+    }
+    if (declared !== undefined) {
+      const values = declared.split('|').map((v) => v.trim())
+      parameter.defaultValue = values[0]
+      parameter.values = values.length > 1 ? values : null
+    }
+    parameters.set(name, parameter)
+  }
+  return [...parameters.values()]
+}
+
+export function isTemplate(query) {
+  return typeof query === 'string' && getTemplateParameters(query).length > 0
+}
+
+/*
+ * Values of the parameters of a template, the defaults completed with
+ * the given values
+ */
+export function getParameterValues(template, values = {}) {
+  return Object.fromEntries(
+    getTemplateParameters(template).map((p) => [
+      p.name,
+      values[p.name] ?? p.defaultValue,
+    ])
+  )
+}
+
+/*
+ * Description of what is wrong with the value of a parameter,
+ * null when the value is valid
+ */
+export function getParameterError(parameter, value) {
+  if (parameter.values && !parameter.values.includes(value)) {
+    return `Choose one of ${parameter.values.join(', ')}`
+  }
+  switch (parameter.type) {
+    case 'number':
+      return value.trim() !== '' && Number.isFinite(Number(value))
+        ? null
+        : 'Enter a number'
+    case 'iri':
+      return isValidIri(value) ? null : 'Enter a valid IRI'
+    case 'date':
+      return DATE_REGEX.test(value) ? null : 'Enter a date as YYYY-MM-DD'
+    default:
+      return null
+  }
+}
+
+function toTerm(parameter, value) {
+  switch (parameter.type) {
+    case 'number':
+      return String(Number(value))
+    case 'iri':
+      return `<${value}>`
+    case 'date':
+      return `${stringLiteral(value)}^^<${XSD_DATE}>`
+    default:
+      return stringLiteral(value)
+  }
+}
+
+/*
+ * The query of a template with the placeholders replaced by the values of
+ * their parameters (or by the defaults). Throws on invalid values.
+ */
+export function fillTemplate(template, values = {}) {
+  const parameters = getTemplateParameters(template)
+  const allValues = getParameterValues(template, values)
+  const terms = {}
+  for (const parameter of parameters) {
+    const value = allValues[parameter.name]
+    const error = getParameterError(parameter, value)
+    if (error) {
+      throw new Error(
+        `Invalid value of parameter "${parameter.name}": ${error}`
+      )
+    }
+    terms[parameter.name] = toTerm(parameter, value)
+  }
+  return template.replace(PLACEHOLDER_REGEX, (match, name) => terms[name])
+}
@@ -0,0 +1,141 @@
+import { isValidIri } from './catalogue'
+import { getMatchExpression } from './sparqlEscape'
+
+/*
+ * Queries searching the terms of a terminology and loading the data
+ * they describe
+ */
+
+/*
+ * Classes, properties and individuals whose label, description, alternative
+ * label or IRI match a search term, as text or as a regular expression
+ * (see `MATCH_MODES`)
+ */
+export function getTermSearchQuery(searchTerm, matchMode = 'literal') {
+  const match = (variable) =>
+    getMatchExpression(variable, searchTerm, matchMode)
+  return `
+    PREFIX owl: <http://www.w3.org/2002/07/owl#>
+    PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+    PREFIX skos: <http://www.w3.org/2004/02/skos/core#>
+    PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
+    PREFIX dcterms: <http://purl.org/dc/terms/>
+
+    SELECT DISTINCT ?term ?displayLabel ?displayComment ?termTypeIRI ?termTypeLabel
+    WHERE {
+      {
+        ?term a owl:Class .
+        BIND(owl:Class AS ?termTypeIRI)
+        BIND("Class" AS ?termTypeLabel_str)
+      }
+      UNION
+      {
+        ?term a rdf:Property .
+        BIND(rdf:Property AS ?termTypeIRI)
+        BIND("Property" AS ?termTypeLabel_str)
+      }
+      UNION
+      {
+        ?term a owl:ObjectProperty .
+        BIND(owl:ObjectProperty AS ?termTypeIRI)
+        BIND("Object Property" AS ?termTypeLabel_str)
+      }
+      UNION
+      {
+        ?term a owl:DatatypeProperty .
+        BIND(owl:DatatypeProperty AS ?termTypeIRI)
+        BIND("Datatype Property" AS ?termTypeLabel_str)
+      }
+      UNION
+      {
+        ?term a owl:AnnotationProperty .
+        BIND(owl:AnnotationProperty AS ?termTypeIRI)
+        BIND("Annotation Property" AS ?termTypeLabel_str)
+      }
+      UNION
+      {
+        ?term a owl:NamedIndividual .
+        BIND(owl:NamedIndividual AS ?termTypeIRI)
+        BIND("Individual" AS ?termTypeLabel_str)
+      }
+
+      OPTIONAL { ?term rdfs:label ?rdfsLabel . FILTER(LANGMATCHES(LANG(?rdfsLabel), "en") || LANG(?rdfsLabel) = "") }
+      OPTIONAL { ?term skos:prefLabel ?skosPrefLabel . FILTER(LANGMATCHES(LANG(?skosPrefLabel), "en") || LANG(?skosPrefLabel) = "") }
+      OPTIONAL { ?term rdfs:comment ?rdfsComment . FILTER(LANGMATCHES(LANG(?rdfsComment), "en") || LANG(?rdfsComment) = "") }
+      OPTIONAL { ?term skos:definition ?skosDefinition . FILTER(LANGMATCHES(LANG(?skosDefinition), "en") || LANG(?skosDefinition) = "") }
+      OPTIONAL { ?term skos:altLabel ?skosAltLabel . FILTER(LANGMATCHES(LANG(?skosAltLabel), "en") || LANG(?skosAltLabel) = "") }
+      OPTIONAL { ?term dcterms:title ?dctTitle . FILTER(LANGMATCHES(LANG(?dctTitle), "en") || LANG(?dctTitle) = "") }
+      OPTIONAL { ?term dcterms:description ?dctDescription . FILTER(LANGMATCHES(LANG(?dctDescription), "en") || LANG(?dctDescription) = "") }
+
+
+      BIND(COALESCE(?rdfsLabel, ?skosPrefLabel, ?dctTitle, "") AS ?label_intermediate)
+      BIND(COALESCE(?rdfsComment, ?skosDefinition, ?dctDescription, "") AS ?comment_intermediate)
+
+      # Create a display label, falling back to local name or full URI
+      BIND(IF(STRLEN(?label_intermediate) > 0, ?label_intermediate,
+          IF(CONTAINS(STR(?term), "#"), STRAFTER(STR(?term), "#"),
+          REPLACE(STR(?term), "^.*/([^/]*)$", "$1")))
+      AS ?displayLabel_computed)
+
+      BIND(COALESCE(?displayLabel_computed, STR(?term)) as ?displayLabel)
+      BIND(COALESCE(?comment_intermediate, "") as ?displayComment)
+      BIND(COALESCE(?termTypeLabel_str, "Resource") AS ?termTypeLabel)
+
+      FILTER (
+        ${match('displayLabel')} ||
+        ${match('displayComment')} ||
+        ${match('skosAltLabel')} ||
+        ${match('term')}
+      )
+    }
+    LIMIT 20
+  `
+}
+
+function checkClassIri(classIri) {
+  if (!isValidIri(classIri)) {
+    throw new Error(`Invalid class IRI "${classIri}"`)
+  }
+}
+
+/*
+ * Literal values of the instances of a class (and of its subclasses), as
+ * (instance, property, value) triples to be converted to a table
+ */
+export function getClassInstancesQuery(classIri) {
+  checkClassIri(classIri)
+  return `
+    PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+    SELECT ?instance ?property ?value
+    WHERE {
+      ?instance a/rdfs:subClassOf* <${classIri}> ;
+        ?property ?value .
+      FILTER(isLiteral(?value))
+    }
+    ORDER BY ?instance ?property ?value
+  `
+}
+
+/*
+ * The subclasses of a class with their parents (none for the class itself)
+ */
+export function getSubclassesQuery(classIri) {
+  checkClassIri(classIri)
+  return `
+    PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+
+    SELECT DISTINCT ?class ?parent
+    WHERE {
+      ?class rdfs:subClassOf* <${classIri}> .
+      FILTER(isIRI(?class))
+      OPTIONAL {
+        FILTER(?class != <${classIri}>)
+        ?class rdfs:subClassOf ?parent .
+        ?parent rdfs:subClassOf* <${classIri}> .
+        FILTER(isIRI(?parent) && ?parent != ?class)
+      }
+    }
+    ORDER BY ?class ?parent
+  `
+}
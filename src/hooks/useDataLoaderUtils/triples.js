@@ -0,0 +1,81 @@
+import { uniq } from 'lodash'
+import { getLabelColumn } from './labels'
+import { SparqlMarker } from './parser'
+import { pivotData } from './stack'
+
+export const MULTI_VALUE_POLICIES = {
+  first: 'First value',
+  join: 'Join values',
+  count: 'Count values',
+}
+
+const MULTI_VALUE_AGGREGATORS = {
+  first: (values) => values[0],
+  join: (values) => uniq(values).join(', '),
+  count: (values) => values.length,
+}
+
+const SUBJECT_NAMES = ['s', 'subject', 'item', 'id']
+const PREDICATE_NAMES = ['p', 'predicate', 'property', 'column_name']
+const OBJECT_NAMES = ['o', 'object', 'value', 'entity_name']
+
+/*
+ * Names of the variables projected by a parsed SELECT query,
+ * empty when the query uses `SELECT *`
+ */
+export function getQueryVariables(query) {
+  return (query?.variables ?? [])
+    .map((v) => (v.variable ? v.variable.value : v.value))
+    .filter((name) => name && name !== '*')
+}
+
+/*
+ * Guesses the variables holding subject, predicate and object:
+ * usual names are preferred, otherwise the first three variables are used
+ */
+export function guessTriplesVariables(variables) {
+  const find = (names, position) =>
+    variables.find((v) => names.includes(v.toLowerCase())) ??
+    variables[position] ??
+    null
+  return {
+    subject: find(SUBJECT_NAMES, 0),
+    predicate: find(PREDICATE_NAMES, 1),
+    object: find(OBJECT_NAMES, 2),
+    multiValue: 'first',
+  }
+}
+
+/*
+ * Converts rows of (subject, predicate, object) bindings to a table with
+ * one row per subject and one column per predicate.
+ * When a subject has several values for the same predicate, `multiValue`
+ * tells whether to keep the first one, join them or count them.
+ * When objects have a label column (see labels.js), labels are used
+ * in place of the IRIs they have.
+ */
+export function triplesToTable(
+  rows,
+  { subject, predicate, object, multiValue = 'first' }
+) {
+  // Unbound subjects or predicates cannot be placed in the table
+  let triples = rows.filter((row) => row[subject] && row[predicate])
+  const labelColumn = getLabelColumn(object)
+  if (triples.length > 0 && labelColumn in triples[0]) {
+    triples = triples.map((row) => ({
+      ...row,
+      [object]: row[labelColumn] || row[object],
+    }))
+  }
+  const table = pivotData(
+    triples,
+    [subject],
+    predicate,
+    object,
+    MULTI_VALUE_AGGREGATORS[multiValue]
+  )
+  if (rows[SparqlMarker] === true) {
+    table[SparqlMarker] = true
+  }
+  return table
+}
@@ -1,6 +1,7 @@
 import * as Comlink from 'comlink'
 /* eslint-disable import/no-webpack-loader-syntax */
 import Worker from 'worker-loader!./worker'
+import { sniffEncoding } from '../hooks/useDataLoaderUtils/csv'
 
 let parsingWorker // = new Worker()
 
@@ -33,3 +34,60 @@ export function mapDataInWorker(
   )
   return out
 }
+
+let csvWorker // = new Worker()
+let csvParseId = 0
+
+// Bytes of a file read and sent to the worker at once
+const CSV_CHUNK_SIZE = 4 * 1024 * 1024
+
+/*
+ * Parses a CSV file in chunks in a worker, without reading it all in
+ * memory as text. `onProgress` is called after each chunk with the share
+ * of the file read and the rows parsed so far; aborting `signal` stops
+ * the parsing with an AbortError. Resolves with the rows, the columns,
+ * the separator and the CSV options (guessed when not given in `options`).
+ */
+export async function parseCsvFileInWorker(
+  file,
+  { options = {}, onProgress, signal } = {}
+) {
+  if (!csvWorker) {
+    csvWorker = new Worker()
+  }
+  const obj = Comlink.wrap(csvWorker)
+  const id = ++csvParseId
+  const { encoding: givenEncoding, ...csvOptions } = options
+  let encoding = givenEncoding
+  let decoder
+  await obj.startCsvParse(id, csvOptions)
+  try {
+    for (let start = 0; start < file.size; start += CSV_CHUNK_SIZE) {
+      if (signal?.aborted) {
+        throw new DOMException('The parsing was cancelled', 'AbortError')
+      }
+      const end = Math.min(start + CSV_CHUNK_SIZE, file.size)
+      const buffer = await file.slice(start, end).arrayBuffer()
+      if (!decoder) {
+        encoding = encoding ?? sniffEncoding(buffer)
+        decoder = new TextDecoder(encoding)
+      }
+      const chunk = decoder.decode(buffer, { stream: end < file.size })
+      const rows = await obj.pushCsvChunk(id, chunk)
+      if (onProgress) {
+        onProgress({ loaded: end / file.size, rows })
+      }
+    }
+    if (signal?.aborted) {
+      throw new DOMException('The parsing was cancelled', 'AbortError')
+    }
+  } catch (e) {
+    obj.cancelCsvParse(id)
+    throw e
+  }
+  const result = await obj.endCsvParse(id)
+  return {
+    ...result,
+    csvOptions: { ...result.csvOptions, encoding: encoding ?? 'utf-8' },
+  }
+}
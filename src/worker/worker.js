@@ -2,6 +2,10 @@ import * as Comlink from 'comlink'
 import { parseDataset, chart as rawChart } from '@rawgraphs/rawgraphs-core'
 import charts from '../charts'
 import { requireRawChartsFromUrlWebWorker } from '../hooks/rawRequire'
+import { createCsvChunkParser } from '../hooks/useDataLoaderUtils/csv'
+
+// CSV files being parsed, by id
+const csvParsers = new Map()
 
 const obj = {
   parseDataset(data, dataTypes, parsingOptions) {
@@ -12,6 +16,21 @@ const obj = {
     }))
     return out
   },
+  startCsvParse(id, options) {
+    csvParsers.set(id, createCsvChunkParser(options))
+  },
+  // Returns the number of rows parsed so far
+  pushCsvChunk(id, chunk) {
+    return csvParsers.get(id).push(chunk)
+  },
+  endCsvParse(id) {
+    const parser = csvParsers.get(id)
+    csvParsers.delete(id)
+    return parser.end()
+  },
+  cancelCsvParse(id) {
+    csvParsers.delete(id)
+  },
   mapData(chartName, { data, mapping, visualOptions, dataTypes }, customChart) {
     let chart
     if (customChart) {